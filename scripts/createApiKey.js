@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Create an API key, e.g. the first admin key of a new tenant
+ * This is the only way to grant the platform scope, which manages the component registry
+ * and data dictionary shared by all tenants.
+ *
+ * Usage: npm run create-key -- --name "Underwriting admin" --tenant underwriting
+ *                              [--scope admin] [--scope label] [--scope platform] ...
+ */
+require('dotenv').config();
+const authService = require('../src/services/authService');
+
+function parseArgs(argv) {
+  const args = { scopes: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--name': args.name = value; i++; break;
+      case '--tenant': args.tenantId = value; i++; break;
+      case '--scope': args.scopes.push(value); i++; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (args.scopes.length === 0) args.scopes.push('admin');
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const key = authService.createApiKey(args);
+
+  console.log(`Created API key ${key.id} (${key.name}) for tenant ${key.tenantId}`);
+  console.log(`Scopes: ${key.scopes.join(', ')}`);
+  console.log(`\n  ${key.key}\n`);
+  console.log('Store it now; only its hash is kept.');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
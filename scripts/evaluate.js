@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Evaluate extraction accuracy against verified training forms
+ *
+ * Usage: npm run evaluate -- [--provider openai] [--model ft:gpt-4o:...] [--limit 10]
+ *                            [--form form_abc123] [--label "prompt v2"] [--prompt-file prompt.txt]
+ *                            [--tenant underwriting]
+ */
+require('dotenv').config();
+const fs = require('fs');
+const evaluationService = require('../src/services/evaluationService');
+
+function parseArgs(argv) {
+  const args = { formIds: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--provider': args.provider = value; i++; break;
+      case '--model': args.model = value; i++; break;
+      case '--limit': args.limit = parseInt(value); i++; break;
+      case '--form': args.formIds.push(value); i++; break;
+      case '--label': args.label = value; i++; break;
+      case '--prompt-file': args.systemPrompt = fs.readFileSync(value, 'utf8'); i++; break;
+      case '--tenant': args.tenantId = value; i++; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+function percent(value) {
+  return value === null || value === undefined ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { runId, completion } = evaluationService.startEvaluation(args);
+
+  console.log(`Started evaluation run ${runId}`);
+  const run = await completion;
+
+  if (run.status !== 'completed') {
+    throw new Error(run.error || `Evaluation ${run.status}`);
+  }
+
+  const m = run.metrics;
+  console.log(`\nRun ${run.id} | ${run.provider}/${run.model} | prompt ${run.promptVersion}`);
+  console.log(`Forms evaluated: ${m.formsEvaluated} (failed: ${m.formsFailed})\n`);
+  console.log(`Sections      P ${percent(m.sections.precision)}  R ${percent(m.sections.recall)}  F1 ${percent(m.sections.f1)}`);
+  console.log(`Fields        P ${percent(m.fields.precision)}  R ${percent(m.fields.recall)}  F1 ${percent(m.fields.f1)}`);
+  console.log(`Options accuracy         ${percent(m.optionAccuracy)}`);
+  console.log(`Table column accuracy    ${percent(m.tableColumnAccuracy)}`);
+  console.log(`Table row count accuracy ${percent(m.tableRowCountAccuracy)}`);
+  console.log(`Label similarity         ${percent(m.labelSimilarity)}  (exact ${percent(m.exactLabelRate)})\n`);
+
+  console.log('Component types:');
+  for (const [component, value] of Object.entries(m.componentTypes)) {
+    console.log(`  ${component.padEnd(14)} P ${percent(value.precision)}  R ${percent(value.recall)}  (n=${value.support})`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
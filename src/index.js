@@ -4,12 +4,27 @@ const cors = require('cors');
 const path = require('path');
 const formExtractorRoutes = require('./routes/formExtractor');
 const trainingRoutes = require('./routes/training');
+const jobRoutes = require('./routes/jobs');
+const cacheRoutes = require('./routes/cache');
+const exportRoutes = require('./routes/export');
+const dictionaryRoutes = require('./routes/dictionary');
+const templateRoutes = require('./routes/templates');
+const diffRoutes = require('./routes/diff');
+const componentRoutes = require('./routes/components');
+const authRoutes = require('./routes/auth');
+const { authenticate } = require('./middleware/auth');
+const { AUTH_ENABLED } = require('./services/authService');
+const jobService = require('./services/jobService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Browser origins allowed to call the API (comma-separated); any origin when unset.
+// Requests still need an API key, which is sent as a header rather than a cookie.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : undefined));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -17,8 +32,18 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Routes
+// Logging in is open; every other API route needs an API key or labeling session
+app.use('/api/auth', authRoutes);
+app.use('/api', authenticate);
 app.use('/api', formExtractorRoutes);
 app.use('/api/training', trainingRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/dictionary', dictionaryRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/diff', diffRoutes);
+app.use('/api/components', componentRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -39,7 +64,14 @@ app.use((err, req, res, next) => {
   if (err.message === 'Invalid file type') {
     return res.status(400).json({
       success: false,
-      error: 'Invalid file type. Allowed types: PDF, DOCX, JPG, PNG'
+      error: 'Invalid file type. Allowed types: PDF, DOCX, DOC, JPG, PNG, TIFF, WebP, HEIC'
+    });
+  }
+
+  if (err.code === 'UNSUPPORTED_FILE_CONTENT') {
+    return res.status(415).json({
+      success: false,
+      error: err.message
     });
   }
 
@@ -57,11 +89,29 @@ app.use((req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Form Extractor API running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  console.log(`Extract form: POST http://localhost:${PORT}/api/extract-form`);
-  console.log(`Training UI: http://localhost:${PORT}/labeling.html`);
-});
+// Listen when run directly; tests mount the app on their own port
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Form Extractor API running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+    console.log(`Extract form: POST http://localhost:${PORT}/api/extract-form`);
+    console.log(`Job status: GET http://localhost:${PORT}/api/jobs/:id`);
+    console.log(`Export form: POST http://localhost:${PORT}/api/export/:format`);
+    console.log(`Training UI: http://localhost:${PORT}/labeling.html`);
+
+    if (!AUTH_ENABLED) {
+      console.warn('AUTH_ENABLED=false: API keys are not checked and every request acts as the default tenant');
+    }
+
+    // Pick up async extraction jobs left unfinished by a previous run
+    const { resumed, failed } = jobService.resumeInterruptedJobs();
+    if (resumed > 0) {
+      console.log(`Resuming ${resumed} interrupted extraction job(s)`);
+    }
+    if (failed > 0) {
+      console.log(`Marked ${failed} interrupted extraction job(s) failed (interrupted before conversion finished)`);
+    }
+  });
+}
 
 module.exports = app;
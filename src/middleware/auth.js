@@ -0,0 +1,59 @@
+const authService = require('../services/authService');
+
+/**
+ * API key or session token sent with a request
+ * Accepts `Authorization: Bearer <token>` or `X-API-Key: <key>`
+ */
+function getRequestToken(req) {
+  const header = req.get('authorization');
+  if (header && header.toLowerCase().startsWith('bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Reject requests without a valid API key or session token
+ * Sets req.auth to {keyId, name, tenantId, scopes, sessionExpiresAt}
+ */
+function authenticate(req, res, next) {
+  if (!authService.AUTH_ENABLED) {
+    req.auth = authService.anonymousPrincipal();
+    return next();
+  }
+
+  const token = getRequestToken(req);
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'An API key is required. Send it as "Authorization: Bearer <key>" or "X-API-Key: <key>".'
+    });
+  }
+
+  const principal = authService.authenticate(token);
+  if (!principal) {
+    return res.status(401).json({ success: false, error: 'Invalid, revoked or expired API key' });
+  }
+
+  req.auth = principal;
+  next();
+}
+
+/**
+ * Reject requests whose key lacks a scope (admin keys have every scope but platform)
+ * @param {string} scope - 'extract', 'label', 'fine-tune', 'admin' or 'platform'
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!authService.hasScope(req.auth, scope)) {
+      return res.status(403).json({ success: false, error: `This API key does not have the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireScope,
+  getRequestToken
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const authService = require('../services/authService');
+const { authenticate, requireScope, getRequestToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/session
+ * Log in to the labeling UI: exchange an API key for a session token
+ * Body: {apiKey}
+ */
+router.post('/session', (req, res) => {
+  try {
+    if (!authService.AUTH_ENABLED) {
+      return res.json({ success: true, data: { token: null, ...authService.anonymousPrincipal(), authEnabled: false } });
+    }
+
+    const session = authService.createSession(req.body.apiKey);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    res.status(201).json({ success: true, data: { token: session.token, ...session.principal } });
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Everything below needs a key or session
+router.use(authenticate);
+
+/**
+ * GET /api/auth/session
+ * Who the request's key or session acts as
+ */
+router.get('/session', (req, res) => {
+  res.json({ success: true, data: { ...req.auth, authEnabled: authService.AUTH_ENABLED } });
+});
+
+/**
+ * DELETE /api/auth/session
+ * Log out of the labeling UI
+ */
+router.delete('/session', (req, res) => {
+  try {
+    authService.endSession(getRequestToken(req));
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    console.error('Error ending session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/auth/keys
+ * List the tenant's API keys (admin)
+ */
+router.get('/keys', requireScope('admin'), (req, res) => {
+  try {
+    res.json({ success: true, data: authService.listApiKeys(req.auth.tenantId) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/keys
+ * Create an API key in the caller's tenant (admin); the key is only returned here
+ * Body: {name, scopes}
+ * Keys for a new tenant, and keys with the platform scope, are created with `npm run create-key`
+ */
+router.post('/keys', requireScope('admin'), (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    const tenantId = req.auth.tenantId;
+
+    if (req.body.tenantId !== undefined && req.body.tenantId !== tenantId) {
+      return res.status(403).json({ success: false, error: 'Keys can only be created for your own tenant' });
+    }
+
+    const problem = authService.validateKey({ name, tenantId, scopes });
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const platformScopes = scopes.filter(scope => authService.PLATFORM_SCOPES.includes(scope));
+    if (platformScopes.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `The ${platformScopes.join(', ')} scope covers all tenants and can only be granted with npm run create-key`
+      });
+    }
+
+    const key = authService.createApiKey({ name, tenantId, scopes });
+    console.log(`[Auth] ${req.auth.name} created API key ${key.id} for tenant ${tenantId}`);
+    res.status(201).json({ success: true, data: key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke one of the tenant's API keys and its labeling sessions (admin)
+ */
+router.delete('/keys/:id', requireScope('admin'), (req, res) => {
+  try {
+    if (!authService.revokeApiKey(req.params.id, req.auth.tenantId)) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
+    console.log(`[Auth] ${req.auth.name} revoked API key ${req.params.id}`);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const cacheService = require('../services/cacheService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Each tenant manages only its own cache entries
+router.use(requireScope('admin'));
+
+/**
+ * GET /api/cache
+ * Get the tenant's extraction cache statistics
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: cacheService.getStats(req.auth.tenantId) });
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/cache
+ * Purge the tenant's cached extractions
+ * Query: fileHash=<sha256> to purge one file, expired=true to purge only expired entries
+ */
+router.delete('/', (req, res) => {
+  try {
+    const removed = cacheService.purge({
+      tenantId: req.auth.tenantId,
+      fileHash: req.query.fileHash,
+      expiredOnly: req.query.expired === 'true'
+    });
+    res.json({ success: true, data: { removed } });
+  } catch (error) {
+    console.error('Error purging cache:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const componentRegistry = require('../services/componentRegistry');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FLAGS = ['hasOptions', 'hasColumns', 'hasRowCount'];
+
+/**
+ * Problem with a component definition, or null when it is valid
+ * @param {Object} body - Request body
+ * @param {string} name - The component's name
+ * @param {boolean} partial - Whether missing properties are allowed (updates)
+ */
+function validateComponent(body, name, partial) {
+  if (!partial || body.description !== undefined) {
+    if (typeof body.description !== 'string' || !body.description.trim()) return 'description is required';
+  }
+  if (body.promptHint !== undefined && body.promptHint !== null && typeof body.promptHint !== 'string') {
+    return 'promptHint must be a string';
+  }
+  if (body.componentId !== undefined && body.componentId !== null && !UUID_PATTERN.test(body.componentId)) {
+    return 'componentId must be a UUID';
+  }
+  for (const flag of FLAGS) {
+    if (body[flag] !== undefined && typeof body[flag] !== 'boolean') return `${flag} must be true or false`;
+  }
+  if (body.widget !== undefined && !componentRegistry.WIDGETS.includes(body.widget)) {
+    return `widget must be one of: ${componentRegistry.WIDGETS.join(', ')}`;
+  }
+  if (body.position !== undefined && !Number.isInteger(body.position)) {
+    return 'position must be an integer';
+  }
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases) || body.aliases.some(alias => typeof alias !== 'string')) {
+      return 'aliases must be an array of strings';
+    }
+
+    // An alias may only resolve to one component
+    for (const alias of body.aliases) {
+      const owner = componentRegistry.resolveComponentType(alias);
+      if (owner.match !== 'fallback' && owner.component !== name) {
+        return `Alias "${alias}" already belongs to ${owner.component}`;
+      }
+    }
+  }
+  return null;
+}
+
+function pickChanges(body) {
+  const changes = {};
+  for (const property of ['componentId', 'description', 'promptHint', 'aliases', 'widget', 'position', ...FLAGS]) {
+    if (body[property] !== undefined) changes[property] = body[property];
+  }
+  return changes;
+}
+
+/**
+ * GET /api/components
+ * List the registered form components
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: componentRegistry.listComponents() });
+  } catch (error) {
+    console.error('Error listing components:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/components/:name
+ * Get one component
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const component = componentRegistry.getComponent(req.params.name);
+    if (!component) {
+      return res.status(404).json({ success: false, error: 'Component not found' });
+    }
+    res.json({ success: true, data: component });
+  } catch (error) {
+    console.error('Error getting component:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/components
+ * Register a component; it is offered to the model on the next extraction (platform)
+ * Body: {name, description, componentId?, promptHint?, aliases?, hasOptions?, hasColumns?, hasRowCount?, widget?, position?}
+ * widget is how fields are filled in (default "text"); a "Date Picker" would be {widget: "text"}
+ */
+router.post('/', requireScope('platform'), (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+
+    const problem = validateComponent(req.body, name, false);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const existing = componentRegistry.resolveComponentType(name);
+    if (existing.match !== 'fallback') {
+      return res.status(409).json({ success: false, error: `Component already exists: ${existing.component}` });
+    }
+
+    const component = componentRegistry.createComponent({ name, ...pickChanges(req.body) });
+    res.status(201).json({ success: true, data: component });
+  } catch (error) {
+    console.error('Error creating component:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/components/:name
+ * Update a component's UUID, descriptions, aliases, properties, widget or position (platform)
+ */
+router.put('/:name', requireScope('platform'), (req, res) => {
+  try {
+    if (!componentRegistry.getComponent(req.params.name)) {
+      return res.status(404).json({ success: false, error: 'Component not found' });
+    }
+
+    const problem = validateComponent(req.body, req.params.name, true);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const component = componentRegistry.updateComponent(req.params.name, pickChanges(req.body));
+    res.json({ success: true, data: component });
+  } catch (error) {
+    console.error('Error updating component:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/components/:name
+ * Remove a component added through the API (the original components are kept) (platform)
+ */
+router.delete('/:name', requireScope('platform'), (req, res) => {
+  try {
+    const component = componentRegistry.getComponent(req.params.name);
+    if (!component) {
+      return res.status(404).json({ success: false, error: 'Component not found' });
+    }
+    if (component.builtIn) {
+      return res.status(409).json({ success: false, error: `${component.name} is a built-in component and cannot be deleted` });
+    }
+
+    componentRegistry.deleteComponent(component.name);
+    res.json({ success: true, message: 'Component deleted' });
+  } catch (error) {
+    console.error('Error deleting component:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const dictionaryService = require('../services/dataDictionaryService');
+const { DATA_TYPES } = require('../services/dataTypes');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Default number of suggestions returned for a field
+const DEFAULT_SUGGESTION_LIMIT = 5;
+
+/**
+ * Problem with an entry's label, data type or synonyms, or null when they are valid
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether missing properties are allowed (updates)
+ */
+function validateEntry(body, partial) {
+  if (!partial || body.label !== undefined) {
+    if (typeof body.label !== 'string' || !body.label.trim()) return 'label is required';
+  }
+  if (body.dataType !== undefined && body.dataType !== null && !DATA_TYPES.includes(body.dataType)) {
+    return `Invalid dataType: ${body.dataType}. Use one of: ${DATA_TYPES.join(', ')}`;
+  }
+  if (body.synonyms !== undefined && (!Array.isArray(body.synonyms) || body.synonyms.some(s => typeof s !== 'string'))) {
+    return 'synonyms must be an array of strings';
+  }
+  return null;
+}
+
+/**
+ * GET /api/dictionary
+ * List dictionary entries
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ success: true, data: dictionaryService.listEntries() });
+  } catch (error) {
+    console.error('Error listing dictionary:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/dictionary/suggest
+ * Rank dictionary keys for a field
+ * Query: label (required), section, dataType, limit
+ */
+router.get('/suggest', (req, res) => {
+  try {
+    const { label, section, dataType } = req.query;
+    if (!label) {
+      return res.status(400).json({ success: false, error: 'label is required' });
+    }
+
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_SUGGESTION_LIMIT;
+    const suggestions = dictionaryService.scoreEntries({ label, dataType }, { sectionTitle: section, tenantId: req.auth.tenantId });
+
+    res.json({
+      success: true,
+      data: {
+        threshold: dictionaryService.MATCH_THRESHOLD,
+        suggestions: suggestions.slice(0, limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error suggesting dictionary keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/dictionary/:key
+ * Get one dictionary entry
+ */
+router.get('/:key', (req, res) => {
+  try {
+    const entry = dictionaryService.getEntry(req.params.key);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Dictionary key not found' });
+    }
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error getting dictionary entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/dictionary
+ * Add a dictionary entry (platform)
+ * Body: {key, label, description?, dataType?, synonyms?}
+ */
+router.post('/', requireScope('platform'), (req, res) => {
+  try {
+    const { key } = req.body;
+    if (typeof key !== 'string' || !dictionaryService.KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        success: false,
+        error: 'key must be a dotted lowercase path such as "applicant.legal_name"'
+      });
+    }
+
+    const problem = validateEntry(req.body, false);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    if (dictionaryService.getEntry(key)) {
+      return res.status(409).json({ success: false, error: `Dictionary key already exists: ${key}` });
+    }
+
+    const entry = dictionaryService.createEntry({
+      key,
+      label: req.body.label.trim(),
+      description: req.body.description,
+      dataType: req.body.dataType,
+      synonyms: req.body.synonyms
+    });
+    res.status(201).json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error creating dictionary entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/dictionary/:key
+ * Update a dictionary entry's label, description, data type or synonyms (platform)
+ */
+router.put('/:key', requireScope('platform'), (req, res) => {
+  try {
+    const problem = validateEntry(req.body, true);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem });
+    }
+
+    const changes = {};
+    for (const property of ['label', 'description', 'dataType', 'synonyms']) {
+      if (req.body[property] !== undefined) changes[property] = req.body[property];
+    }
+
+    const entry = dictionaryService.updateEntry(req.params.key, changes);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Dictionary key not found' });
+    }
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error updating dictionary entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/dictionary/:key
+ * Remove a dictionary entry (platform)
+ */
+router.delete('/:key', requireScope('platform'), (req, res) => {
+  try {
+    if (!dictionaryService.deleteEntry(req.params.key)) {
+      return res.status(404).json({ success: false, error: 'Dictionary key not found' });
+    }
+    res.json({ success: true, message: 'Dictionary key deleted' });
+  } catch (error) {
+    console.error('Error deleting dictionary entry:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
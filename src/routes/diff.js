@@ -0,0 +1,31 @@
+const express = require('express');
+const { diffFormStructures } = require('../services/formDiff');
+
+const router = express.Router();
+
+/**
+ * POST /api/diff
+ * Compare two form structures (e.g. two editions of a form, or an extraction and its correction)
+ * Body: {before, after} - form structures with a sections array
+ */
+router.post('/', (req, res) => {
+  try {
+    const { before, after } = req.body;
+
+    for (const [name, form] of [['before', before], ['after', after]]) {
+      if (!form || typeof form !== 'object' || !Array.isArray(form.sections)) {
+        return res.status(400).json({
+          success: false,
+          error: `${name} must be a form structure with a sections array`
+        });
+      }
+    }
+
+    res.json({ success: true, data: diffFormStructures(before, after) });
+  } catch (error) {
+    console.error('Error comparing form structures:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const formExporter = require('../services/formExporter');
+const { buildFillablePdf, PDF_LAYOUTS } = require('../services/pdfFormBuilder');
+const jobService = require('../services/jobService');
+const trainingService = require('../services/trainingService');
+
+const router = express.Router();
+
+/**
+ * Send a form structure in the requested export format
+ * @param {Array<Object>} [pageImages] - Original page images, used to overlay PDF fields
+ */
+async function sendExport(req, res, formStructure, pageImages = []) {
+  if (!formStructure || !Array.isArray(formStructure.sections)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A form structure with a sections array is required'
+    });
+  }
+
+  if (req.params.format === 'json-schema') {
+    return res.json({ success: true, data: formExporter.toJsonSchema(formStructure) });
+  }
+
+  if (req.params.format === 'pdf') {
+    const layout = req.query.layout || 'auto';
+    if (!PDF_LAYOUTS.includes(layout)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid layout: ${layout}. Use one of: ${PDF_LAYOUTS.join(', ')}`
+      });
+    }
+
+    const pdf = await buildFillablePdf(formStructure, { pageImages, layout });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'X-Pdf-Layout': pdf.layout,
+      'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="form.pdf"`
+    });
+    return res.send(Buffer.from(pdf.bytes));
+  }
+
+  const html = formExporter.toHtmlForm(formStructure, { action: req.query.action });
+  if (req.query.download === 'true') {
+    res.attachment('form.html');
+  }
+  res.type('html').send(html);
+}
+
+/**
+ * Reject formats we cannot export
+ */
+router.use('/:format', (req, res, next) => {
+  if (!formExporter.EXPORT_FORMATS.includes(req.params.format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown export format: ${req.params.format}. Use one of: ${formExporter.EXPORT_FORMATS.join(', ')}`
+    });
+  }
+  next();
+});
+
+/**
+ * POST /api/export/:format
+ * Export a form structure sent in the request body
+ * Body: the extraction's data ({formTitle, sections}), or {data: ...} as returned by /api/extract-form
+ * Format: json-schema returns {schema, uiSchema}; html returns a standalone HTML form;
+ *         pdf returns a fillable PDF laid out on clean pages
+ * Query: download=true to download as a file
+ *        action=<url> (html) for the form's submit target
+ */
+router.post('/:format', async (req, res) => {
+  try {
+    const formStructure = req.body && req.body.sections ? req.body : req.body?.data;
+    await sendExport(req, res, formStructure);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/export/:format
+ * Export one of the tenant's stored extractions
+ * Query: jobId=<id> for a completed extraction job, or
+ *        formId=<id> for a training form (its corrected extraction when there is one)
+ *        layout=auto|overlay|clean (pdf) - training forms keep their page images, so their
+ *        fields can be overlaid on the original pages
+ */
+router.get('/:format', async (req, res) => {
+  try {
+    let formStructure;
+    let pageImages = [];
+
+    if (req.query.jobId) {
+      const job = jobService.getJob(req.query.jobId, req.auth.tenantId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      if (job.status !== 'completed') {
+        return res.status(409).json({ success: false, error: `Job is not complete yet (status: ${job.status})` });
+      }
+      formStructure = jobService.getJobResult(req.query.jobId, req.auth.tenantId).data;
+    } else if (req.query.formId) {
+      const form = trainingService.getFormById(req.query.formId, req.auth.tenantId);
+      if (!form) {
+        return res.status(404).json({ success: false, error: 'Form not found' });
+      }
+      formStructure = form.correctedExtraction || form.aiExtraction;
+      pageImages = form.images;
+    } else {
+      return res.status(400).json({ success: false, error: 'jobId or formId is required' });
+    }
+
+    await sendExport(req, res, formStructure, pageImages);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
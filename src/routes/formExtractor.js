@@ -2,9 +2,13 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { processFile, UPLOADS_DIR } = require('../services/fileProcessor');
-const { extractFormStructure } = require('../services/openaiService');
-const { isSupportedFileType, ensureDirectory } = require('../utils/helpers');
+const { processFiles, orderFiles, describeFiles, getSupportedFormats, UPLOADS_DIR } = require('../services/fileProcessor');
+const { extractFormStructureWithMeta, ACROFORM_MODES, DEFAULT_ACROFORM_MODE, EXTRACTION_MODES } = require('../services/openaiService');
+const jobService = require('../services/jobService');
+const cacheService = require('../services/cacheService');
+const componentRegistry = require('../services/componentRegistry');
+const { requireScope } = require('../middleware/auth');
+const { isSupportedFileType, ensureDirectory, cleanupFiles } = require('../utils/helpers');
 
 const router = express.Router();
 
@@ -42,8 +46,15 @@ const upload = multer({
  * POST /api/extract-form
  * Extract form structure from uploaded document
  * Accepts field names: 'file', 'document', 'pdf', 'image'
+ * Several files (e.g. photos of each page, or a PDF plus scanned pages) are extracted as one form
+ * Query: pageOrder=2,1,3 to order the files by upload position or filename (default: upload order)
+ *        async=true to return a job ID immediately (poll GET /api/jobs/:id)
+ *        noCache=true to skip the result cache and re-extract
+ *        acroForm=merge|replace|off for how fillable PDF fields are used
+ *        mode=structure|values - values also returns what was entered in a completed form,
+ *        as each field's `value` (default: structure)
  */
-router.post('/extract-form', (req, res, next) => {
+router.post('/extract-form', requireScope('extract'), (req, res, next) => {
   // Handle multiple possible field names
   const uploadHandler = upload.any();
 
@@ -52,8 +63,6 @@ router.post('/extract-form', (req, res, next) => {
       return next(err);
     }
 
-    // Get the first uploaded file regardless of field name
-    req.file = req.files && req.files[0];
     handleFormExtraction(req, res, next);
   });
 });
@@ -63,35 +72,112 @@ async function handleFormExtraction(req, res, next) {
 
   try {
     // Check if file was uploaded
-    if (!req.file) {
+    if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'No file uploaded. Please upload a PDF, DOCX, JPG, or PNG file.'
+        error: 'No file uploaded. Please upload a PDF, Word document, or image (JPG, PNG, TIFF, WebP, HEIC).'
       });
     }
 
-    console.log(`Processing file: ${req.file.originalname} (${req.file.size} bytes)`);
+    const uploadedPaths = req.files.map(file => file.path);
+    const useCache = req.query.noCache !== 'true';
+    const acroFormMode = req.query.acroForm || DEFAULT_ACROFORM_MODE;
+    const mode = req.query.mode || 'structure';
 
-    // Process file and convert to images
-    const images = await processFile(req.file);
+    if (!ACROFORM_MODES.includes(acroFormMode)) {
+      await cleanupFiles(uploadedPaths);
+      return res.status(400).json({
+        success: false,
+        error: `Invalid acroForm mode: ${acroFormMode}. Use one of: ${ACROFORM_MODES.join(', ')}`
+      });
+    }
+
+    if (!EXTRACTION_MODES.includes(mode)) {
+      await cleanupFiles(uploadedPaths);
+      return res.status(400).json({
+        success: false,
+        error: `Invalid mode: ${mode}. Use one of: ${EXTRACTION_MODES.join(', ')}`
+      });
+    }
+
+    const ordered = orderFiles(req.files, req.query.pageOrder || req.body.pageOrder);
+    if (ordered.error) {
+      await cleanupFiles(uploadedPaths);
+      return res.status(400).json({ success: false, error: ordered.error });
+    }
+
+    const files = ordered.files;
+    const originalFilename = files.map(file => file.originalname).join(', ');
+    const fileSize = files.reduce((sum, file) => sum + file.size, 0);
+
+    if (req.query.async === 'true') {
+      const jobId = jobService.createJob(originalFilename, fileSize, req.auth.tenantId);
+      jobService.startJob(jobId, files, { useCache, acroFormMode, mode });
+
+      console.log(`Queued extraction job ${jobId} for ${originalFilename}`);
+
+      return res.status(202).json({
+        success: true,
+        data: {
+          jobId,
+          status: 'queued',
+          statusUrl: `/api/jobs/${jobId}`,
+          resultUrl: `/api/jobs/${jobId}/result`
+        }
+      });
+    }
+
+    // Return a cached extraction when the same file was processed before for this tenant
+    const tenantId = req.auth.tenantId;
+    const cacheContext = cacheService.getCacheContext(await cacheService.hashFiles(files.map(file => file.path)), tenantId, { acroFormMode, mode });
+    const cached = useCache ? cacheService.lookup(cacheContext) : null;
+
+    if (cached) {
+      await cleanupFiles(uploadedPaths);
+      console.log(`Cache hit for ${originalFilename}`);
+
+      return res.json({
+        success: true,
+        data: cached.value.data,
+        meta: {
+          originalFilename,
+          fileSize,
+          files: describeFiles(files, cached.value.pageCounts),
+          pagesProcessed: cached.value.pagesProcessed,
+          processingTimeMs: Date.now() - startTime,
+          ...cached.value.meta,
+          cache: { hit: true, cachedAt: cached.createdAt, expiresAt: cached.expiresAt }
+        }
+      });
+    }
+
+    console.log(`Processing ${files.length} file(s): ${originalFilename} (${fileSize} bytes)`);
+
+    // Process files and convert to images, numbered as one document
+    const { images, acroForm, textLayer, pageCounts } = await processFiles(files);
 
     console.log(`Converted to ${images.length} image(s), sending to GPT-4o...`);
 
     // Extract form structure using GPT-4o
-    const formStructure = await extractFormStructure(images);
+    const { formStructure, meta: extractionMeta } = await extractFormStructureWithMeta(images, { acroForm, acroFormMode, textLayer, mode, tenantId });
 
     const processingTime = Date.now() - startTime;
     console.log(`Form extraction completed in ${processingTime}ms`);
 
+    cacheService.save(cacheContext, { data: formStructure, pagesProcessed: images.length, pageCounts, meta: extractionMeta });
+
     // Return successful response
     res.json({
       success: true,
       data: formStructure,
       meta: {
-        originalFilename: req.file.originalname,
-        fileSize: req.file.size,
+        originalFilename,
+        fileSize,
+        files: describeFiles(files, pageCounts),
         pagesProcessed: images.length,
-        processingTimeMs: processingTime
+        processingTimeMs: processingTime,
+        ...extractionMeta,
+        cache: { hit: false, bypassed: !useCache }
       }
     });
   } catch (error) {
@@ -103,84 +189,20 @@ async function handleFormExtraction(req, res, next) {
 /**
  * GET /api/supported-types
  * Get list of supported file types
+ * Only formats whose converters are installed on this server are listed in supportedTypes
  */
 router.get('/supported-types', (req, res) => {
+  const formats = getSupportedFormats();
+
   res.json({
     success: true,
     data: {
-      supportedTypes: ['pdf', 'docx', 'doc', 'jpg', 'jpeg', 'png'],
+      supportedTypes: formats.filter(format => format.available).flatMap(format => format.extensions),
+      formats,
       maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024,
-      components: [
-        'Signature',
-        'Multi-Select',
-        'File Upload',
-        'Short Input',
-        'Sections',
-        'Dropdown',
-        'Radio Select',
-        'Table',
-        'Title',
-        'Long Input'
-      ]
+      components: componentRegistry.getComponentNames()
     }
   });
 });
 
-/**
- * GET /api/components
- * Get list of available form components
- */
-router.get('/components', (req, res) => {
-  res.json({
-    success: true,
-    data: [
-      {
-        name: 'Signature',
-        description: 'Signature lines, boxes, or areas for signatures'
-      },
-      {
-        name: 'Multi-Select',
-        description: 'Checkboxes allowing multiple selections',
-        hasOptions: true
-      },
-      {
-        name: 'File Upload',
-        description: 'Areas for file attachments or document uploads'
-      },
-      {
-        name: 'Short Input',
-        description: 'Single-line text input fields'
-      },
-      {
-        name: 'Sections',
-        description: 'Section dividers and headers'
-      },
-      {
-        name: 'Dropdown',
-        description: 'Select/dropdown fields',
-        hasOptions: true
-      },
-      {
-        name: 'Radio Select',
-        description: 'Radio buttons for single selection',
-        hasOptions: true
-      },
-      {
-        name: 'Table',
-        description: 'Tabular structures with columns and row count',
-        hasColumns: true,
-        hasRowCount: true
-      },
-      {
-        name: 'Title',
-        description: 'Form titles and major headings'
-      },
-      {
-        name: 'Long Input',
-        description: 'Multi-line text areas and comment boxes'
-      }
-    ]
-  });
-});
-
 module.exports = router;
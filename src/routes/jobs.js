@@ -0,0 +1,61 @@
+const express = require('express');
+const jobService = require('../services/jobService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(requireScope('extract'));
+
+/**
+ * GET /api/jobs/:id
+ * Get status and progress of one of the tenant's extraction jobs
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const job = jobService.getJob(req.params.id, req.auth.tenantId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * Get the extracted form structure of a completed job
+ */
+router.get('/:id/result', (req, res) => {
+  try {
+    const job = jobService.getJob(req.params.id, req.auth.tenantId);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+
+    if (job.status === 'failed') {
+      return res.status(422).json({ success: false, error: job.error, data: job });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Job is not complete yet (status: ${job.status})`,
+        data: job
+      });
+    }
+
+    const result = jobService.getJobResult(req.params.id, req.auth.tenantId);
+    res.json({
+      success: true,
+      data: result.data,
+      meta: { ...result.meta, jobId: job.id }
+    });
+  } catch (error) {
+    console.error('Error getting job result:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
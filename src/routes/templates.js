@@ -0,0 +1,73 @@
+const express = require('express');
+const templateService = require('../services/templateService');
+const { requireScope } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/templates
+ * List the tenant's known form templates, built from its verified training forms
+ */
+router.get('/', requireScope('label'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        threshold: templateService.MATCH_THRESHOLD,
+        templates: templateService.listTemplates(req.auth.tenantId)
+      }
+    });
+  } catch (error) {
+    console.error('Error listing templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/templates/rebuild
+ * Rebuild the tenant's template library from its verified training forms (admin)
+ */
+router.post('/rebuild', requireScope('admin'), async (req, res) => {
+  try {
+    const count = await templateService.rebuildTemplates(req.auth.tenantId);
+    res.json({ success: true, data: { templates: count } });
+  } catch (error) {
+    console.error('Error rebuilding templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/templates/:id
+ * Get a template with its verified structure
+ */
+router.get('/:id', requireScope('label'), (req, res) => {
+  try {
+    const template = templateService.getTemplate(req.params.id, req.auth.tenantId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    console.error('Error getting template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/templates/:id
+ * Stop reusing a template (re-verifying its training form adds it back) (admin)
+ */
+router.delete('/:id', requireScope('admin'), (req, res) => {
+  try {
+    if (!templateService.deleteTemplate(req.params.id, req.auth.tenantId)) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,16 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const OpenAI = require('openai');
-const { processFile, UPLOADS_DIR } = require('../services/fileProcessor');
-const { extractFormStructure } = require('../services/openaiService');
+const { processFiles, orderFiles, UPLOADS_DIR } = require('../services/fileProcessor');
+const { extractFormStructure, validateFormStructure } = require('../services/openaiService');
 const trainingService = require('../services/trainingService');
-const { isSupportedFileType, ensureDirectory } = require('../utils/helpers');
+const evaluationService = require('../services/evaluationService');
+const { validateConditions } = require('../services/conditionalLogic');
+const { findUnknownKeys } = require('../services/dataDictionaryService');
+const { sanitizeValidation } = require('../services/dataTypes');
+const templateService = require('../services/templateService');
+const { requireScope } = require('../middleware/auth');
+const { isSupportedFileType, ensureDirectory, cleanupFiles } = require('../utils/helpers');
 
 // Initialize OpenAI client for fine-tuning
 const openai = new OpenAI({
@@ -50,9 +56,9 @@ const upload = multer({
  * GET /api/training/stats
  * Get training data statistics
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requireScope('label'), (req, res) => {
   try {
-    const stats = trainingService.getStats();
+    const stats = trainingService.getStats(req.auth.tenantId);
     res.json({ success: true, data: stats });
   } catch (error) {
     console.error('Error getting stats:', error);
@@ -64,9 +70,9 @@ router.get('/stats', (req, res) => {
  * GET /api/training/forms
  * Get all training forms
  */
-router.get('/forms', (req, res) => {
+router.get('/forms', requireScope('label'), (req, res) => {
   try {
-    const forms = trainingService.getAllForms();
+    const forms = trainingService.getAllForms(req.auth.tenantId);
     res.json({ success: true, data: forms });
   } catch (error) {
     console.error('Error getting forms:', error);
@@ -78,9 +84,9 @@ router.get('/forms', (req, res) => {
  * GET /api/training/forms/:id
  * Get a specific training form with images and extractions
  */
-router.get('/forms/:id', (req, res) => {
+router.get('/forms/:id', requireScope('label'), (req, res) => {
   try {
-    const form = trainingService.getFormById(req.params.id);
+    const form = trainingService.getFormById(req.params.id, req.auth.tenantId);
     if (!form) {
       return res.status(404).json({ success: false, error: 'Form not found' });
     }
@@ -94,8 +100,9 @@ router.get('/forms/:id', (req, res) => {
 /**
  * POST /api/training/upload
  * Upload a form for training data creation
+ * Several files are stored as one form; pageOrder=2,1,3 orders them by upload position or filename
  */
-router.post('/upload', (req, res, next) => {
+router.post('/upload', requireScope('label'), (req, res, next) => {
   const uploadHandler = upload.any();
 
   uploadHandler(req, res, async (err) => {
@@ -103,31 +110,38 @@ router.post('/upload', (req, res, next) => {
       return next(err);
     }
 
-    req.file = req.files && req.files[0];
-
     try {
-      if (!req.file) {
+      if (!req.files || req.files.length === 0) {
         return res.status(400).json({
           success: false,
           error: 'No file uploaded'
         });
       }
 
-      console.log(`[Training] Processing file: ${req.file.originalname}`);
+      const ordered = orderFiles(req.files, req.query.pageOrder || req.body.pageOrder);
+      if (ordered.error) {
+        await cleanupFiles(req.files.map(file => file.path));
+        return res.status(400).json({ success: false, error: ordered.error });
+      }
+
+      const filename = ordered.files.map(file => file.originalname).join(', ');
+      console.log(`[Training] Processing ${ordered.files.length} file(s): ${filename}`);
 
-      // Process file and convert to images
-      const images = await processFile(req.file);
+      // Process files and convert to images, numbered as one document
+      const { images, acroForm, textLayer } = await processFiles(ordered.files);
 
       console.log(`[Training] Converted to ${images.length} image(s), extracting with AI...`);
 
       // Extract form structure using GPT-4o
-      const aiExtraction = await extractFormStructure(images);
+      const aiExtraction = await extractFormStructure(images, { acroForm, textLayer, useTemplates: false, tenantId: req.auth.tenantId });
 
       // Store in database
       const formId = trainingService.createForm(
-        req.file.originalname,
+        filename,
         images,
-        aiExtraction
+        aiExtraction,
+        req.auth.tenantId,
+        { acroForm, textLayer }
       );
 
       console.log(`[Training] Form saved with ID: ${formId}`);
@@ -136,7 +150,7 @@ router.post('/upload', (req, res, next) => {
         success: true,
         data: {
           formId,
-          filename: req.file.originalname,
+          filename,
           pageCount: images.length,
           aiExtraction
         }
@@ -151,8 +165,10 @@ router.post('/upload', (req, res, next) => {
 /**
  * PUT /api/training/forms/:id
  * Update the corrected extraction for a form
+ * It must match the form structure schema, and fields' visibleWhen conditions must refer to
+ * another field and one of its options
  */
-router.put('/forms/:id', (req, res) => {
+router.put('/forms/:id', requireScope('label'), async (req, res) => {
   try {
     const { correctedExtraction, isVerified } = req.body;
 
@@ -163,16 +179,62 @@ router.put('/forms/:id', (req, res) => {
       });
     }
 
-    const form = trainingService.getFormById(req.params.id);
+    const { errors: schemaErrors } = validateFormStructure(correctedExtraction);
+    if (schemaErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid form structure: ${schemaErrors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+        schemaErrors
+      });
+    }
+
+    // Validation rules end up in exported forms, so only well-typed ones are kept
+    for (const field of correctedExtraction.sections.flatMap(section => section.fields)) {
+      if (field.validation === undefined) continue;
+      const validation = sanitizeValidation(field.validation);
+      if (Object.keys(validation).length > 0) {
+        field.validation = validation;
+      } else {
+        delete field.validation;
+      }
+    }
+
+    const conditionErrors = validateConditions(correctedExtraction);
+    if (conditionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid visibleWhen condition: ${conditionErrors.map(e => `${e.fieldId || e.path}: ${e.message}`).join('; ')}`,
+        conditionErrors
+      });
+    }
+
+    const unknownKeys = findUnknownKeys(correctedExtraction);
+    if (unknownKeys.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown dictionary key: ${unknownKeys.map(u => `${u.fieldId}: ${u.key}`).join('; ')}`
+      });
+    }
+
+    const form = trainingService.getFormById(req.params.id, req.auth.tenantId);
     if (!form) {
       return res.status(404).json({ success: false, error: 'Form not found' });
     }
 
-    trainingService.updateExtraction(req.params.id, correctedExtraction, isVerified);
+    trainingService.updateExtraction(req.params.id, req.auth.tenantId, correctedExtraction, isVerified);
+
+    // Verified forms are the template library; unverifying one withdraws its template
+    let template = null;
+    try {
+      template = await templateService.registerForm(req.params.id, req.auth.tenantId);
+    } catch (error) {
+      console.error('Error updating form template:', error);
+    }
 
     res.json({
       success: true,
-      message: isVerified ? 'Form verified and saved' : 'Form updated'
+      message: isVerified ? 'Form verified and saved' : 'Form updated',
+      template: template ? { id: template.id, name: template.name, version: template.version } : null
     });
   } catch (error) {
     console.error('Error updating form:', error);
@@ -184,14 +246,15 @@ router.put('/forms/:id', (req, res) => {
  * DELETE /api/training/forms/:id
  * Delete a training form
  */
-router.delete('/forms/:id', (req, res) => {
+router.delete('/forms/:id', requireScope('label'), (req, res) => {
   try {
-    const form = trainingService.getFormById(req.params.id);
+    const form = trainingService.getFormById(req.params.id, req.auth.tenantId);
     if (!form) {
       return res.status(404).json({ success: false, error: 'Form not found' });
     }
 
-    trainingService.deleteForm(req.params.id);
+    trainingService.deleteForm(req.params.id, req.auth.tenantId);
+    templateService.removeForm(req.params.id);
     res.json({ success: true, message: 'Form deleted' });
   } catch (error) {
     console.error('Error deleting form:', error);
@@ -203,7 +266,7 @@ router.delete('/forms/:id', (req, res) => {
  * POST /api/training/export
  * Export verified training data as JSONL for OpenAI fine-tuning
  */
-router.post('/export', (req, res) => {
+router.post('/export', requireScope('fine-tune'), (req, res) => {
   try {
     const { systemPrompt } = req.body;
 
@@ -214,8 +277,8 @@ router.post('/export', (req, res) => {
       });
     }
 
-    const jsonlData = trainingService.exportToJsonl(systemPrompt);
-    const verifiedCount = trainingService.getStats().verified;
+    const jsonlData = trainingService.exportToJsonl(systemPrompt, req.auth.tenantId);
+    const verifiedCount = trainingService.getStats(req.auth.tenantId).verified;
 
     if (verifiedCount === 0) {
       return res.status(400).json({
@@ -237,10 +300,10 @@ router.post('/export', (req, res) => {
  * GET /api/training/export/preview
  * Preview export data without downloading
  */
-router.get('/export/preview', (req, res) => {
+router.get('/export/preview', requireScope('fine-tune'), (req, res) => {
   try {
-    const stats = trainingService.getStats();
-    const verifiedForms = trainingService.getVerifiedForms();
+    const stats = trainingService.getStats(req.auth.tenantId);
+    const verifiedForms = trainingService.getVerifiedForms(req.auth.tenantId);
 
     res.json({
       success: true,
@@ -258,11 +321,74 @@ router.get('/export/preview', (req, res) => {
   }
 });
 
+/**
+ * POST /api/training/evaluate
+ * Re-run extraction on verified forms and score it against the corrected extractions
+ * Body: { provider?, model?, systemPrompt?, formIds?, limit?, label? }
+ */
+router.post('/evaluate', requireScope('fine-tune'), (req, res) => {
+  try {
+    const { provider, model, systemPrompt, formIds, limit, label } = req.body;
+
+    const { runId } = evaluationService.startEvaluation({
+      provider,
+      model,
+      systemPrompt,
+      formIds,
+      limit: limit ? parseInt(limit) : undefined,
+      label,
+      tenantId: req.auth.tenantId
+    });
+
+    res.status(202).json({
+      success: true,
+      data: {
+        runId,
+        status: 'running',
+        statusUrl: `/api/training/evaluations/${runId}`
+      }
+    });
+  } catch (error) {
+    console.error('[Evaluation] Error starting run:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/training/evaluations
+ * List evaluation runs to compare prompt versions and models
+ */
+router.get('/evaluations', requireScope('fine-tune'), (req, res) => {
+  try {
+    res.json({ success: true, data: evaluationService.listRuns(req.auth.tenantId) });
+  } catch (error) {
+    console.error('[Evaluation] Error listing runs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/training/evaluations/:id
+ * Get an evaluation run with per-form metrics
+ */
+router.get('/evaluations/:id', requireScope('fine-tune'), (req, res) => {
+  try {
+    const run = evaluationService.getRun(req.params.id, req.auth.tenantId);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Evaluation run not found' });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    console.error('[Evaluation] Error getting run:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/training/fine-tune
  * Start a fine-tuning job on OpenAI
  */
-router.post('/fine-tune', async (req, res) => {
+router.post('/fine-tune', requireScope('fine-tune'), async (req, res) => {
   try {
     const { systemPrompt, model = 'gpt-4o-2024-08-06', suffix } = req.body;
 
@@ -273,7 +399,7 @@ router.post('/fine-tune', async (req, res) => {
       });
     }
 
-    const verifiedCount = trainingService.getStats().verified;
+    const verifiedCount = trainingService.getStats(req.auth.tenantId).verified;
     if (verifiedCount < 10) {
       return res.status(400).json({
         success: false,
@@ -282,7 +408,7 @@ router.post('/fine-tune', async (req, res) => {
     }
 
     console.log('[Fine-tuning] Exporting training data...');
-    const jsonlData = trainingService.exportToJsonl(systemPrompt);
+    const jsonlData = trainingService.exportToJsonl(systemPrompt, req.auth.tenantId);
 
     // Save to temp file
     const tempFilePath = path.join(UPLOADS_DIR, `training_${Date.now()}.jsonl`);
@@ -308,6 +434,7 @@ router.post('/fine-tune', async (req, res) => {
     });
 
     console.log(`[Fine-tuning] Job created: ${fineTune.id}`);
+    trainingService.recordFineTuneJob(fineTune.id, req.auth.tenantId, { fileId: file.id, model, trainingExamples: verifiedCount });
 
     res.json({
       success: true,
@@ -330,10 +457,14 @@ router.post('/fine-tune', async (req, res) => {
 
 /**
  * GET /api/training/fine-tune/:jobId
- * Get status of a fine-tuning job
+ * Get status of a fine-tuning job started by the caller's tenant
  */
-router.get('/fine-tune/:jobId', async (req, res) => {
+router.get('/fine-tune/:jobId', requireScope('fine-tune'), async (req, res) => {
   try {
+    if (!trainingService.ownsFineTuneJob(req.params.jobId, req.auth.tenantId)) {
+      return res.status(404).json({ success: false, error: 'Fine-tuning job not found' });
+    }
+
     const job = await openai.fineTuning.jobs.retrieve(req.params.jobId);
 
     res.json({
@@ -360,15 +491,16 @@ router.get('/fine-tune/:jobId', async (req, res) => {
 
 /**
  * GET /api/training/fine-tune
- * List all fine-tuning jobs
+ * List the fine-tuning jobs started by the caller's tenant
  */
-router.get('/fine-tune', async (req, res) => {
+router.get('/fine-tune', requireScope('fine-tune'), async (req, res) => {
   try {
-    const jobs = await openai.fineTuning.jobs.list({ limit: 20 });
+    const jobIds = trainingService.getFineTuneJobIds(req.auth.tenantId);
+    const jobs = await Promise.all(jobIds.map(jobId => openai.fineTuning.jobs.retrieve(jobId)));
 
     res.json({
       success: true,
-      data: jobs.data.map(job => ({
+      data: jobs.map(job => ({
         jobId: job.id,
         status: job.status,
         model: job.model,
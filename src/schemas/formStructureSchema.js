@@ -0,0 +1,114 @@
+/**
+ * JSON Schema for the form structure returned by the vision model, and for corrected
+ * structures saved by labelers
+ */
+
+const OPTION_COMPONENTS = ['Multi-Select', 'Radio Select', 'Dropdown'];
+
+// Normalized structures carry null where a location is unknown
+const boundingBoxSchema = {
+  type: ['object', 'null'],
+  required: ['x', 'y', 'width', 'height'],
+  properties: {
+    x: { type: 'number', minimum: 0, maximum: 1 },
+    y: { type: 'number', minimum: 0, maximum: 1 },
+    width: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+    height: { type: 'number', exclusiveMinimum: 0, maximum: 1 }
+  }
+};
+
+/**
+ * Build the form structure schema for a set of component names
+ * @param {Array<string>} componentNames - Valid values for a field's component
+ * @param {Object} [properties] - Which components must list options and columns
+ * @param {Array<string>} [properties.optionComponents] - Default: OPTION_COMPONENTS
+ * @param {Array<string>} [properties.columnComponents] - Default: Table
+ * @returns {Object} JSON Schema (draft-07)
+ */
+function buildFormStructureSchema(componentNames, { optionComponents = OPTION_COMPONENTS, columnComponents = ['Table'] } = {}) {
+  const fieldSchema = {
+    type: 'object',
+    required: ['component', 'label'],
+    properties: {
+      id: { type: 'string' },
+      component: { type: 'string', enum: componentNames },
+      label: { type: 'string', minLength: 1 },
+      required: { type: 'boolean' },
+      order: { type: 'integer', minimum: 1 },
+      options: { type: 'array', items: { type: 'string' } },
+      columns: { type: 'array', items: { type: 'string' } },
+      rowCount: { type: 'integer', minimum: 0 },
+      placeholder: { type: 'string' },
+      page: { type: ['integer', 'null'], minimum: 1 },
+      bbox: boundingBoxSchema,
+      // Unknown types are not errors: normalization falls back to the label
+      dataType: { type: 'string' },
+      validation: {
+        type: 'object',
+        properties: {
+          format: { type: 'string' },
+          pattern: { type: 'string' },
+          unit: { type: 'string' },
+          // Numbers read as text ("$1,000") are parsed during normalization
+          min: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+          max: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+          maxLength: { type: 'integer', minimum: 1 }
+        }
+      },
+      visibleWhen: {
+        type: 'object',
+        required: ['field', 'equals'],
+        properties: {
+          field: { type: 'string', minLength: 1 },
+          equals: { type: 'string', minLength: 1 }
+        }
+      },
+      // Set after extraction from the data dictionary
+      dictionaryKey: { type: 'string', minLength: 1 },
+      dictionaryScore: { type: 'number', minimum: 0, maximum: 1 },
+      // Only present when reading a completed form
+      value: {
+        anyOf: ['string', 'number', 'boolean', 'array', 'null'].map(type => ({ type }))
+      }
+    },
+    allOf: [
+      {
+        if: { properties: { component: { enum: optionComponents } }, required: ['component'] },
+        then: { required: ['options'], properties: { options: { type: 'array', minItems: 1 } } }
+      },
+      {
+        if: { properties: { component: { enum: columnComponents } }, required: ['component'] },
+        then: { required: ['columns'], properties: { columns: { type: 'array', minItems: 1 } } }
+      }
+    ].filter(rule => rule.if.properties.component.enum.length > 0)
+  };
+
+  const sectionSchema = {
+    type: 'object',
+    required: ['title', 'fields'],
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      order: { type: 'integer', minimum: 1 },
+      page: { type: ['integer', 'null'], minimum: 1 },
+      bbox: boundingBoxSchema,
+      fields: { type: 'array', items: fieldSchema }
+    }
+  };
+
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Form Structure',
+    type: 'object',
+    required: ['formTitle', 'sections'],
+    properties: {
+      formTitle: { type: 'string' },
+      sections: { type: 'array', items: sectionSchema }
+    }
+  };
+}
+
+module.exports = {
+  buildFormStructureSchema,
+  OPTION_COMPONENTS
+};
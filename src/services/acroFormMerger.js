@@ -0,0 +1,255 @@
+const { textSimilarity } = require('../utils/textSimilarity');
+const { LOW_CONFIDENCE_THRESHOLD } = require('./confidenceScorer');
+const { getComponentsWith } = require('./componentRegistry');
+const { assignIds } = require('./sectionMerger');
+
+/**
+ * Merges native AcroForm fields into a vision extraction
+ * A PDF widget that sits inside a field the model found confirms that field and supplies
+ * its exact type and options; widgets the model missed are added where they sit on the page.
+ */
+
+// Share of a widget's area that must fall inside a vision field's bbox to match it
+const MIN_WIDGET_OVERLAP = 0.5;
+
+// Label similarity needed to match when either side has no location
+const LABEL_MATCH_THRESHOLD = 0.8;
+
+// Confidence given to a vision field confirmed by a PDF widget
+const CONFIRMED_CONFIDENCE = 0.95;
+
+/**
+ * Fraction of the inner box's area covered by the outer box
+ */
+function overlapRatio(inner, outer) {
+  const width = Math.min(inner.x + inner.width, outer.x + outer.width) - Math.max(inner.x, outer.x);
+  const height = Math.min(inner.y + inner.height, outer.y + outer.height) - Math.max(inner.y, outer.y);
+  if (width <= 0 || height <= 0) return 0;
+
+  const area = inner.width * inner.height;
+  return area > 0 ? (width * height) / area : 0;
+}
+
+/**
+ * How well a PDF field matches a vision field (0 when it does not)
+ */
+function matchScore(acroField, field) {
+  if (acroField.bbox && field.bbox) {
+    if (acroField.page !== field.page) return 0;
+    const overlap = overlapRatio(acroField.bbox, field.bbox);
+    return overlap >= MIN_WIDGET_OVERLAP ? overlap : 0;
+  }
+
+  const similarity = textSimilarity(acroField.label, field.label);
+  return similarity >= LABEL_MATCH_THRESHOLD ? similarity : 0;
+}
+
+/**
+ * Whether a vision field holds several PDF widgets rather than being one of them,
+ * e.g. a Table of text cells or a checkbox list drawn as separate checkboxes
+ */
+function absorbsWidgets(field, acroField) {
+  if (getComponentsWith('hasColumns').includes(field.component)) return true;
+  return acroField.acroField.type === 'checkbox' &&
+    getComponentsWith('hasOptions').includes(field.component) &&
+    (acroField.options || []).length <= 1;
+}
+
+/**
+ * Whether a field value has anything entered (blank text, no selection and unsigned do not)
+ */
+function hasEnteredValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false;
+}
+
+/**
+ * Apply a matched PDF field's type and options to a vision field
+ */
+function confirmField(field, acroField) {
+  const confirmed = {
+    ...field,
+    component: acroField.component,
+    componentId: acroField.componentId,
+    required: field.required || acroField.required,
+    source: 'acroform+vision',
+    acroFields: [acroField.acroField]
+  };
+
+  // The model saw the visual cues of a text field; the PDF only knows its length limit
+  if (acroField.dataType) {
+    const validation = { ...(field.dataType ? field.validation : acroField.validation) };
+    if (acroField.validation?.maxLength) validation.maxLength = acroField.validation.maxLength;
+
+    confirmed.dataType = field.dataType || acroField.dataType;
+    if (Object.keys(validation).length > 0) {
+      confirmed.validation = validation;
+    } else {
+      delete confirmed.validation;
+    }
+  } else {
+    delete confirmed.dataType;
+    delete confirmed.validation;
+  }
+
+  if (getComponentsWith('hasOptions').includes(acroField.component)) {
+    confirmed.options = acroField.options && acroField.options.length > 0 ? acroField.options : (field.options || []);
+  } else {
+    delete confirmed.options;
+  }
+
+  // Values typed into the PDF are exact; the model's reading is kept only when the PDF field is empty
+  if (hasEnteredValue(acroField.value)) {
+    confirmed.value = acroField.value;
+  }
+
+  confirmed.confidence = Math.max(field.confidence ?? 0, CONFIRMED_CONFIDENCE);
+  confirmed.needsReview = confirmed.confidence < LOW_CONFIDENCE_THRESHOLD;
+  delete confirmed.confidenceReasons;
+
+  return confirmed;
+}
+
+/**
+ * Position of a field in reading order, for placing added fields
+ */
+function readingPosition(field) {
+  return [field.page ?? Infinity, field.bbox ? field.bbox.y : Infinity];
+}
+
+function comparePositions(a, b) {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * Pick the section an unmatched PDF field belongs in: the one whose box contains it,
+ * otherwise the last section that starts at or before it
+ */
+function findSection(sections, acroField) {
+  if (acroField.bbox) {
+    const centerY = acroField.bbox.y + acroField.bbox.height / 2;
+    const containing = sections.find(section =>
+      section.page === acroField.page && section.bbox &&
+      centerY >= section.bbox.y && centerY <= section.bbox.y + section.bbox.height
+    );
+    if (containing) return containing;
+  }
+
+  const position = readingPosition(acroField);
+  let best = null;
+  for (const section of sections) {
+    const start = [section.page ?? Infinity, section.bbox ? section.bbox.y : 0];
+    if (comparePositions(start, position) <= 0) best = section;
+  }
+  return best;
+}
+
+/**
+ * Insert a field into a section before the first field that comes after it on the page
+ */
+function insertInReadingOrder(section, field) {
+  const position = readingPosition(field);
+  const index = section.fields.findIndex(existing =>
+    existing.bbox && comparePositions(readingPosition(existing), position) > 0
+  );
+
+  if (index === -1) {
+    section.fields.push(field);
+  } else {
+    section.fields.splice(index, 0, field);
+  }
+}
+
+/**
+ * Merge normalized AcroForm fields into a vision extraction
+ * @param {Object} formStructure - Merged vision extraction
+ * @param {Array<Object>} acroFields - Normalized fields built from the PDF, each with an acroField {name, type}
+ * @returns {{formStructure: Object, matched: number, added: number}}
+ */
+function mergeAcroFormFields(formStructure, acroFields) {
+  const sections = formStructure.sections.map(section => ({
+    ...section,
+    fields: section.fields.map(field => ({ ...field, source: 'vision' }))
+  }));
+  const visionFields = sections.flatMap((section, sectionIndex) =>
+    section.fields.map((field, fieldIndex) => ({ field, sectionIndex, fieldIndex }))
+  );
+
+  // Best pairs first; a field that absorbs widgets can take more than one
+  const candidates = [];
+  acroFields.forEach((acroField, acroIndex) => {
+    visionFields.forEach((entry, visionIndex) => {
+      const score = matchScore(acroField, entry.field);
+      if (score > 0) candidates.push({ acroIndex, visionIndex, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedAcro = new Set();
+  const confirmedVision = new Set();
+  let matched = 0;
+
+  for (const { acroIndex, visionIndex } of candidates) {
+    if (usedAcro.has(acroIndex)) continue;
+
+    const acroField = acroFields[acroIndex];
+    const { sectionIndex, fieldIndex } = visionFields[visionIndex];
+    const field = sections[sectionIndex].fields[fieldIndex];
+
+    if (absorbsWidgets(field, acroField)) {
+      if (confirmedVision.has(visionIndex)) continue;
+      sections[sectionIndex].fields[fieldIndex] = {
+        ...field,
+        source: 'acroform+vision',
+        acroFields: [...(field.acroFields || []), acroField.acroField]
+      };
+    } else {
+      if (confirmedVision.has(visionIndex) || field.source !== 'vision') continue;
+      sections[sectionIndex].fields[fieldIndex] = confirmField(field, acroField);
+      confirmedVision.add(visionIndex);
+    }
+
+    usedAcro.add(acroIndex);
+    matched++;
+  }
+
+  // Add the PDF fields the model missed
+  let added = 0;
+  acroFields.forEach((acroField, acroIndex) => {
+    if (usedAcro.has(acroIndex)) return;
+
+    let section = findSection(sections, acroField);
+    if (!section) {
+      section = {
+        title: 'Additional Fields',
+        page: acroField.page,
+        bbox: null,
+        fields: []
+      };
+      sections.push(section);
+    }
+
+    const { acroField: descriptor, ...field } = acroField;
+    insertInReadingOrder(section, { ...field, source: 'acroform', acroFields: [descriptor] });
+    added++;
+  });
+
+  // Order by final document position; vision fields keep their IDs, so conditions still resolve
+  const { sectionIds, fieldIds } = assignIds(sections);
+  const orderedSections = sections.map((section, idx) => ({
+    ...section,
+    id: sectionIds[idx],
+    order: idx + 1,
+    fields: section.fields.map((field, fieldIdx) => ({ ...field, id: fieldIds.get(field), order: fieldIdx + 1 }))
+  }));
+
+  return {
+    formStructure: { ...formStructure, sections: orderedSections },
+    matched,
+    added
+  };
+}
+
+module.exports = {
+  mergeAcroFormFields
+};
@@ -0,0 +1,335 @@
+const fs = require('fs').promises;
+const {
+  PDFDocument,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFSignature,
+  PDFName
+} = require('pdf-lib');
+
+/**
+ * Reads native AcroForm fields from fillable PDFs
+ * Field names, types, options and widget rectangles come straight from the file,
+ * so they can be trusted over what the vision model infers from the rendered page.
+ */
+
+/**
+ * Map a pdf-lib field onto an AcroForm type and our component type
+ * @returns {{type: string, component: string}|null} null for push buttons and unknown fields
+ */
+function classifyField(field) {
+  if (field instanceof PDFTextField) {
+    if (field.isFileSelector()) return { type: 'text', component: 'File Upload' };
+    return { type: 'text', component: field.isMultiline() ? 'Long Input' : 'Short Input' };
+  }
+  if (field instanceof PDFCheckBox) return { type: 'checkbox', component: 'Multi-Select' };
+  if (field instanceof PDFRadioGroup) return { type: 'radio', component: 'Radio Select' };
+  if (field instanceof PDFDropdown) return { type: 'dropdown', component: 'Dropdown' };
+  if (field instanceof PDFOptionList) {
+    return { type: 'listbox', component: field.isMultiselect() ? 'Multi-Select' : 'Dropdown' };
+  }
+  if (field instanceof PDFSignature) return { type: 'signature', component: 'Signature' };
+  return null;
+}
+
+/**
+ * Turn a field name into words: separators and camelCase are split, first letter capitalized
+ */
+function humanizeName(name) {
+  const words = name
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Readable label for a field: its tooltip (/TU) when set, otherwise its humanized partial name
+ */
+function getFieldLabel(field) {
+  const tooltip = field.acroField.dict.lookup(PDFName.of('TU'));
+  if (tooltip && typeof tooltip.decodeText === 'function') {
+    const text = tooltip.decodeText().trim();
+    if (text) return text;
+  }
+
+  return humanizeName(field.acroField.getPartialName() || field.getName());
+}
+
+/**
+ * Export values of a checkbox's widgets (the value written when it is checked)
+ */
+function getCheckBoxExportValues(field) {
+  return field.acroField.getWidgets()
+    .map(widget => widget.getOnValue())
+    .filter(Boolean)
+    .map(value => value.decodeText())
+    .filter(value => value && value !== 'Off');
+}
+
+/**
+ * Options for fields that have them
+ */
+function getFieldOptions(field) {
+  if (field instanceof PDFRadioGroup || field instanceof PDFDropdown || field instanceof PDFOptionList) {
+    return field.getOptions();
+  }
+  return undefined;
+}
+
+/**
+ * Value currently entered in a field: text for text fields, the selected option(s)
+ * for choice fields, whether it is checked for a checkbox and whether it is signed
+ */
+function getFieldValue(field) {
+  try {
+    if (field instanceof PDFTextField) return field.getText() ?? null;
+    if (field instanceof PDFCheckBox) return field.isChecked();
+    if (field instanceof PDFRadioGroup) return field.getSelected() ?? null;
+    if (field instanceof PDFDropdown) return field.getSelected()[0] ?? null;
+    if (field instanceof PDFOptionList) {
+      const selected = field.getSelected();
+      return field.isMultiselect() ? selected : selected[0] ?? null;
+    }
+    if (field instanceof PDFSignature) return Boolean(field.acroField.dict.lookup(PDFName.of('V')));
+  } catch (error) {
+    // Malformed values are treated as empty
+  }
+  return null;
+}
+
+/**
+ * Convert a widget rectangle in PDF user space to a normalized bbox on the rendered page
+ * PDF coordinates start at the bottom-left; page images start at the top-left and
+ * are rendered with the page's /Rotate applied.
+ */
+function toPageBoundingBox(rect, page) {
+  const box = page.getCropBox();
+  const x = (rect.x - box.x) / box.width;
+  const y = (box.y + box.height - (rect.y + rect.height)) / box.height;
+  const width = rect.width / box.width;
+  const height = rect.height / box.height;
+
+  switch (((page.getRotation().angle % 360) + 360) % 360) {
+    case 90:
+      return { x: 1 - (y + height), y: x, width: height, height: width };
+    case 180:
+      return { x: 1 - (x + width), y: 1 - (y + height), width, height };
+    case 270:
+      return { x: y, y: 1 - (x + width), width: height, height: width };
+    default:
+      return { x, y, width, height };
+  }
+}
+
+/**
+ * Smallest box containing all the given boxes
+ */
+function unionBoxes(boxes) {
+  const left = Math.min(...boxes.map(b => b.x));
+  const top = Math.min(...boxes.map(b => b.y));
+  const right = Math.max(...boxes.map(b => b.x + b.width));
+  const bottom = Math.max(...boxes.map(b => b.y + b.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Locate a field on the page of its first widget
+ * @param {Map} pageByWidgetRef - Widget annotation ref (string) to page index
+ * @returns {{page: number|null, bbox: Object|null}}
+ */
+function locateField(field, doc, pageByWidgetRef) {
+  const pages = doc.getPages();
+  const located = [];
+
+  for (const widget of field.acroField.getWidgets()) {
+    const ref = doc.context.getObjectRef(widget.dict);
+    let pageIndex = ref ? pageByWidgetRef.get(ref.toString()) : undefined;
+
+    if (pageIndex === undefined && widget.P()) {
+      pageIndex = pages.findIndex(page => page.ref === widget.P());
+    }
+    if (pageIndex === undefined || pageIndex < 0) continue;
+
+    located.push({ pageIndex, bbox: toPageBoundingBox(widget.getRectangle(), pages[pageIndex]) });
+  }
+
+  if (located.length === 0) {
+    return { page: null, bbox: null };
+  }
+
+  // Fields whose widgets span pages are placed on the first one
+  const pageIndex = Math.min(...located.map(l => l.pageIndex));
+  const boxes = located.filter(l => l.pageIndex === pageIndex).map(l => l.bbox);
+
+  return { page: pageIndex + 1, bbox: unionBoxes(boxes) };
+}
+
+/**
+ * Index each page's widget annotations so fields can be placed on their page
+ */
+function buildWidgetPageIndex(doc) {
+  const pageByWidgetRef = new Map();
+
+  doc.getPages().forEach((page, pageIndex) => {
+    const annots = page.node.Annots();
+    if (!annots) return;
+
+    for (let i = 0; i < annots.size(); i++) {
+      pageByWidgetRef.set(annots.get(i).toString(), pageIndex);
+    }
+  });
+
+  return pageByWidgetRef;
+}
+
+/**
+ * Parent name shared by checkboxes in the same group (e.g. "coverage" for "coverage.hospital")
+ */
+function getGroupName(name) {
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.slice(0, index) : null;
+}
+
+/**
+ * Combine sibling checkboxes into one Multi-Select with an option per checkbox
+ */
+function groupCheckBoxes(fields) {
+  const groups = new Map();
+  for (const field of fields) {
+    if (field.type !== 'checkbox') continue;
+    const groupName = getGroupName(field.name);
+    if (!groupName) continue;
+    if (!groups.has(groupName)) groups.set(groupName, []);
+    groups.get(groupName).push(field);
+  }
+
+  const grouped = new Set();
+  const result = [];
+
+  for (const field of fields) {
+    const groupName = field.type === 'checkbox' ? getGroupName(field.name) : null;
+    const members = groupName ? groups.get(groupName) : null;
+
+    if (!members || members.length < 2 || members.some(m => m.page !== members[0].page)) {
+      result.push(field);
+      continue;
+    }
+    if (grouped.has(groupName)) continue;
+    grouped.add(groupName);
+
+    const boxes = members.map(m => m.bbox).filter(Boolean);
+    result.push({
+      name: groupName,
+      label: members[0].groupLabel || humanizeName(groupName.split('.').pop()),
+      type: 'checkbox',
+      component: 'Multi-Select',
+      required: members.some(m => m.required),
+      readOnly: members.every(m => m.readOnly),
+      options: members.map(m => m.label),
+      exportValues: members.flatMap(m => m.exportValues),
+      value: members.flatMap(m => m.value),
+      page: members[0].page,
+      bbox: boxes.length > 0 ? unionBoxes(boxes) : null,
+      children: members.map(m => m.name)
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Read the AcroForm fields of a PDF
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<{formTitle: string|null, pageCount: number, fields: Array<Object>}|null>}
+ *   null when the PDF has no form fields or cannot be parsed
+ */
+async function readAcroForm(pdfPath) {
+  let doc;
+  try {
+    const bytes = await fs.readFile(pdfPath);
+    doc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    console.warn('Could not read PDF form fields:', error.message);
+    return null;
+  }
+
+  let pdfFields;
+  try {
+    pdfFields = doc.getForm().getFields();
+  } catch (error) {
+    console.warn('Could not read PDF form fields:', error.message);
+    return null;
+  }
+
+  if (pdfFields.length === 0) return null;
+
+  const pageByWidgetRef = buildWidgetPageIndex(doc);
+  const fields = [];
+
+  for (const pdfField of pdfFields) {
+    const classification = classifyField(pdfField);
+    if (!classification) continue;
+
+    const { page, bbox } = locateField(pdfField, doc, pageByWidgetRef);
+    const field = {
+      name: pdfField.getName(),
+      label: getFieldLabel(pdfField),
+      type: classification.type,
+      component: classification.component,
+      required: pdfField.isRequired(),
+      readOnly: pdfField.isReadOnly(),
+      page,
+      bbox
+    };
+
+    const options = getFieldOptions(pdfField);
+    if (options) field.options = options;
+
+    field.value = getFieldValue(pdfField);
+
+    if (pdfField instanceof PDFTextField && pdfField.getMaxLength() !== undefined) {
+      field.maxLength = pdfField.getMaxLength();
+    }
+
+    if (classification.type === 'checkbox') {
+      field.exportValues = getCheckBoxExportValues(pdfField);
+      field.options = [field.label];
+      field.value = field.value ? [field.label] : [];
+
+      // A checkbox group's own tooltip, when set, labels the whole group
+      const parent = pdfField.acroField.getParent();
+      const parentTooltip = parent && parent.dict.lookup(PDFName.of('TU'));
+      if (parentTooltip && typeof parentTooltip.decodeText === 'function') {
+        field.groupLabel = parentTooltip.decodeText().trim() || undefined;
+      }
+    }
+
+    fields.push(field);
+  }
+
+  if (fields.length === 0) return null;
+
+  // Reading order: page, then top to bottom, then left to right
+  const ordered = groupCheckBoxes(fields)
+    .map(({ groupLabel, ...field }) => field)
+    .sort((a, b) =>
+      (a.page ?? Infinity) - (b.page ?? Infinity) ||
+      (a.bbox?.y ?? 0) - (b.bbox?.y ?? 0) ||
+      (a.bbox?.x ?? 0) - (b.bbox?.x ?? 0)
+    );
+
+  return {
+    formTitle: doc.getTitle() || null,
+    pageCount: doc.getPageCount(),
+    fields: ordered
+  };
+}
+
+module.exports = {
+  readAcroForm
+};
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { db } = require('./database');
+const { generateId } = require('../utils/helpers');
+
+/**
+ * API keys, scopes and tenants
+ * Every key belongs to one tenant (a business unit) and carries scopes for what it may do.
+ * The platform scope covers what all tenants share (the component registry and the data
+ * dictionary); tenant admins cannot grant it, only `npm run create-key` can.
+ * Keys and labeling UI session tokens are stored only as SHA-256 hashes; the key itself is
+ * shown once, when it is created.
+ */
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    tenant_id TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    revoked_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS auth_sessions (
+    token_hash TEXT PRIMARY KEY,
+    key_id TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_key ON auth_sessions(key_id);
+`);
+
+// What a key may do; admin includes every other tenant scope
+const SCOPES = ['extract', 'label', 'fine-tune', 'admin', 'platform'];
+
+// Scopes over resources shared by all tenants, which admin does not include
+const PLATFORM_SCOPES = ['platform'];
+
+// Tenant that owns data created before tenants existed, and every request when auth is off
+const DEFAULT_TENANT = 'default';
+
+// Require an API key on /api routes (set false only for local development)
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+
+// How long a labeling UI login lasts
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+
+const TENANT_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const KEY_PREFIX = 'fx_';
+const SESSION_PREFIX = 'fxs_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tenantId: row.tenant_id,
+    keyPrefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Who a request acts as
+ */
+function toPrincipal(key, sessionExpiresAt = null) {
+  return {
+    keyId: key.id,
+    name: key.name,
+    tenantId: key.tenantId,
+    scopes: key.scopes,
+    sessionExpiresAt
+  };
+}
+
+/**
+ * Principal for every request when authentication is disabled
+ */
+function anonymousPrincipal() {
+  return { keyId: null, name: 'anonymous', tenantId: DEFAULT_TENANT, scopes: [...SCOPES], sessionExpiresAt: null };
+}
+
+/**
+ * Problem with a key's tenant or scopes, or null when they are valid
+ */
+function validateKey({ name, tenantId, scopes }) {
+  if (typeof name !== 'string' || !name.trim()) return 'name is required';
+  if (typeof tenantId !== 'string' || !TENANT_PATTERN.test(tenantId)) {
+    return 'tenantId must be lowercase letters, digits, "-" or "_"';
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array';
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) return `Unknown scope: ${unknown.join(', ')}. Use any of: ${SCOPES.join(', ')}`;
+  return null;
+}
+
+/**
+ * Create an API key
+ * @param {Object} options - {name, tenantId, scopes}
+ * @returns {Object} The key record plus `key`, the only time the key itself is available
+ */
+function createApiKey({ name, tenantId, scopes }) {
+  const problem = validateKey({ name, tenantId, scopes });
+  if (problem) throw new Error(problem);
+
+  const id = generateId('key');
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  db.prepare(`
+    INSERT INTO api_keys (id, name, tenant_id, key_prefix, key_hash, scopes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, name.trim(), tenantId, key.slice(0, KEY_PREFIX.length + 6), hashToken(key), JSON.stringify([...new Set(scopes)]));
+
+  return { ...getApiKey(id, tenantId), key };
+}
+
+/**
+ * A tenant's key, or null
+ */
+function getApiKey(keyId, tenantId) {
+  const row = db.prepare('SELECT * FROM api_keys WHERE id = ? AND tenant_id = ?').get(keyId, tenantId);
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * A tenant's keys, newest first (revoked keys included)
+ */
+function listApiKeys(tenantId) {
+  return db.prepare('SELECT * FROM api_keys WHERE tenant_id = ? ORDER BY created_at DESC').all(tenantId).map(fromRow);
+}
+
+/**
+ * Revoke a tenant's key and end the labeling sessions opened with it
+ * @returns {boolean} Whether an active key was revoked
+ */
+function revokeApiKey(keyId, tenantId) {
+  const revoke = db.prepare(`
+    UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND tenant_id = ? AND revoked_at IS NULL
+  `);
+  const endSessions = db.prepare('DELETE FROM auth_sessions WHERE key_id = ?');
+
+  return db.transaction(() => {
+    const revoked = revoke.run(keyId, tenantId).changes > 0;
+    if (revoked) endSessions.run(keyId);
+    return revoked;
+  })();
+}
+
+/**
+ * Resolve an API key or session token to the principal it acts as
+ * @returns {Object|null} {keyId, name, tenantId, scopes, sessionExpiresAt}, or null when
+ *   the token is unknown, revoked or expired
+ */
+function authenticate(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const tokenHash = hashToken(token);
+
+  if (token.startsWith(SESSION_PREFIX)) {
+    const session = db.prepare(`
+      SELECT s.expires_at, k.* FROM auth_sessions s
+      JOIN api_keys k ON k.id = s.key_id
+      WHERE s.token_hash = ? AND k.revoked_at IS NULL
+    `).get(tokenHash);
+
+    if (!session) return null;
+    if (session.expires_at <= Date.now()) {
+      db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(tokenHash);
+      return null;
+    }
+    return toPrincipal(fromRow(session), new Date(session.expires_at).toISOString());
+  }
+
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(tokenHash);
+  if (!row) return null;
+
+  db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+  return toPrincipal(fromRow(row));
+}
+
+/**
+ * Exchange an API key for a short-lived session token, so the labeling UI does not keep the key
+ * @returns {{token: string, principal: Object}|null} null when the key is not valid
+ */
+function createSession(apiKey) {
+  if (typeof apiKey !== 'string' || apiKey.startsWith(SESSION_PREFIX)) return null;
+
+  const principal = authenticate(apiKey);
+  if (!principal) return null;
+
+  // Drop this key's expired sessions while we are here
+  db.prepare('DELETE FROM auth_sessions WHERE key_id = ? AND expires_at <= ?').run(principal.keyId, Date.now());
+
+  const token = `${SESSION_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const expiresAt = Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000;
+  db.prepare('INSERT INTO auth_sessions (token_hash, key_id, expires_at) VALUES (?, ?, ?)')
+    .run(hashToken(token), principal.keyId, expiresAt);
+
+  return { token, principal: { ...principal, sessionExpiresAt: new Date(expiresAt).toISOString() } };
+}
+
+/**
+ * End a labeling session
+ * @returns {boolean} Whether the token was an open session
+ */
+function endSession(token) {
+  if (typeof token !== 'string' || !token.startsWith(SESSION_PREFIX)) return false;
+  return db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(hashToken(token)).changes > 0;
+}
+
+/**
+ * Whether a principal may act with a scope (admin has every scope but platform)
+ */
+function hasScope(principal, scope) {
+  if (!principal) return false;
+  if (principal.scopes.includes(scope)) return true;
+  return principal.scopes.includes('admin') && !PLATFORM_SCOPES.includes(scope);
+}
+
+module.exports = {
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticate,
+  createSession,
+  endSession,
+  hasScope,
+  anonymousPrincipal,
+  validateKey,
+  SCOPES,
+  PLATFORM_SCOPES,
+  DEFAULT_TENANT,
+  AUTH_ENABLED
+};
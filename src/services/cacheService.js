@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { db } = require('./database');
+const { getProvider } = require('./providers');
+const { getPromptVersion } = require('./openaiService');
+const componentRegistry = require('./componentRegistry');
+const dataDictionaryService = require('./dataDictionaryService');
+
+/**
+ * Extraction result cache
+ * Entries belong to the tenant whose upload produced them: extraction draws on the tenant's
+ * verified labels, and each tenant sees, counts and purges only its own entries.
+ */
+
+// How long cached extractions stay valid
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+/**
+ * SQLite cache store (default)
+ */
+function createSqliteStore() {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS extraction_cache (
+      cache_key TEXT PRIMARY KEY,
+      file_hash TEXT NOT NULL,
+      tenant_id TEXT NOT NULL,
+      provider TEXT,
+      model TEXT,
+      prompt_version TEXT,
+      value TEXT NOT NULL,
+      hit_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at INTEGER NOT NULL,
+      last_hit_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_cache_file_hash ON extraction_cache(file_hash);
+    CREATE INDEX IF NOT EXISTS idx_cache_expires ON extraction_cache(expires_at);
+  `);
+
+  // Entries from before tenants owned them cannot be attributed to one, so they are dropped
+  const cacheColumns = db.prepare('PRAGMA table_info(extraction_cache)').all().map(column => column.name);
+  if (!cacheColumns.includes('tenant_id')) {
+    db.exec('DELETE FROM extraction_cache');
+    db.exec("ALTER TABLE extraction_cache ADD COLUMN tenant_id TEXT NOT NULL DEFAULT ''");
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_cache_tenant ON extraction_cache(tenant_id)');
+
+  return {
+    name: 'sqlite',
+
+    get(key) {
+      const row = db.prepare('SELECT * FROM extraction_cache WHERE cache_key = ?').get(key);
+      if (!row) return null;
+
+      if (row.expires_at <= Date.now()) {
+        db.prepare('DELETE FROM extraction_cache WHERE cache_key = ?').run(key);
+        return null;
+      }
+
+      db.prepare(`
+        UPDATE extraction_cache SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP
+        WHERE cache_key = ?
+      `).run(key);
+
+      return {
+        value: JSON.parse(row.value),
+        createdAt: row.created_at,
+        expiresAt: new Date(row.expires_at).toISOString()
+      };
+    },
+
+    set(key, entry) {
+      db.prepare(`
+        INSERT OR REPLACE INTO extraction_cache
+          (cache_key, file_hash, tenant_id, provider, model, prompt_version, value, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(key, entry.fileHash, entry.tenantId, entry.provider, entry.model, entry.promptVersion,
+        JSON.stringify(entry.value), entry.expiresAt);
+    },
+
+    purge({ tenantId, fileHash, expiredOnly }) {
+      if (fileHash) {
+        return db.prepare('DELETE FROM extraction_cache WHERE tenant_id = ? AND file_hash = ?').run(tenantId, fileHash).changes;
+      }
+      if (expiredOnly) {
+        return db.prepare('DELETE FROM extraction_cache WHERE tenant_id = ? AND expires_at <= ?').run(tenantId, Date.now()).changes;
+      }
+      return db.prepare('DELETE FROM extraction_cache WHERE tenant_id = ?').run(tenantId).changes;
+    },
+
+    stats(tenantId) {
+      return db.prepare(`
+        SELECT
+          COUNT(*) as entries,
+          COALESCE(SUM(hit_count), 0) as hits,
+          COALESCE(SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END), 0) as expired
+        FROM extraction_cache
+        WHERE tenant_id = ?
+      `).get(Date.now(), tenantId);
+    }
+  };
+}
+
+/**
+ * In-memory cache store (per process; lost on restart)
+ */
+function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      entry.hitCount++;
+      return {
+        value: entry.value,
+        createdAt: entry.createdAt,
+        expiresAt: new Date(entry.expiresAt).toISOString()
+      };
+    },
+
+    set(key, entry) {
+      entries.set(key, { ...entry, hitCount: 0, createdAt: new Date().toISOString() });
+    },
+
+    purge({ tenantId, fileHash, expiredOnly }) {
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.tenantId !== tenantId) continue;
+        const matches = fileHash
+          ? entry.fileHash === fileHash
+          : !expiredOnly || entry.expiresAt <= Date.now();
+        if (matches) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    stats(tenantId) {
+      const now = Date.now();
+      let count = 0;
+      let hits = 0;
+      let expired = 0;
+      for (const entry of entries.values()) {
+        if (entry.tenantId !== tenantId) continue;
+        count++;
+        hits += entry.hitCount;
+        if (entry.expiresAt <= now) expired++;
+      }
+      return { entries: count, hits, expired };
+    }
+  };
+}
+
+const STORES = {
+  sqlite: createSqliteStore,
+  memory: createMemoryStore
+};
+
+const storeName = (process.env.CACHE_STORE || 'sqlite').toLowerCase();
+if (!STORES[storeName]) {
+  throw new Error(`Unknown cache store: ${storeName}. Available: ${Object.keys(STORES).join(', ')}`);
+}
+const store = STORES[storeName]();
+
+/**
+ * SHA-256 hash of an uploaded file's contents
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Hash of several uploaded files taken as one form, in page order
+ * A single file hashes the same as hashFile, so its cached results are shared.
+ */
+async function hashFiles(filePaths) {
+  const hashes = [];
+  for (const filePath of filePaths) {
+    hashes.push(await hashFile(filePath));
+  }
+
+  if (hashes.length === 1) return hashes[0];
+  return crypto.createHash('sha256').update(hashes.join(':')).digest('hex');
+}
+
+/**
+ * Build the cache key for a tenant's file under the current provider, model and prompt
+ * The registry and dictionary revisions are part of the key too: editing a component or a
+ * dictionary entry changes how results are normalized and mapped, so older entries stop matching.
+ * @param {string} fileHash - From hashFile
+ * @param {string} tenantId - Tenant the entry belongs to
+ * @param {Object} [variant] - Request options that change the result, e.g. {acroFormMode}
+ */
+function getCacheContext(fileHash, tenantId, variant = {}) {
+  const provider = getProvider();
+  const promptVersion = getPromptVersion();
+  const revisions = `${componentRegistry.getRevision()}:${dataDictionaryService.getRevision()}`;
+  const variantKey = Object.keys(variant).sort().map(name => `${name}=${variant[name]}`).join('&');
+
+  const key = crypto
+    .createHash('sha256')
+    .update(`${fileHash}:${tenantId}:${provider.name}:${provider.model}:${promptVersion}:${revisions}:${variantKey}`)
+    .digest('hex');
+
+  return { key, fileHash, tenantId, provider: provider.name, model: provider.model, promptVersion };
+}
+
+/**
+ * Look up a cached extraction
+ * @param {Object} context - From getCacheContext
+ * @returns {{value: Object, createdAt: string, expiresAt: string}|null}
+ */
+function lookup(context) {
+  return store.get(context.key);
+}
+
+/**
+ * Store an extraction result under a cache context
+ * @param {Object} context
+ * @param {Object} value - {data, pagesProcessed, meta}
+ */
+function save(context, value) {
+  store.set(context.key, {
+    ...context,
+    value,
+    expiresAt: Date.now() + CACHE_TTL_SECONDS * 1000
+  });
+}
+
+/**
+ * Remove a tenant's cache entries: all, those for one file hash, or only expired ones
+ * @param {Object} options - {tenantId, fileHash?, expiredOnly?}
+ * @returns {number} Entries removed
+ */
+function purge({ tenantId, fileHash, expiredOnly }) {
+  return store.purge({ tenantId, fileHash, expiredOnly });
+}
+
+/**
+ * A tenant's cache statistics
+ */
+function getStats(tenantId) {
+  return { store: store.name, ttlSeconds: CACHE_TTL_SECONDS, ...store.stats(tenantId) };
+}
+
+module.exports = {
+  hashFile,
+  hashFiles,
+  getCacheContext,
+  lookup,
+  save,
+  purge,
+  getStats
+};
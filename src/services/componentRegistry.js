@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const { db } = require('./database');
+
+/**
+ * Registry of form components
+ * The components a field can be classified as live in the database: their names, UUIDs,
+ * aliases the model may use instead of the name, descriptions, which properties each
+ * carries (options, columns, row count) and the widget its fields are filled in with. The
+ * registry drives the extraction prompt, schema validation, component normalization, values,
+ * conditions, exports and the /api/components listing, so a new component such as
+ * "Date Picker" is added through the API rather than in code.
+ */
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS components (
+    name TEXT PRIMARY KEY,
+    component_id TEXT,
+    description TEXT NOT NULL,
+    prompt_hint TEXT,
+    aliases TEXT,
+    has_options INTEGER DEFAULT 0,
+    has_columns INTEGER DEFAULT 0,
+    has_row_count INTEGER DEFAULT 0,
+    built_in INTEGER DEFAULT 0,
+    widget TEXT NOT NULL DEFAULT 'text',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Columns added after the table was first created
+const componentColumns = db.prepare('PRAGMA table_info(components)').all().map(column => column.name);
+const addingWidgets = !componentColumns.includes('widget');
+if (addingWidgets) {
+  db.exec("ALTER TABLE components ADD COLUMN widget TEXT NOT NULL DEFAULT 'text'");
+}
+
+// Component used when the model gives no type or one the registry does not know
+const FALLBACK_COMPONENT = 'Short Input';
+
+/**
+ * How a component's fields are filled in, which decides how their values are read,
+ * whether they can control a follow-up and how they are exported:
+ * - text, textarea: typed text (these fields get a dataType)
+ * - radio, select: one of the field's options
+ * - checkboxes: any of the field's options
+ * - table: rows of cells, one per column
+ * - signature: signed or not
+ * - file: an attachment
+ * - title, section: headings that take no input
+ */
+const WIDGETS = ['text', 'textarea', 'radio', 'select', 'checkboxes', 'table', 'signature', 'file', 'title', 'section'];
+
+// Widgets whose fields hold typed text
+const TEXT_WIDGETS = ['text', 'textarea'];
+
+// Widgets of headings, which take no input
+const DISPLAY_WIDGETS = ['title', 'section'];
+
+// The original components; their UUIDs can be overridden with COMPONENT_ID_* variables
+const DEFAULT_COMPONENTS = [
+  {
+    name: 'Signature',
+    envVar: 'COMPONENT_ID_SIGNATURE',
+    componentId: '3a4aa05d-6805-449c-8dfc-8636dfe4ce67',
+    widget: 'signature',
+    description: 'Signature lines, boxes, or areas for signatures',
+    promptHint: 'Signature lines or boxes',
+    aliases: ['signature']
+  },
+  {
+    name: 'Multi-Select',
+    envVar: 'COMPONENT_ID_MULTI_SELECT',
+    componentId: '3b37849e-b80b-4001-8e1a-e92c69255d2c',
+    widget: 'checkboxes',
+    description: 'Checkboxes allowing multiple selections',
+    promptHint: 'Checkboxes (multiple can be selected)',
+    aliases: ['multi-select', 'multiselect', 'checkbox', 'checkboxes'],
+    hasOptions: true
+  },
+  {
+    name: 'File Upload',
+    envVar: 'COMPONENT_ID_FILE_UPLOAD',
+    componentId: '706c07be-bfe1-483b-96fc-ca8d2204e7d6',
+    widget: 'file',
+    description: 'Areas for file attachments or document uploads',
+    promptHint: 'File/document attachment areas',
+    aliases: ['file upload', 'fileupload', 'file', 'attachment']
+  },
+  {
+    name: 'Short Input',
+    envVar: 'COMPONENT_ID_SHORT_INPUT',
+    componentId: '7562345e-5fcb-4b36-afd2-996faeb9cd5e',
+    widget: 'text',
+    description: 'Single-line text input fields',
+    promptHint: 'Single-line text fields',
+    aliases: ['short input', 'shortinput', 'text', 'textfield', 'input']
+  },
+  {
+    name: 'Sections',
+    envVar: 'COMPONENT_ID_SECTIONS',
+    componentId: '925ede76-f44d-4b0b-a44a-32fc8032e1a3',
+    widget: 'section',
+    description: 'Section dividers and headers',
+    promptHint: 'Section dividers or headers within the form',
+    aliases: ['sections', 'section']
+  },
+  {
+    name: 'Dropdown',
+    envVar: 'COMPONENT_ID_DROPDOWN',
+    componentId: 'c5462ab8-0741-4773-bb01-dd043680b46a',
+    widget: 'select',
+    description: 'Select/dropdown fields',
+    promptHint: 'Select/dropdown menus',
+    aliases: ['dropdown', 'select'],
+    hasOptions: true
+  },
+  {
+    name: 'Radio Select',
+    envVar: 'COMPONENT_ID_RADIO_SELECT',
+    componentId: 'c7ffdc6f-0bd8-4c2e-8b71-a3bd032342b1',
+    widget: 'radio',
+    description: 'Radio buttons for single selection',
+    promptHint: 'Radio buttons (single selection)',
+    aliases: ['radio select', 'radioselect', 'radio'],
+    hasOptions: true
+  },
+  {
+    name: 'Table',
+    envVar: 'COMPONENT_ID_TABLE',
+    componentId: 'ddda4cf3-fc6d-4598-9306-6fa7a767691c',
+    widget: 'table',
+    description: 'Tabular structures with columns and row count',
+    promptHint: 'Tabular data entry with columns and rows',
+    aliases: ['table', 'grid'],
+    hasColumns: true,
+    hasRowCount: true
+  },
+  {
+    name: 'Title',
+    envVar: 'COMPONENT_ID_TITLE',
+    componentId: 'ec4009a1-973f-4d3d-ae58-5d089c987e49',
+    widget: 'title',
+    description: 'Form titles and major headings',
+    promptHint: 'Bold text, headings, labels, or instruction text that introduces fields',
+    aliases: ['title', 'heading', 'header', 'instruction', 'instructions', 'guidance', 'note', 'info']
+  },
+  {
+    name: 'Long Input',
+    envVar: 'COMPONENT_ID_LONG_INPUT',
+    componentId: 'f67b6881-bd54-49f3-a04c-79fc87c5530b',
+    widget: 'textarea',
+    description: 'Multi-line text areas and comment boxes',
+    promptHint: 'Multi-line text areas',
+    aliases: ['long input', 'longinput', 'textarea', 'multiline', 'paragraph']
+  }
+];
+
+// Components as last read from the database; cleared on every change
+let cache = null;
+
+function fromRow(row) {
+  return {
+    name: row.name,
+    componentId: row.component_id || null,
+    description: row.description,
+    promptHint: row.prompt_hint || null,
+    aliases: row.aliases ? JSON.parse(row.aliases) : [],
+    hasOptions: row.has_options === 1,
+    hasColumns: row.has_columns === 1,
+    hasRowCount: row.has_row_count === 1,
+    widget: row.widget || 'text',
+    builtIn: row.built_in === 1,
+    position: row.position
+  };
+}
+
+/**
+ * Fill an empty registry with the original components
+ * Original components seeded before they had fixed UUIDs and widgets are given them here.
+ */
+function seedDefaults() {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM components').get();
+  if (count > 0) {
+    const backfillId = db.prepare('UPDATE components SET component_id = ? WHERE name = ? AND built_in = 1 AND component_id IS NULL');
+    const backfillWidget = db.prepare('UPDATE components SET widget = ? WHERE name = ? AND built_in = 1');
+    db.transaction(() => {
+      for (const component of DEFAULT_COMPONENTS) {
+        backfillId.run(process.env[component.envVar] || component.componentId, component.name);
+        if (addingWidgets) backfillWidget.run(component.widget, component.name);
+      }
+    })();
+    return;
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO components
+      (name, component_id, description, prompt_hint, aliases, has_options, has_columns, has_row_count, widget, built_in, position)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+  `);
+  db.transaction(() => {
+    DEFAULT_COMPONENTS.forEach((component, index) => {
+      insert.run(
+        component.name,
+        process.env[component.envVar] || component.componentId,
+        component.description,
+        component.promptHint,
+        JSON.stringify(component.aliases),
+        component.hasOptions ? 1 : 0,
+        component.hasColumns ? 1 : 0,
+        component.hasRowCount ? 1 : 0,
+        component.widget,
+        index + 1
+      );
+    });
+  })();
+}
+
+seedDefaults();
+
+/**
+ * All components, in prompt order
+ */
+function listComponents() {
+  if (!cache) {
+    cache = db.prepare('SELECT * FROM components ORDER BY position, name').all().map(fromRow);
+  }
+  return cache;
+}
+
+/**
+ * Short hash of the registry's contents; changes whenever a component is added, edited or removed
+ */
+function getRevision() {
+  return crypto.createHash('sha256').update(JSON.stringify(listComponents())).digest('hex').slice(0, 12);
+}
+
+/**
+ * A component by exact name, or null
+ */
+function getComponent(name) {
+  return listComponents().find(component => component.name === name) || null;
+}
+
+/**
+ * Add a component after the existing ones (unless a position is given)
+ * @param {Object} component - {name, description, componentId?, promptHint?, aliases?, hasOptions?, hasColumns?, hasRowCount?,
+ *   widget?, position?}
+ */
+function createComponent(component) {
+  const position = component.position
+    ?? db.prepare('SELECT COALESCE(MAX(position), 0) + 1 as position FROM components').get().position;
+
+  db.prepare(`
+    INSERT INTO components
+      (name, component_id, description, prompt_hint, aliases, has_options, has_columns, has_row_count, widget, position)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    component.name,
+    component.componentId || null,
+    component.description,
+    component.promptHint || null,
+    JSON.stringify(normalizeAliases(component.aliases)),
+    component.hasOptions ? 1 : 0,
+    component.hasColumns ? 1 : 0,
+    component.hasRowCount ? 1 : 0,
+    component.widget || 'text',
+    position
+  );
+  cache = null;
+  return getComponent(component.name);
+}
+
+/**
+ * Update a component's UUID, descriptions, aliases, properties, widget or position
+ * @returns {Object|null} The updated component, or null when it does not exist
+ */
+function updateComponent(name, changes) {
+  const existing = getComponent(name);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...changes };
+  db.prepare(`
+    UPDATE components
+    SET component_id = ?, description = ?, prompt_hint = ?, aliases = ?,
+        has_options = ?, has_columns = ?, has_row_count = ?, widget = ?, position = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE name = ?
+  `).run(
+    updated.componentId || null,
+    updated.description,
+    updated.promptHint || null,
+    JSON.stringify(normalizeAliases(updated.aliases)),
+    updated.hasOptions ? 1 : 0,
+    updated.hasColumns ? 1 : 0,
+    updated.hasRowCount ? 1 : 0,
+    updated.widget,
+    updated.position,
+    name
+  );
+  cache = null;
+  return getComponent(name);
+}
+
+/**
+ * Remove a component
+ * @returns {boolean} Whether it existed
+ */
+function deleteComponent(name) {
+  const removed = db.prepare('DELETE FROM components WHERE name = ?').run(name).changes > 0;
+  cache = null;
+  return removed;
+}
+
+function normalizeAliases(aliases) {
+  return [...new Set((aliases || []).map(alias => String(alias).toLowerCase().trim()).filter(Boolean))];
+}
+
+/**
+ * Names of all components
+ */
+function getComponentNames() {
+  return listComponents().map(component => component.name);
+}
+
+/**
+ * Names of the components that carry a property: 'hasOptions', 'hasColumns' or 'hasRowCount'
+ */
+function getComponentsWith(property) {
+  return listComponents().filter(component => component[property]).map(component => component.name);
+}
+
+/**
+ * Widget a component's fields are filled in with ('text' for unknown components)
+ */
+function getWidget(name) {
+  return getComponent(name)?.widget || 'text';
+}
+
+/**
+ * Names of the components filled in with any of the given widgets
+ */
+function getComponentsByWidget(...widgets) {
+  return listComponents().filter(component => widgets.includes(component.widget)).map(component => component.name);
+}
+
+/**
+ * Whether a component holds typed text
+ */
+function isTextComponent(name) {
+  return TEXT_WIDGETS.includes(getWidget(name));
+}
+
+/**
+ * Whether a component is a heading that takes no input
+ */
+function isDisplayComponent(name) {
+  return DISPLAY_WIDGETS.includes(getWidget(name));
+}
+
+/**
+ * UUID of a component, or null
+ */
+function getComponentId(name) {
+  return getComponent(name)?.componentId || null;
+}
+
+/**
+ * Resolve a component type given by the model and report how it was matched
+ * @returns {{component: string, match: 'exact'|'alias'|'fallback'|'missing'}}
+ */
+function resolveComponentType(type) {
+  const components = listComponents();
+  const fallback = components.some(c => c.name === FALLBACK_COMPONENT) ? FALLBACK_COMPONENT : components[0]?.name;
+
+  if (!type) return { component: fallback, match: 'missing' };
+
+  if (components.some(c => c.name === type)) return { component: type, match: 'exact' };
+
+  const key = String(type).toLowerCase().trim();
+  const match = components.find(c => c.name.toLowerCase() === key || c.aliases.includes(key));
+  if (match) return { component: match.name, match: 'alias' };
+
+  return { component: fallback, match: 'fallback' };
+}
+
+module.exports = {
+  listComponents,
+  getComponent,
+  createComponent,
+  updateComponent,
+  deleteComponent,
+  getComponentNames,
+  getComponentsWith,
+  getWidget,
+  getComponentsByWidget,
+  isTextComponent,
+  isDisplayComponent,
+  getComponentId,
+  resolveComponentType,
+  getRevision,
+  FALLBACK_COMPONENT,
+  WIDGETS,
+  TEXT_WIDGETS,
+  DISPLAY_WIDGETS
+};
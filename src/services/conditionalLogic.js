@@ -0,0 +1,167 @@
+const componentRegistry = require('./componentRegistry');
+
+/**
+ * Conditional visibility between fields
+ * A follow-up such as "If Yes, please provide details:" carries
+ * visibleWhen: {field: <ID of the question it depends on>, equals: <answer that shows it>}.
+ * These helpers check that every condition points at a real field and one of its options.
+ */
+
+// Widgets whose answer can show or hide another field: choices among options
+const CONDITION_WIDGETS = ['radio', 'select', 'checkboxes'];
+
+function normalizeOptionText(text) {
+  return String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find the option an answer refers to, ignoring case and spacing
+ * @returns {string|null} The option as written on the form
+ */
+function findOption(options, value) {
+  const key = normalizeOptionText(value);
+  if (!key) return null;
+  return (options || []).find(option => normalizeOptionText(option) === key) ?? null;
+}
+
+/**
+ * Find the field a condition depends on
+ * IDs are looked up in the dependent field's own section first, since the model numbers
+ * fields per section, then anywhere in the form.
+ * @returns {Object|null}
+ */
+function findControllingField(sections, sectionIndex, field) {
+  const targetId = field.visibleWhen && field.visibleWhen.field;
+  if (typeof targetId !== 'string' || !targetId) return null;
+
+  const matches = candidate => candidate && candidate !== field && candidate.id === targetId;
+  const ownSection = sections[sectionIndex];
+  const local = Array.isArray(ownSection?.fields) ? ownSection.fields.find(matches) : null;
+  if (local) return local;
+
+  for (const section of sections) {
+    const found = Array.isArray(section?.fields) ? section.fields.find(matches) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Problem with one field's condition, or null when it is valid
+ */
+function checkCondition(sections, sectionIndex, field) {
+  const condition = field.visibleWhen;
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return 'visibleWhen must be an object with "field" and "equals"';
+  }
+  if (typeof condition.field !== 'string' || !condition.field) {
+    return 'visibleWhen.field must be the ID of another field';
+  }
+  if (typeof condition.equals !== 'string' || !condition.equals.trim()) {
+    return 'visibleWhen.equals must be one of the controlling field\'s options';
+  }
+  if (condition.field === field.id) {
+    return 'visibleWhen cannot refer to the field itself';
+  }
+
+  const target = findControllingField(sections, sectionIndex, field);
+  if (!target) {
+    return `visibleWhen refers to unknown field "${condition.field}"`;
+  }
+  if (!CONDITION_WIDGETS.includes(componentRegistry.getWidget(target.component))) {
+    return `visibleWhen refers to "${target.label}", a ${target.component} with no options to answer`;
+  }
+  if (findOption(target.options, condition.equals) === null) {
+    return `"${condition.equals}" is not an option of "${target.label}"`;
+  }
+  return null;
+}
+
+/**
+ * Validate the visibleWhen conditions of a form structure
+ * References must point at another field that has options, `equals` must be one of them,
+ * and conditions must not depend on each other in a loop.
+ * @param {Object} formStructure - {sections: [{fields}]}
+ * @returns {Array<{path: string, fieldId: string, message: string}>}
+ */
+function validateConditions(formStructure) {
+  const sections = Array.isArray(formStructure?.sections) ? formStructure.sections : [];
+  const errors = [];
+  const targets = new Map();
+
+  sections.forEach((section, sectionIndex) => {
+    if (!Array.isArray(section?.fields)) return;
+
+    section.fields.forEach((field, fieldIndex) => {
+      if (!field || field.visibleWhen === undefined || field.visibleWhen === null) return;
+
+      const path = `/sections/${sectionIndex}/fields/${fieldIndex}/visibleWhen`;
+      const message = checkCondition(sections, sectionIndex, field);
+      if (message) {
+        errors.push({ path, fieldId: field.id, message });
+      } else {
+        targets.set(field, { path, target: findControllingField(sections, sectionIndex, field) });
+      }
+    });
+  });
+
+  // A field that (indirectly) depends on itself can never be shown
+  const inLoop = new Set();
+  for (const field of targets.keys()) {
+    const seen = new Set([field]);
+    let current = targets.get(field).target;
+    while (current && targets.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = targets.get(current).target;
+    }
+    if (current === field) inLoop.add(field);
+  }
+
+  for (const field of inLoop) {
+    errors.push({
+      path: targets.get(field).path,
+      fieldId: field.id,
+      message: 'visibleWhen conditions depend on each other in a loop'
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Remove conditions that fail validation and write `equals` exactly as the option reads
+ * @returns {{formStructure: Object, count: number, dropped: Array<{fieldId, label, message}>}}
+ */
+function applyConditions(formStructure) {
+  const errorsByPath = new Map(validateConditions(formStructure).map(error => [error.path, error]));
+  const dropped = [];
+  let count = 0;
+
+  const sections = formStructure.sections.map((section, sectionIndex) => ({
+    ...section,
+    fields: section.fields.map((field, fieldIndex) => {
+      if (field.visibleWhen === undefined) return field;
+
+      const { visibleWhen, ...rest } = field;
+      const error = errorsByPath.get(`/sections/${sectionIndex}/fields/${fieldIndex}/visibleWhen`);
+      if (error || visibleWhen === null) {
+        if (error) dropped.push({ fieldId: field.id, label: field.label, message: error.message });
+        return rest;
+      }
+
+      const target = findControllingField(formStructure.sections, sectionIndex, field);
+      count++;
+      return { ...rest, visibleWhen: { field: target.id, equals: findOption(target.options, visibleWhen.equals) } };
+    })
+  }));
+
+  return { formStructure: { ...formStructure, sections }, count, dropped };
+}
+
+module.exports = {
+  validateConditions,
+  applyConditions,
+  findControllingField,
+  findOption,
+  CONDITION_WIDGETS
+};
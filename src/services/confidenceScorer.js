@@ -0,0 +1,209 @@
+/**
+ * Per-field confidence scoring
+ * Combines token log probabilities from the model (when the provider returns them)
+ * with heuristics from normalization such as unknown component types.
+ */
+
+// Fields scoring below this are flagged for review
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD) || 0.6;
+
+// Score used when the provider returns no log probabilities
+const BASE_CONFIDENCE = 0.9;
+
+// Multipliers applied for each heuristic signal
+const PENALTIES = {
+  missingComponent: 0.5,
+  unknownComponent: 0.4,
+  aliasComponent: 0.9,
+  missingLabel: 0.5,
+  schemaViolation: 0.6,
+  noLocation: 0.95,
+  ungroundedLabel: 0.7,
+  ungroundedOption: 0.9
+};
+
+const LABEL_KEY_PATTERN = /"label"\s*:\s*"((?:[^"\\]|\\.)*)"/g;
+const COMPONENT_KEY_PATTERN = /"component"\s*:\s*"((?:[^"\\]|\\.)*)"/;
+
+/**
+ * Compute a probability for each raw field from the model's token log probabilities
+ * Fields are located by their "label" keys, which appear once per field in document order.
+ * The score is the geometric mean probability of the tokens in the field's label and
+ * component values.
+ * @param {string} content - Raw model reply
+ * @param {Array<{token: string, logprob: number}>} tokenLogprobs
+ * @param {Object} data - Parsed reply
+ * @returns {Object} Map of "sectionIndex/fieldIndex" to probability
+ */
+function computeLogprobConfidences(content, tokenLogprobs, data) {
+  const confidences = {};
+  if (!content || !Array.isArray(tokenLogprobs) || tokenLogprobs.length === 0) {
+    return confidences;
+  }
+
+  // Character offset where each token starts
+  const offsets = [];
+  let position = 0;
+  for (const { token } of tokenLogprobs) {
+    offsets.push(position);
+    position += token.length;
+  }
+
+  const meanProbability = (spans) => {
+    const logprobs = [];
+    tokenLogprobs.forEach(({ token, logprob }, idx) => {
+      const start = offsets[idx];
+      const end = start + token.length;
+      if (spans.some(([spanStart, spanEnd]) => start < spanEnd && end > spanStart)) {
+        logprobs.push(logprob);
+      }
+    });
+    if (logprobs.length === 0) return null;
+    return Math.exp(logprobs.reduce((sum, lp) => sum + lp, 0) / logprobs.length);
+  };
+
+  const labelMatches = [...content.matchAll(LABEL_KEY_PATTERN)];
+  let matchIndex = 0;
+
+  (data.sections || []).forEach((section, sectionIndex) => {
+    (section.fields || []).forEach((field, fieldIndex) => {
+      const match = labelMatches[matchIndex];
+      if (!match || typeof field.label !== 'string') return;
+      matchIndex++;
+
+      const labelStart = match.index + match[0].length - match[1].length - 1;
+      const spans = [[labelStart, labelStart + match[1].length]];
+
+      // The component key sits in the same object, usually just before the label
+      const objectStart = content.lastIndexOf('{', match.index);
+      const componentMatch = content.slice(objectStart, match.index).match(COMPONENT_KEY_PATTERN);
+      if (componentMatch) {
+        const componentStart = objectStart + componentMatch.index + componentMatch[0].length - componentMatch[1].length - 1;
+        spans.push([componentStart, componentStart + componentMatch[1].length]);
+      }
+
+      const probability = meanProbability(spans);
+      if (probability !== null) {
+        confidences[`${sectionIndex}/${fieldIndex}`] = probability;
+      }
+    });
+  });
+
+  return confidences;
+}
+
+/**
+ * Score a normalized field
+ * @param {Object} field - Normalized field
+ * @param {Object} signals
+ * @param {string} signals.componentMatch - 'exact', 'alias', 'fallback' or 'missing'
+ * @param {string} [signals.rawComponent] - Component as returned by the model
+ * @param {boolean} [signals.labelMissing]
+ * @param {number} [signals.logprobConfidence] - Probability from computeLogprobConfidences
+ * @param {Array<string>} [signals.violations] - Schema violations that remained
+ * @returns {{confidence: number, reasons: Array<string>}}
+ */
+function scoreField(field, signals) {
+  let confidence = signals.logprobConfidence ?? BASE_CONFIDENCE;
+  const reasons = [];
+
+  if (signals.logprobConfidence != null && signals.logprobConfidence < LOW_CONFIDENCE_THRESHOLD) {
+    reasons.push('Low model token probability');
+  }
+
+  if (signals.componentMatch === 'missing') {
+    confidence *= PENALTIES.missingComponent;
+    reasons.push('No component type given; defaulted to Short Input');
+  } else if (signals.componentMatch === 'fallback') {
+    confidence *= PENALTIES.unknownComponent;
+    reasons.push(`Unknown component type "${signals.rawComponent}"; defaulted to Short Input`);
+  } else if (signals.componentMatch === 'alias') {
+    confidence *= PENALTIES.aliasComponent;
+    reasons.push(`Component given as "${signals.rawComponent}"`);
+  }
+
+  if (signals.labelMissing) {
+    confidence *= PENALTIES.missingLabel;
+    reasons.push('No label extracted');
+  }
+
+  if (signals.violations && signals.violations.length > 0) {
+    confidence *= PENALTIES.schemaViolation;
+    reasons.push(...signals.violations.map(v => `Schema: ${v}`));
+  }
+
+  if (!field.bbox) {
+    confidence *= PENALTIES.noLocation;
+  }
+
+  return {
+    confidence: Math.round(confidence * 100) / 100,
+    reasons
+  };
+}
+
+/**
+ * Lower a scored field's confidence when a later check fails
+ * @param {Object} field - Normalized field with a confidence
+ * @param {string} penalty - Key of PENALTIES
+ * @param {string} reason - Added to confidenceReasons
+ * @returns {Object} Updated copy of the field
+ */
+function applyPenalty(field, penalty, reason) {
+  if (typeof field.confidence !== 'number') return field;
+
+  const confidence = Math.round(field.confidence * PENALTIES[penalty] * 100) / 100;
+  return {
+    ...field,
+    confidence,
+    needsReview: confidence < LOW_CONFIDENCE_THRESHOLD,
+    confidenceReasons: [...(field.confidenceReasons || []), reason]
+  };
+}
+
+/**
+ * Summarize low-confidence fields across a form, lowest confidence first
+ */
+function summarizeConfidence(formStructure) {
+  const fields = [];
+  let total = 0;
+  let sum = 0;
+
+  for (const section of formStructure.sections || []) {
+    for (const field of section.fields || []) {
+      if (typeof field.confidence !== 'number') continue;
+      total++;
+      sum += field.confidence;
+
+      if (field.needsReview) {
+        fields.push({
+          id: field.id,
+          sectionId: section.id,
+          section: section.title,
+          label: field.label,
+          component: field.component,
+          confidence: field.confidence,
+          reasons: field.confidenceReasons || []
+        });
+      }
+    }
+  }
+
+  fields.sort((a, b) => a.confidence - b.confidence);
+
+  return {
+    threshold: LOW_CONFIDENCE_THRESHOLD,
+    averageConfidence: total > 0 ? Math.round((sum / total) * 100) / 100 : null,
+    fieldCount: total,
+    lowConfidenceCount: fields.length,
+    fields
+  };
+}
+
+module.exports = {
+  computeLogprobConfidences,
+  scoreField,
+  applyPenalty,
+  summarizeConfidence,
+  LOW_CONFIDENCE_THRESHOLD
+};
@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { db } = require('./database');
+const trainingService = require('./trainingService');
+const componentRegistry = require('./componentRegistry');
+const { DEFAULT_TENANT } = require('./authService');
+const { normalizeText, textSimilarity } = require('../utils/textSimilarity');
+
+/**
+ * Canonical underwriting data dictionary
+ * Carriers phrase the same question differently; mapping each extracted field to a
+ * dictionary key (e.g. "applicant.legal_name") lets answers be joined across forms.
+ * Fields are matched on their label against each entry's label and synonyms, and
+ * against the labels of fields mapped to that key in verified training forms.
+ */
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS data_dictionary (
+    key TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    description TEXT,
+    data_type TEXT,
+    synonyms TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`);
+
+// Keys are dotted lowercase paths: "<group>.<name>"
+const KEY_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)+$/;
+
+// Lowest score at which a field is mapped to a key
+const MATCH_THRESHOLD = parseFloat(process.env.DICTIONARY_MATCH_THRESHOLD) || 0.6;
+
+// Score kept when the field's data type disagrees with the entry's
+const DATA_TYPE_MISMATCH_PENALTY = 0.8;
+
+// Spelling similarity at which two words count as the same (tolerates OCR slips like "adress")
+const WORD_MATCH_THRESHOLD = 0.8;
+
+// Words that carry no meaning for matching
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'for', 'and', 'or', 'to', 'in', 'on', 'is', 'are', 'your', 'please', 'provide', 'enter', 'if', 'any']);
+
+// Entries created with an empty dictionary
+const DEFAULT_ENTRIES = [
+  { key: 'applicant.legal_name', label: 'Applicant legal name', dataType: 'name', synonyms: ['Name of applicant', 'Named insured', 'Legal name of entity', 'Insured name', 'Applicant name'] },
+  { key: 'applicant.dba_name', label: 'Doing business as', dataType: 'name', synonyms: ['DBA', 'Trade name'] },
+  { key: 'applicant.fein', label: 'Federal employer identification number', dataType: 'fein', synonyms: ['FEIN', 'EIN', 'Tax ID', 'Federal tax ID number'] },
+  { key: 'applicant.mailing_address', label: 'Mailing address', dataType: 'address', synonyms: ['Address', 'Street address', 'Applicant address'] },
+  { key: 'applicant.phone', label: 'Phone number', dataType: 'phone', synonyms: ['Telephone', 'Telephone number', 'Business phone'] },
+  { key: 'applicant.email', label: 'Email address', dataType: 'email', synonyms: ['Email', 'E-mail'] },
+  { key: 'applicant.website', label: 'Website', dataType: 'url', synonyms: ['Web address', 'URL'] },
+  { key: 'applicant.years_in_business', label: 'Years in business', dataType: 'number', synonyms: ['Number of years in operation', 'Year established'] },
+  { key: 'coverage.effective_date', label: 'Proposed effective date', dataType: 'date', synonyms: ['Effective date', 'Policy effective date', 'Requested effective date'] },
+  { key: 'coverage.expiration_date', label: 'Expiration date', dataType: 'date', synonyms: ['Policy expiration date', 'Current policy expiration'] },
+  { key: 'coverage.sir_amount', label: 'Self-insured retention amount', dataType: 'currency', synonyms: ['Self-Insured Retention (SIR)', 'SIR', 'Retention amount'] },
+  { key: 'coverage.deductible', label: 'Deductible', dataType: 'currency', synonyms: ['Deductible amount'] },
+  { key: 'coverage.limit_per_claim', label: 'Limit per claim', dataType: 'currency', synonyms: ['Each claim limit', 'Per occurrence limit', 'Each occurrence'] },
+  { key: 'coverage.limit_aggregate', label: 'Aggregate limit', dataType: 'currency', synonyms: ['Annual aggregate', 'General aggregate'] },
+  { key: 'coverage.current_carrier', label: 'Current insurance carrier', dataType: 'name', synonyms: ['Current insurer', 'Present carrier', 'Expiring carrier'] },
+  { key: 'coverage.current_premium', label: 'Current premium', dataType: 'currency', synonyms: ['Expiring premium', 'Annual premium'] },
+  { key: 'exposure.occupied_beds', label: 'Occupied beds', dataType: 'number', synonyms: ['Number of occupied beds', 'Average occupied beds', 'Occupied beds by type'] },
+  { key: 'exposure.licensed_beds', label: 'Licensed beds', dataType: 'number', synonyms: ['Number of licensed beds', 'Total licensed beds'] },
+  { key: 'exposure.annual_revenue', label: 'Annual revenue', dataType: 'currency', synonyms: ['Gross revenue', 'Annual gross receipts', 'Total revenues', 'Annual sales'] },
+  { key: 'exposure.employee_count', label: 'Number of employees', dataType: 'number', synonyms: ['Total employees', 'Full-time employees', 'Employee count'] },
+  { key: 'exposure.payroll', label: 'Annual payroll', dataType: 'currency', synonyms: ['Total payroll', 'Gross payroll'] },
+  { key: 'exposure.square_footage', label: 'Square footage', dataType: 'number', synonyms: ['Total square feet', 'Building area'] },
+  { key: 'signature.applicant_signature', label: 'Applicant signature', synonyms: ['Signature', 'Signature of applicant', 'Authorized signature'] },
+  { key: 'signature.signer_name', label: 'Signer name', dataType: 'name', synonyms: ['Print name', 'Printed name', 'Name of signer'] },
+  { key: 'signature.signer_title', label: 'Signer title', synonyms: ['Title', 'Position'] },
+  { key: 'signature.date_signed', label: 'Date signed', dataType: 'date', synonyms: ['Date', 'Signature date'] }
+];
+
+function fromRow(row) {
+  return {
+    key: row.key,
+    label: row.label,
+    description: row.description || null,
+    dataType: row.data_type || null,
+    synonyms: row.synonyms ? JSON.parse(row.synonyms) : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Fill an empty dictionary with the default entries
+ */
+function seedDefaults() {
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM data_dictionary').get();
+  if (count > 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO data_dictionary (key, label, description, data_type, synonyms) VALUES (?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const entry of DEFAULT_ENTRIES) {
+      insert.run(entry.key, entry.label, entry.description || null, entry.dataType || null, JSON.stringify(entry.synonyms || []));
+    }
+  })();
+}
+
+seedDefaults();
+
+/**
+ * All dictionary entries, ordered by key
+ */
+function listEntries() {
+  return db.prepare('SELECT * FROM data_dictionary ORDER BY key').all().map(fromRow);
+}
+
+/**
+ * Short hash of the dictionary's contents; changes whenever an entry is added, edited or removed
+ */
+function getRevision() {
+  return crypto.createHash('sha256').update(JSON.stringify(listEntries())).digest('hex').slice(0, 12);
+}
+
+/**
+ * A single dictionary entry, or null
+ */
+function getEntry(key) {
+  const row = db.prepare('SELECT * FROM data_dictionary WHERE key = ?').get(key);
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * Add a dictionary entry
+ * @param {Object} entry - {key, label, description?, dataType?, synonyms?}
+ */
+function createEntry(entry) {
+  db.prepare(`
+    INSERT INTO data_dictionary (key, label, description, data_type, synonyms) VALUES (?, ?, ?, ?, ?)
+  `).run(entry.key, entry.label, entry.description || null, entry.dataType || null, JSON.stringify(entry.synonyms || []));
+  return getEntry(entry.key);
+}
+
+/**
+ * Update a dictionary entry's label, description, data type or synonyms
+ * @returns {Object|null} The updated entry, or null when it does not exist
+ */
+function updateEntry(key, changes) {
+  const existing = getEntry(key);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...changes };
+  db.prepare(`
+    UPDATE data_dictionary
+    SET label = ?, description = ?, data_type = ?, synonyms = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE key = ?
+  `).run(updated.label, updated.description || null, updated.dataType || null, JSON.stringify(updated.synonyms || []), key);
+  return getEntry(key);
+}
+
+/**
+ * Remove a dictionary entry
+ * @returns {boolean} Whether it existed
+ */
+function deleteEntry(key) {
+  return db.prepare('DELETE FROM data_dictionary WHERE key = ?').run(key).changes > 0;
+}
+
+/**
+ * Labels of fields mapped to each key in a tenant's verified training forms
+ * @returns {Map<string, Array<string>>}
+ */
+function getVerifiedLabels(tenantId) {
+  const labels = new Map();
+
+  for (const form of trainingService.getVerifiedForms(tenantId)) {
+    let extraction;
+    try {
+      extraction = JSON.parse(form.corrected_extraction);
+    } catch (error) {
+      continue;
+    }
+
+    for (const section of extraction.sections || []) {
+      for (const field of section.fields || []) {
+        if (!field.dictionaryKey || !field.label) continue;
+        if (!labels.has(field.dictionaryKey)) labels.set(field.dictionaryKey, []);
+        labels.get(field.dictionaryKey).push(field.label);
+      }
+    }
+  }
+
+  return labels;
+}
+
+/**
+ * Meaningful words of a label
+ */
+function tokenize(text) {
+  return normalizeText(text).split(' ').filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Similarity of two labels: the share of meaningful words they have in common, with words
+ * compared by spelling, so reordered phrasings ("Legal name of applicant" / "Applicant legal
+ * name") and misspellings still match but "Property address" does not pass for "Street address"
+ */
+function labelSimilarity(a, b) {
+  const left = [...new Set(tokenize(a))];
+  const right = [...new Set(tokenize(b))];
+  if (left.length === 0 || right.length === 0) return 0;
+
+  const shared = left.filter(word => right.some(other => textSimilarity(word, other) >= WORD_MATCH_THRESHOLD)).length;
+  return (2 * shared) / (left.length + right.length);
+}
+
+/**
+ * Similarity of a field label to a dictionary label, synonym or verified label
+ * One-word candidates ("Date", "Title", "Address") only match a label that is exactly that
+ * word; otherwise "Date of loss" or "Job title of contact" would borrow their score.
+ */
+function candidateSimilarity(text, candidate) {
+  if (tokenize(candidate).length < 2) {
+    return normalizeText(text) === normalizeText(candidate) ? 1 : 0;
+  }
+  return labelSimilarity(text, candidate);
+}
+
+/**
+ * Score every dictionary entry for a field, best first
+ * @param {Object} field - {label, dataType?}
+ * @param {Object} [context] - {sectionTitle, entries, verifiedLabels} (loaded when omitted),
+ *   plus tenantId, whose verified labels are loaded (default tenant when omitted)
+ * @returns {Array<{key: string, label: string, score: number, source: string}>}
+ */
+function scoreEntries(field, context = {}) {
+  const entries = context.entries || listEntries();
+  const verifiedLabels = context.verifiedLabels || getVerifiedLabels(context.tenantId || DEFAULT_TENANT);
+  const texts = [field.label];
+  if (context.sectionTitle) texts.push(`${context.sectionTitle} ${field.label}`);
+
+  return entries
+    .map(entry => {
+      // Labels reviewers have mapped to this key count as much as the dictionary's own
+      const candidates = [
+        ...[entry.label, ...entry.synonyms].map(text => ({ text, source: 'dictionary' })),
+        ...(verifiedLabels.get(entry.key) || []).map(text => ({ text, source: 'verified' }))
+      ];
+
+      let best = { score: 0, source: 'dictionary' };
+      for (const candidate of candidates) {
+        for (const text of texts) {
+          const score = candidateSimilarity(text, candidate.text);
+          if (score > best.score) best = { score, source: candidate.source };
+        }
+      }
+
+      if (entry.dataType && field.dataType && field.dataType !== 'text' && field.dataType !== entry.dataType) {
+        best.score *= DATA_TYPE_MISMATCH_PENALTY;
+      }
+
+      return { key: entry.key, label: entry.label, score: Math.round(best.score * 100) / 100, source: best.source };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Map each input field of a form structure to its best dictionary key
+ * Fields scoring below MATCH_THRESHOLD are left unmapped.
+ * @param {Object} formStructure
+ * @param {string} [tenantId] - Tenant whose verified labels are learned from (default tenant when omitted)
+ * @returns {{formStructure: Object, mapped: number, unmapped: number}}
+ */
+function mapFormStructure(formStructure, tenantId = DEFAULT_TENANT) {
+  const entries = listEntries();
+  if (entries.length === 0) return { formStructure, mapped: 0, unmapped: 0 };
+
+  const verifiedLabels = getVerifiedLabels(tenantId);
+  let mapped = 0;
+  let unmapped = 0;
+
+  const sections = formStructure.sections.map(section => ({
+    ...section,
+    fields: section.fields.map(field => {
+      if (componentRegistry.isDisplayComponent(field.component)) return field;
+
+      const [best] = scoreEntries(field, { sectionTitle: section.title, entries, verifiedLabels });
+      if (!best || best.score < MATCH_THRESHOLD) {
+        unmapped++;
+        return field;
+      }
+
+      mapped++;
+      return { ...field, dictionaryKey: best.key, dictionaryScore: best.score };
+    })
+  }));
+
+  return { formStructure: { ...formStructure, sections }, mapped, unmapped };
+}
+
+/**
+ * Dictionary keys used by a form structure that are not in the dictionary
+ * @returns {Array<{fieldId: string, key: string}>}
+ */
+function findUnknownKeys(formStructure) {
+  const known = new Set(listEntries().map(entry => entry.key));
+  const unknown = [];
+
+  for (const section of formStructure?.sections || []) {
+    for (const field of section.fields || []) {
+      if (field.dictionaryKey && !known.has(field.dictionaryKey)) {
+        unknown.push({ fieldId: field.id, key: field.dictionaryKey });
+      }
+    }
+  }
+
+  return unknown;
+}
+
+module.exports = {
+  listEntries,
+  getEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  scoreEntries,
+  mapFormStructure,
+  findUnknownKeys,
+  getRevision,
+  KEY_PATTERN,
+  MATCH_THRESHOLD
+};
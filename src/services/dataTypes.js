@@ -0,0 +1,151 @@
+/**
+ * Semantic data types for text input fields
+ * "Short Input" covers names, dates, tax IDs, amounts and more; each input field is given a
+ * dataType and validation metadata (format mask, pattern, min/max, unit) so forms built from
+ * an extraction know what to validate. The model's reading of visual cues ("$" boxes,
+ * "MM/DD/YYYY" guides) is preferred; otherwise the type is inferred from the label.
+ */
+
+const DATA_TYPES = [
+  'text',
+  'name',
+  'address',
+  'email',
+  'phone',
+  'url',
+  'date',
+  'year',
+  'number',
+  'currency',
+  'percentage',
+  'fein',
+  'ssn',
+  'zip'
+];
+
+// Validation applied to every field of a type unless the form says otherwise
+const TYPE_DEFAULTS = {
+  email: { pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$' },
+  phone: { format: '(999) 999-9999' },
+  date: { format: 'MM/DD/YYYY' },
+  year: { format: 'YYYY', min: 1800, max: 2100 },
+  currency: { unit: 'USD', min: 0 },
+  percentage: { unit: '%', min: 0, max: 100 },
+  fein: { format: '99-9999999', pattern: '^\\d{2}-?\\d{7}$' },
+  ssn: { format: '999-99-9999', pattern: '^\\d{3}-?\\d{2}-?\\d{4}$' },
+  zip: { format: '99999', pattern: '^\\d{5}(-\\d{4})?$' }
+};
+
+// Label patterns, most specific first ("Email address" is an email, not an address)
+const LABEL_RULES = [
+  ['email', /\be-?mail\b/i],
+  ['url', /\b(website|web site|url|web address)\b/i],
+  ['phone', /\b(phone|telephone|tel|fax|mobile|cell)\b/i],
+  ['ssn', /\b(ssn|social security)\b/i],
+  ['fein', /\b(fein|ein|federal (employer )?(id|identification)|tax ?id|tin)\b/i],
+  // "City, State, ZIP" is one address line, not a ZIP code
+  ['address', /\b(address|street|city)\b/i],
+  ['zip', /\b(zip|postal code|post code)\b/i],
+  ['date', /\b(date|d\.?o\.?b|mm\/dd\/yy(yy)?|dd\/mm\/yy(yy)?)\b/i],
+  ['year', /\b(year (built|established|founded|incorporated|started)|year of\b)/i],
+  ['percentage', /%|\bpercent(age)?\b/i],
+  ['currency', /\$|\b(amount|premium|revenue|revenues|payroll|limit|deductible|retention|cost|price|salary|income|sales|fee|fees|usd)\b/i],
+  ['number', /\b(number of|no\. of|# of|how many|quantity|qty|count|square (feet|footage)|sq\.? ?ft)\b/i],
+  ['name', /\bname\b/i]
+];
+
+// Format masks printed on forms
+const FORMAT_PATTERN = /\b(MM\/DD\/YYYY|MM\/DD\/YY|DD\/MM\/YYYY|MM\/YYYY|YYYY-MM-DD)\b/i;
+
+// Units written next to a number box
+const UNIT_PATTERN = /\b(sq\.? ?ft|square feet|acres|miles|years|months|days|hours|employees|beds)\b/i;
+
+/**
+ * Infer a data type and validation from a field's label and placeholder
+ * @returns {{dataType: string, validation: Object}}
+ */
+function inferDataType(label, placeholder) {
+  const text = [label, placeholder].filter(Boolean).join(' ');
+  const rule = LABEL_RULES.find(([, pattern]) => pattern.test(text));
+  const dataType = rule ? rule[0] : 'text';
+  const validation = {};
+
+  const format = text.match(FORMAT_PATTERN);
+  if (format && (dataType === 'date' || dataType === 'text')) {
+    validation.format = format[1].toUpperCase();
+    return { dataType: 'date', validation };
+  }
+
+  if (dataType === 'number') {
+    const unit = text.match(UNIT_PATTERN);
+    if (unit) validation.unit = unit[1].toLowerCase().replace(/^(sq\.? ?ft|square feet)$/, 'sq ft');
+  }
+
+  return { dataType, validation };
+}
+
+/**
+ * Keep the validation properties we understand, with the right types
+ */
+function sanitizeValidation(validation) {
+  if (!validation || typeof validation !== 'object') return {};
+
+  const clean = {};
+  for (const key of ['format', 'unit']) {
+    if (typeof validation[key] === 'string' && validation[key].trim()) clean[key] = validation[key].trim();
+  }
+  for (const key of ['min', 'max']) {
+    const value = typeof validation[key] === 'string'
+      ? Number(validation[key].replace(/[$,%\s]/g, ''))
+      : validation[key];
+    if (typeof value === 'number' && Number.isFinite(value)) clean[key] = value;
+  }
+  if (Number.isInteger(validation.maxLength) && validation.maxLength > 0) {
+    clean.maxLength = validation.maxLength;
+  }
+  if (typeof validation.pattern === 'string' && validation.pattern) {
+    try {
+      new RegExp(validation.pattern);
+      clean.pattern = validation.pattern;
+    } catch (error) {
+      // Unusable patterns are dropped
+    }
+  }
+  return clean;
+}
+
+/**
+ * Decide a field's data type and validation
+ * A specific type given by the model wins; "text" or nothing falls back to the label.
+ * @param {Object} field - Raw field: {label, placeholder, dataType, validation}
+ * @returns {{dataType: string, validation: Object|undefined}}
+ */
+function resolveDataType(field) {
+  const given = typeof field.dataType === 'string' ? field.dataType.toLowerCase().trim() : null;
+  const inferred = inferDataType(field.label, field.placeholder);
+  const dataType = given && DATA_TYPES.includes(given) && given !== 'text' ? given : inferred.dataType;
+
+  const validation = {
+    ...TYPE_DEFAULTS[dataType],
+    ...(dataType === inferred.dataType ? inferred.validation : {}),
+    ...sanitizeValidation(field.validation)
+  };
+
+  // A range that admits nothing was misread
+  if (validation.min !== undefined && validation.max !== undefined && validation.min > validation.max) {
+    delete validation.min;
+    delete validation.max;
+  }
+
+  return {
+    dataType,
+    validation: Object.keys(validation).length > 0 ? validation : undefined
+  };
+}
+
+module.exports = {
+  resolveDataType,
+  inferDataType,
+  sanitizeValidation,
+  DATA_TYPES
+};
@@ -0,0 +1,20 @@
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+
+// Database file path
+const DB_PATH = process.env.TRAINING_DB_PATH || path.join(__dirname, '../../data/training.db');
+
+// Ensure data directory exists
+const dataDir = path.dirname(DB_PATH);
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir, { recursive: true });
+}
+
+// Initialize database (shared by all services that persist state)
+const db = new Database(DB_PATH);
+
+module.exports = {
+  db,
+  DB_PATH
+};
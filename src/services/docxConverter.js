@@ -1,6 +1,8 @@
 const path = require('path');
 const fs = require('fs').promises;
+const { existsSync } = require('fs');
 const mammoth = require('mammoth');
+const sharp = require('sharp');
 const { ensureDirectory, fileToBase64 } = require('../utils/helpers');
 
 let puppeteer;
@@ -10,6 +12,19 @@ try {
   console.warn('puppeteer not available, DOCX to image conversion may not work');
 }
 
+let WordExtractor;
+try {
+  WordExtractor = require('word-extractor');
+} catch (error) {
+  console.warn('word-extractor not available, legacy DOC files cannot be read');
+}
+
+// US Letter at 96 CSS pixels per inch, with 0.75in margins
+const PAGE_WIDTH = 816;
+const PAGE_HEIGHT = 1056;
+const PAGE_MARGIN = 72;
+const DEVICE_SCALE_FACTOR = 2;
+
 /**
  * Convert DOCX to HTML using mammoth
  * @param {string} docxPath - Path to the DOCX file
@@ -26,12 +41,113 @@ async function convertDocxToHtml(docxPath) {
 }
 
 /**
- * Convert HTML to image using puppeteer
+ * Escape text for inclusion in HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert a legacy Word (.doc) file to HTML
+ * mammoth only reads DOCX, so the text is extracted and laid out as paragraphs;
+ * tab-separated lines (how table rows come out) are rendered as tables.
+ * @param {string} docPath - Path to the DOC file
+ * @returns {Promise<string>} HTML content
+ */
+async function convertDocToHtml(docPath) {
+  const document = await new WordExtractor().extract(docPath);
+  const lines = [document.getHeaders({ includeFooters: false }), document.getBody(), document.getFooters()]
+    .join('\n')
+    .split(/\r?\n/);
+
+  const html = [];
+  let tableRows = [];
+
+  const flushTable = () => {
+    if (tableRows.length === 0) return;
+    const rows = tableRows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`);
+    html.push(`<table>${rows.join('')}</table>`);
+    tableRows = [];
+  };
+
+  for (const line of lines) {
+    if (line.includes('\t')) {
+      tableRows.push(line.split('\t'));
+      continue;
+    }
+
+    flushTable();
+    if (line.trim()) {
+      html.push(`<p>${escapeHtml(line.trim())}</p>`);
+    }
+  }
+  flushTable();
+
+  return html.join('\n');
+}
+
+/**
+ * Whether Word documents can be rendered: puppeteer needs its browser installed
+ */
+function isHtmlRenderingAvailable() {
+  if (!puppeteer) return false;
+  try {
+    return existsSync(puppeteer.executablePath());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether legacy DOC files can be read
+ */
+function isDocReadingAvailable() {
+  return Boolean(WordExtractor);
+}
+
+/**
+ * Choose where each page ends so that page breaks fall between blocks rather than through text
+ * @param {Array<number>} breakPoints - Y offsets (CSS px) where a new block starts
+ * @param {number} totalHeight - Height of the rendered document
+ * @param {number} pageHeight - Usable height of one page
+ * @returns {Array<{top: number, height: number}>} Slice of the document for each page
+ */
+function paginate(breakPoints, totalHeight, pageHeight) {
+  const candidates = [...new Set(breakPoints.map(Math.floor))].sort((a, b) => a - b);
+  const pages = [];
+  let top = 0;
+
+  while (top < totalHeight) {
+    const limit = top + pageHeight;
+    let end = Math.min(limit, totalHeight);
+
+    if (limit < totalHeight) {
+      // Last block start that still fits; blocks taller than a page are cut at the page edge
+      const fitting = candidates.filter(y => y > top && y <= limit);
+      if (fitting.length > 0) {
+        end = fitting[fitting.length - 1];
+      }
+    }
+
+    pages.push({ top, height: end - top });
+    top = end;
+  }
+
+  return pages;
+}
+
+/**
+ * Render HTML to page-sized images using puppeteer
  * @param {string} html - HTML content
- * @param {string} outputPath - Path to save the image
- * @returns {Promise<string>} Path to saved image
+ * @param {string} outputDir - Directory to save images
+ * @param {string} baseName - Prefix for image file names
+ * @returns {Promise<Array<string>>} Paths of the saved page images, in order
  */
-async function htmlToImage(html, outputPath) {
+async function htmlToPageImages(html, outputDir, baseName) {
   const browser = await puppeteer.launch({
     headless: 'new',
     args: ['--no-sandbox', '--disable-setuid-sandbox']
@@ -40,14 +156,14 @@ async function htmlToImage(html, outputPath) {
   try {
     const page = await browser.newPage();
 
-    // Set viewport for consistent rendering
+    // One page wide, so text wraps as it would on paper
     await page.setViewport({
-      width: 1200,
-      height: 1600,
-      deviceScaleFactor: 2
+      width: PAGE_WIDTH,
+      height: PAGE_HEIGHT,
+      deviceScaleFactor: DEVICE_SCALE_FACTOR
     });
 
-    // Create a styled HTML document
+    // Create a styled HTML document; vertical margins are added per page below
     const styledHtml = `
       <!DOCTYPE html>
       <html>
@@ -55,12 +171,14 @@ async function htmlToImage(html, outputPath) {
           <style>
             body {
               font-family: Arial, sans-serif;
-              padding: 40px;
+              margin: 0;
+              padding: 0 ${PAGE_MARGIN}px;
               background: white;
-              max-width: 800px;
-              margin: 0 auto;
               line-height: 1.6;
             }
+            body > :first-child {
+              margin-top: 0;
+            }
             table {
               border-collapse: collapse;
               width: 100%;
@@ -81,58 +199,94 @@ async function htmlToImage(html, outputPath) {
 
     await page.setContent(styledHtml, { waitUntil: 'networkidle0' });
 
-    // Get the full page height
-    const bodyHandle = await page.$('body');
-    const boundingBox = await bodyHandle.boundingBox();
-
-    // Take screenshot
-    await page.screenshot({
-      path: outputPath,
-      fullPage: true,
-      type: 'png'
+    // Start of every block-level element is a safe place to break a page
+    const { breakPoints, totalHeight } = await page.evaluate(() => {
+      const blocks = document.body.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, table, tr, img, hr, div');
+      return {
+        breakPoints: [...blocks].map(el => el.getBoundingClientRect().top + window.scrollY),
+        totalHeight: Math.ceil(document.body.scrollHeight)
+      };
     });
 
-    await bodyHandle.dispose();
-    return outputPath;
+    const slices = paginate(breakPoints, Math.max(totalHeight, 1), PAGE_HEIGHT - 2 * PAGE_MARGIN);
+    const imagePaths = [];
+
+    for (let i = 0; i < slices.length; i++) {
+      const { top, height } = slices[i];
+      const screenshot = await page.screenshot({
+        type: 'png',
+        clip: { x: 0, y: top, width: PAGE_WIDTH, height },
+        captureBeyondViewport: true
+      });
+
+      // Pad the slice out to a full page with top and bottom margins
+      const imagePath = path.join(outputDir, `${baseName}-${i + 1}.png`);
+      await sharp(screenshot)
+        .extend({
+          top: PAGE_MARGIN * DEVICE_SCALE_FACTOR,
+          bottom: (PAGE_HEIGHT - PAGE_MARGIN - height) * DEVICE_SCALE_FACTOR,
+          background: { r: 255, g: 255, b: 255, alpha: 1 }
+        })
+        .png()
+        .toFile(imagePath);
+
+      imagePaths.push(imagePath);
+    }
+
+    return imagePaths;
   } finally {
     await browser.close();
   }
 }
 
 /**
- * Convert DOCX to images
- * @param {string} docxPath - Path to the DOCX file
+ * Convert a Word document (DOCX, or legacy DOC) to images
+ * @param {string} docxPath - Path to the document
  * @param {string} outputDir - Directory to save images
- * @returns {Promise<Array<{page: number, base64: string, path: string}>>}
+ * @param {string} [format] - 'docx' (default) or 'doc'
+ * @returns {Promise<Array<{page: number, base64: string, path: string, mimeType: string}>>}
  */
-async function convertDocxToImages(docxPath, outputDir) {
+async function convertDocxToImages(docxPath, outputDir, format = 'docx') {
   await ensureDirectory(outputDir);
 
   const baseName = path.basename(docxPath, path.extname(docxPath));
+  const label = format.toUpperCase();
 
   try {
-    // Convert DOCX to HTML
-    const html = await convertDocxToHtml(docxPath);
-
-    // Convert HTML to image
-    const imagePath = path.join(outputDir, `${baseName}.png`);
-    await htmlToImage(html, imagePath);
-
-    // Read and convert to base64
-    const base64 = await fileToBase64(imagePath);
-
-    return [{
-      page: 1,
-      base64,
-      path: imagePath,
-      mimeType: 'image/png'
-    }];
+    if (format === 'doc' && !WordExtractor) {
+      throw new Error('word-extractor is not installed');
+    }
+
+    // Convert the document to HTML
+    const html = format === 'doc'
+      ? await convertDocToHtml(docxPath)
+      : await convertDocxToHtml(docxPath);
+
+    // Render HTML to page images
+    const imagePaths = await htmlToPageImages(html, outputDir, baseName);
+
+    const images = [];
+    for (let i = 0; i < imagePaths.length; i++) {
+      const base64 = await fileToBase64(imagePaths[i]);
+      images.push({
+        page: i + 1,
+        base64,
+        path: imagePaths[i],
+        mimeType: 'image/png'
+      });
+    }
+
+    return images;
   } catch (error) {
-    throw new Error(`Failed to convert DOCX: ${error.message}`);
+    throw new Error(`Failed to convert ${label}: ${error.message}`);
   }
 }
 
 module.exports = {
   convertDocxToImages,
-  convertDocxToHtml
+  convertDocxToHtml,
+  convertDocToHtml,
+  isHtmlRenderingAvailable,
+  isDocReadingAvailable,
+  paginate
 };
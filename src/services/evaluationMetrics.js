@@ -0,0 +1,245 @@
+const { normalizeText, textSimilarity } = require('../utils/textSimilarity');
+
+// Minimum similarity for a section title or field label to count as a match
+const SECTION_MATCH_THRESHOLD = 0.6;
+const FIELD_MATCH_THRESHOLD = 0.6;
+
+// Bonus added to field similarity when both fields sit in matched sections
+const SAME_SECTION_BONUS = 0.1;
+
+/**
+ * Greedily pair items from two lists by descending similarity
+ * @returns {Array<{expected: number, actual: number, score: number}>}
+ */
+function greedyMatch(expected, actual, scoreFn, threshold) {
+  const candidates = [];
+
+  expected.forEach((e, i) => {
+    actual.forEach((a, j) => {
+      const score = scoreFn(e, a);
+      if (score >= threshold) {
+        candidates.push({ expected: i, actual: j, score });
+      }
+    });
+  });
+
+  candidates.sort((x, y) => y.score - x.score);
+
+  const usedExpected = new Set();
+  const usedActual = new Set();
+  const pairs = [];
+
+  for (const candidate of candidates) {
+    if (usedExpected.has(candidate.expected) || usedActual.has(candidate.actual)) continue;
+    usedExpected.add(candidate.expected);
+    usedActual.add(candidate.actual);
+    pairs.push(candidate);
+  }
+
+  return pairs;
+}
+
+/**
+ * Precision / recall / F1 from counts
+ */
+function prf(truePositives, predicted, expected) {
+  const precision = predicted > 0 ? truePositives / predicted : (expected === 0 ? 1 : 0);
+  const recall = expected > 0 ? truePositives / expected : (predicted === 0 ? 1 : 0);
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+}
+
+/**
+ * Compare two lists of strings ignoring case and punctuation
+ */
+function listsMatch(a, b) {
+  const left = (a || []).map(normalizeText);
+  const right = (b || []).map(normalizeText);
+  return left.length === right.length && left.every((value, idx) => value === right[idx]);
+}
+
+/**
+ * Flatten a form structure into fields tagged with their section index
+ */
+function flattenFields(form) {
+  const fields = [];
+  (form.sections || []).forEach((section, sectionIndex) => {
+    (section.fields || []).forEach(field => fields.push({ ...field, sectionIndex }));
+  });
+  return fields;
+}
+
+/**
+ * Raw counts for one form; summed across forms to produce micro-averaged metrics
+ * @param {Object} expected - Verified (corrected) form structure
+ * @param {Object} actual - Fresh extraction
+ */
+function computeCounts(expected, actual) {
+  const expectedSections = expected.sections || [];
+  const actualSections = actual.sections || [];
+
+  const sectionPairs = greedyMatch(
+    expectedSections,
+    actualSections,
+    (e, a) => textSimilarity(e.title, a.title),
+    SECTION_MATCH_THRESHOLD
+  );
+  const sectionMap = new Map(sectionPairs.map(p => [p.expected, p.actual]));
+
+  const expectedFields = flattenFields(expected);
+  const actualFields = flattenFields(actual);
+
+  const fieldPairs = greedyMatch(
+    expectedFields,
+    actualFields,
+    (e, a) => {
+      const similarity = textSimilarity(e.label, a.label);
+      return sectionMap.get(e.sectionIndex) === a.sectionIndex ? similarity + SAME_SECTION_BONUS : similarity;
+    },
+    FIELD_MATCH_THRESHOLD
+  );
+
+  const counts = {
+    sections: { matched: sectionPairs.length, expected: expectedSections.length, predicted: actualSections.length },
+    fields: { matched: fieldPairs.length, expected: expectedFields.length, predicted: actualFields.length },
+    components: {},
+    options: { total: 0, exact: 0 },
+    tableColumns: { total: 0, exact: 0 },
+    tableRowCounts: { total: 0, exact: 0 },
+    labels: { total: 0, exact: 0, similaritySum: 0 }
+  };
+
+  const componentCounts = (component) => {
+    counts.components[component] = counts.components[component] || { truePositives: 0, predicted: 0, expected: 0 };
+    return counts.components[component];
+  };
+
+  expectedFields.forEach(f => componentCounts(f.component).expected++);
+  actualFields.forEach(f => componentCounts(f.component).predicted++);
+
+  for (const pair of fieldPairs) {
+    const e = expectedFields[pair.expected];
+    const a = actualFields[pair.actual];
+
+    if (e.component === a.component) {
+      componentCounts(e.component).truePositives++;
+    }
+
+    const similarity = textSimilarity(e.label, a.label);
+    counts.labels.total++;
+    counts.labels.similaritySum += similarity;
+    if (String(e.label).trim() === String(a.label).trim()) counts.labels.exact++;
+
+    if (Array.isArray(e.options) && e.options.length > 0) {
+      counts.options.total++;
+      if (listsMatch(e.options, a.options)) counts.options.exact++;
+    }
+
+    if (Array.isArray(e.columns)) {
+      counts.tableColumns.total++;
+      if (listsMatch(e.columns, a.columns)) counts.tableColumns.exact++;
+
+      counts.tableRowCounts.total++;
+      if (e.rowCount === a.rowCount) counts.tableRowCounts.exact++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Add one form's counts into a running total
+ */
+function addCounts(total, counts) {
+  for (const key of ['sections', 'fields']) {
+    for (const metric of ['matched', 'expected', 'predicted']) {
+      total[key][metric] += counts[key][metric];
+    }
+  }
+
+  for (const [component, value] of Object.entries(counts.components)) {
+    total.components[component] = total.components[component] || { truePositives: 0, predicted: 0, expected: 0 };
+    total.components[component].truePositives += value.truePositives;
+    total.components[component].predicted += value.predicted;
+    total.components[component].expected += value.expected;
+  }
+
+  for (const key of ['options', 'tableColumns', 'tableRowCounts']) {
+    total[key].total += counts[key].total;
+    total[key].exact += counts[key].exact;
+  }
+
+  total.labels.total += counts.labels.total;
+  total.labels.exact += counts.labels.exact;
+  total.labels.similaritySum += counts.labels.similaritySum;
+
+  return total;
+}
+
+/**
+ * Empty counts to start a total
+ */
+function emptyCounts() {
+  return {
+    sections: { matched: 0, expected: 0, predicted: 0 },
+    fields: { matched: 0, expected: 0, predicted: 0 },
+    components: {},
+    options: { total: 0, exact: 0 },
+    tableColumns: { total: 0, exact: 0 },
+    tableRowCounts: { total: 0, exact: 0 },
+    labels: { total: 0, exact: 0, similaritySum: 0 }
+  };
+}
+
+/**
+ * Turn raw counts into reported metrics
+ */
+function summarizeCounts(counts) {
+  const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+  const roundAll = obj => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, round(v)]));
+  const rate = ({ total, exact }) => (total > 0 ? round(exact / total) : null);
+
+  const componentTypes = {};
+  for (const [component, value] of Object.entries(counts.components)) {
+    componentTypes[component] = {
+      ...roundAll(prf(value.truePositives, value.predicted, value.expected)),
+      support: value.expected
+    };
+  }
+
+  return {
+    sections: {
+      ...roundAll(prf(counts.sections.matched, counts.sections.predicted, counts.sections.expected)),
+      ...counts.sections
+    },
+    fields: {
+      ...roundAll(prf(counts.fields.matched, counts.fields.predicted, counts.fields.expected)),
+      ...counts.fields
+    },
+    componentTypes,
+    optionAccuracy: rate(counts.options),
+    tableColumnAccuracy: rate(counts.tableColumns),
+    tableRowCountAccuracy: rate(counts.tableRowCounts),
+    labelSimilarity: counts.labels.total > 0 ? round(counts.labels.similaritySum / counts.labels.total) : null,
+    exactLabelRate: rate(counts.labels)
+  };
+}
+
+/**
+ * Compare a fresh extraction against a verified form structure
+ * @param {Object} expected - Verified (corrected) form structure
+ * @param {Object} actual - Fresh extraction
+ * @returns {Object} Metrics for the form
+ */
+function evaluateExtraction(expected, actual) {
+  return summarizeCounts(computeCounts(expected, actual));
+}
+
+module.exports = {
+  evaluateExtraction,
+  computeCounts,
+  addCounts,
+  emptyCounts,
+  summarizeCounts,
+  greedyMatch
+};
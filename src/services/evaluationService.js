@@ -0,0 +1,222 @@
+const { db } = require('./database');
+const trainingService = require('./trainingService');
+const { extractFormStructureWithMeta, getPromptVersion, getSystemPrompt } = require('./openaiService');
+const { createProvider, getProvider } = require('./providers');
+const { computeCounts, addCounts, emptyCounts, summarizeCounts } = require('./evaluationMetrics');
+const { DEFAULT_TENANT } = require('./authService');
+const { generateId } = require('../utils/helpers');
+
+// Create tables
+db.exec(`
+  CREATE TABLE IF NOT EXISTS evaluation_runs (
+    id TEXT PRIMARY KEY,
+    label TEXT,
+    status TEXT DEFAULT 'running',
+    provider TEXT,
+    model TEXT,
+    prompt_version TEXT,
+    form_count INTEGER DEFAULT 0,
+    metrics TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS evaluation_results (
+    id TEXT PRIMARY KEY,
+    run_id TEXT NOT NULL,
+    form_id TEXT NOT NULL,
+    metrics TEXT,
+    extraction TEXT,
+    error TEXT,
+    FOREIGN KEY (run_id) REFERENCES evaluation_runs(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_eval_results_run ON evaluation_results(run_id);
+`);
+
+// Columns added after the table was first created
+const runColumns = db.prepare('PRAGMA table_info(evaluation_runs)').all().map(column => column.name);
+if (!runColumns.includes('tenant_id')) {
+  db.exec(`ALTER TABLE evaluation_runs ADD COLUMN tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`);
+}
+
+/**
+ * Format an evaluation run row
+ */
+function formatRun(run) {
+  return {
+    id: run.id,
+    label: run.label,
+    status: run.status,
+    provider: run.provider,
+    model: run.model,
+    promptVersion: run.prompt_version,
+    formCount: run.form_count,
+    metrics: run.metrics ? JSON.parse(run.metrics) : null,
+    error: run.error,
+    createdAt: run.created_at,
+    completedAt: run.completed_at
+  };
+}
+
+/**
+ * Create an evaluation run record
+ */
+function createRun({ label, provider, model, promptVersion, formCount, tenantId }) {
+  const runId = generateId('eval');
+
+  db.prepare(`
+    INSERT INTO evaluation_runs (id, label, status, provider, model, prompt_version, form_count, tenant_id)
+    VALUES (?, ?, 'running', ?, ?, ?, ?, ?)
+  `).run(runId, label || null, provider, model, promptVersion, formCount, tenantId);
+
+  return runId;
+}
+
+/**
+ * Re-run extraction on verified forms and score it against the corrected extraction
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name (defaults to the configured provider)
+ * @param {string} [options.model] - Model override, e.g. a fine-tuned model ID
+ * @param {string} [options.systemPrompt] - Prompt to evaluate (defaults to the current system prompt)
+ * @param {Array<string>} [options.formIds] - Restrict to these verified forms
+ * @param {number} [options.limit] - Maximum forms to evaluate
+ * @param {string} [options.label] - Free-text label for comparing runs
+ * @param {string} [options.tenantId] - Tenant whose verified forms are evaluated (default tenant when omitted)
+ * @returns {{runId: string, completion: Promise<Object>}} Run ID and a promise of the finished run
+ */
+function startEvaluation(options = {}) {
+  const provider = (options.provider || options.model)
+    ? createProvider(options.provider, { model: options.model })
+    : getProvider();
+  const systemPrompt = options.systemPrompt || getSystemPrompt();
+  const tenantId = options.tenantId || DEFAULT_TENANT;
+
+  let forms = trainingService.getVerifiedForms(tenantId);
+  if (options.formIds && options.formIds.length > 0) {
+    forms = forms.filter(f => options.formIds.includes(f.id));
+  }
+  if (options.limit) {
+    forms = forms.slice(0, options.limit);
+  }
+
+  if (forms.length === 0) {
+    throw new Error('No verified forms available for evaluation');
+  }
+
+  const runId = createRun({
+    label: options.label,
+    provider: provider.name,
+    model: provider.model,
+    promptVersion: getPromptVersion(systemPrompt),
+    formCount: forms.length,
+    tenantId
+  });
+
+  const completion = runEvaluation(runId, tenantId, forms, provider, systemPrompt).catch((error) => {
+    console.error(`[Evaluation] Run ${runId} failed:`, error);
+    db.prepare(`
+      UPDATE evaluation_runs SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(error.message, runId);
+    return getRun(runId, tenantId);
+  });
+
+  return { runId, completion };
+}
+
+/**
+ * Evaluate each form in turn and store per-form and aggregate metrics
+ */
+async function runEvaluation(runId, tenantId, forms, provider, systemPrompt) {
+  const insertResult = db.prepare(`
+    INSERT INTO evaluation_results (id, run_id, form_id, metrics, extraction, error)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const total = emptyCounts();
+  let failed = 0;
+
+  for (const [index, form] of forms.entries()) {
+    console.log(`[Evaluation] Run ${runId}: form ${index + 1} of ${forms.length} (${form.filename})`);
+
+    try {
+      // Same inputs as a live upload: fillable PDF fields and the text layer are merged in too
+      const { images, acroForm, textLayer } = trainingService.getFormById(form.id, tenantId);
+      const expected = JSON.parse(form.corrected_extraction);
+      const { formStructure } = await extractFormStructureWithMeta(images, {
+        provider,
+        systemPrompt,
+        acroForm,
+        textLayer,
+        useTemplates: false,
+        tenantId
+      });
+
+      const counts = computeCounts(expected, formStructure);
+      addCounts(total, counts);
+
+      insertResult.run(
+        generateId('evr'),
+        runId,
+        form.id,
+        JSON.stringify(summarizeCounts(counts)),
+        JSON.stringify(formStructure),
+        null
+      );
+    } catch (error) {
+      failed++;
+      console.error(`[Evaluation] Form ${form.id} failed:`, error.message);
+      insertResult.run(generateId('evr'), runId, form.id, null, null, error.message);
+    }
+  }
+
+  const metrics = { ...summarizeCounts(total), formsEvaluated: forms.length - failed, formsFailed: failed };
+
+  db.prepare(`
+    UPDATE evaluation_runs
+    SET status = 'completed', metrics = ?, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(JSON.stringify(metrics), runId);
+
+  console.log(`[Evaluation] Run ${runId} completed`);
+  return getRun(runId, tenantId);
+}
+
+/**
+ * Get a tenant's evaluation run with its per-form results
+ */
+function getRun(runId, tenantId) {
+  const run = db.prepare('SELECT * FROM evaluation_runs WHERE id = ? AND tenant_id = ?').get(runId, tenantId);
+  if (!run) return null;
+
+  const results = db.prepare(`
+    SELECT r.form_id, r.metrics, r.error, f.filename
+    FROM evaluation_results r
+    LEFT JOIN training_forms f ON f.id = r.form_id
+    WHERE r.run_id = ?
+  `).all(runId);
+
+  return {
+    ...formatRun(run),
+    results: results.map(r => ({
+      formId: r.form_id,
+      filename: r.filename,
+      metrics: r.metrics ? JSON.parse(r.metrics) : null,
+      error: r.error
+    }))
+  };
+}
+
+/**
+ * List a tenant's evaluation runs, newest first, for comparing prompts and models
+ */
+function listRuns(tenantId) {
+  return db.prepare('SELECT * FROM evaluation_runs WHERE tenant_id = ? ORDER BY created_at DESC').all(tenantId).map(formatRun);
+}
+
+module.exports = {
+  startEvaluation,
+  getRun,
+  listRuns
+};
@@ -2,17 +2,45 @@ const path = require('path');
 const fs = require('fs').promises;
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
-const { getFileExtension, fileToBase64, ensureDirectory, cleanupFiles } = require('../utils/helpers');
-const { convertPdfToImages } = require('./pdfConverter');
-const { convertDocxToImages } = require('./docxConverter');
+const { getFileExtension, getMimeType, fileToBase64, ensureDirectory, cleanupFiles } = require('../utils/helpers');
+const { detectFileType } = require('../utils/fileType');
+const { convertPdfToImages, isPdfConversionAvailable } = require('./pdfConverter');
+const { convertDocxToImages, isHtmlRenderingAvailable, isDocReadingAvailable } = require('./docxConverter');
+const { readAcroForm } = require('./acroFormReader');
+const { extractTextLayer } = require('./pdfTextLayer');
+const { preprocessPages, ENABLED_STEPS } = require('./imagePreprocessor');
+
+let heicDecode;
+try {
+  heicDecode = require('heic-decode');
+} catch (error) {
+  console.warn('heic-decode not available, HEIC photos cannot be read');
+}
 
 const UPLOADS_DIR = path.join(__dirname, '../../uploads');
 const TEMP_DIR = path.join(__dirname, '../../uploads/temp');
 
+/**
+ * Formats that can be uploaded, with the extensions each is known by
+ * The type is what detectFileType reports from the file's contents.
+ */
+const FORMATS = [
+  { type: 'pdf', extensions: ['pdf'], category: 'pdf', multiPage: true },
+  { type: 'docx', extensions: ['docx'], category: 'document', multiPage: true },
+  { type: 'doc', extensions: ['doc'], category: 'document', multiPage: true },
+  { type: 'jpeg', extensions: ['jpg', 'jpeg'], category: 'image', multiPage: false },
+  { type: 'png', extensions: ['png'], category: 'image', multiPage: false },
+  { type: 'tiff', extensions: ['tif', 'tiff'], category: 'image', multiPage: true },
+  { type: 'webp', extensions: ['webp'], category: 'image', multiPage: false },
+  { type: 'heic', extensions: ['heic', 'heif'], category: 'image', multiPage: false }
+];
+
 /**
  * Process uploaded file and convert to images
+ * The file's type is detected from its contents, not its name.
+ * PDFs also have their native form fields and text layer read; every page is preprocessed
  * @param {Object} file - Multer file object
- * @returns {Promise<Array<{page: number, base64: string, mimeType: string}>>}
+ * @returns {Promise<{images: Array<{page: number, base64: string, mimeType: string, preprocessing: Object}>, acroForm: Object|null, textLayer: Object|null}>}
  */
 async function processFile(file) {
   const extension = getFileExtension(file.originalname);
@@ -21,43 +49,70 @@ async function processFile(file) {
 
   await ensureDirectory(tempDir);
 
-  const filesToCleanup = [];
+  // The upload is removed even when it cannot be converted
+  const filesToCleanup = [file.path];
 
   try {
     let images = [];
+    let acroForm = null;
+    let textLayer = null;
+
+    const fileType = await detectFileType(file.path);
+    if (!fileType) {
+      const error = new Error(`${file.originalname} is not a supported document or image`);
+      error.code = 'UNSUPPORTED_FILE_CONTENT';
+      throw error;
+    }
 
-    switch (extension) {
+    const expectedType = FORMATS.find(format => format.extensions.includes(extension));
+    if (!expectedType || expectedType.type !== fileType) {
+      console.warn(`${file.originalname} contains ${fileType} data; converting it as ${fileType}`);
+    }
+
+    switch (fileType) {
       case 'pdf':
         images = await convertPdfToImages(file.path, tempDir);
+        acroForm = await readAcroForm(file.path);
+        textLayer = await extractTextLayer(file.path);
         break;
 
       case 'docx':
       case 'doc':
-        images = await convertDocxToImages(file.path, tempDir);
+        images = await convertDocxToImages(file.path, tempDir, fileType);
         break;
 
-      case 'jpg':
-      case 'jpeg':
-      case 'png':
-        images = await processImage(file.path, tempDir);
+      case 'heic':
+        images = await processHeicImage(file.path, tempDir);
         break;
 
       default:
-        throw new Error(`Unsupported file type: ${extension}`);
+        images = await processImage(file.path, tempDir, fileType);
+        break;
     }
 
+    // Clean up scans; born-digital PDFs keep their geometry so PDF coordinates still line up
+    images = await preprocessPages(images, { geometric: !acroForm && !textLayer });
+
     // Track files for cleanup
     images.forEach(img => {
       if (img.path) filesToCleanup.push(img.path);
     });
-    filesToCleanup.push(file.path);
+
+    if (acroForm) {
+      console.log(`Found ${acroForm.fields.length} PDF form field(s) in ${file.originalname}`);
+    }
 
     // Return images without file paths (for security)
-    return images.map(img => ({
-      page: img.page,
-      base64: img.base64,
-      mimeType: img.mimeType
-    }));
+    return {
+      images: images.map(img => ({
+        page: img.page,
+        base64: img.base64,
+        mimeType: img.mimeType,
+        preprocessing: img.preprocessing
+      })),
+      acroForm,
+      textLayer
+    };
   } finally {
     // Cleanup temporary files
     await cleanupFiles(filesToCleanup);
@@ -72,19 +127,143 @@ async function processFile(file) {
 }
 
 /**
- * Process image file (JPG/PNG)
- * @param {string} imagePath - Path to the image file
- * @param {string} outputDir - Output directory
- * @returns {Promise<Array<{page: number, base64: string, path: string, mimeType: string}>>}
+ * Process several uploaded files as one form, in the given order
+ * Pages are numbered across all files; PDF form fields and text layers are shifted to match.
+ * @param {Array<Object>} files - Multer file objects, in page order
+ * @returns {Promise<{images: Array<Object>, acroForm: Object|null, textLayer: Object|null, pageCounts: Array<number>}>}
+ *   pageCounts holds the number of pages each file contributed
  */
-async function processImage(imagePath, outputDir) {
-  const extension = getFileExtension(imagePath);
-  const baseName = path.basename(imagePath, path.extname(imagePath));
+async function processFiles(files) {
+  const images = [];
+  const acroFields = [];
+  const textPages = [];
+  const pageCounts = [];
+  let formTitle = null;
+  let filesWithoutFields = 0;
 
-  // Optimize image for AI processing
-  const outputPath = path.join(outputDir, `${baseName}_processed.png`);
+  for (let index = 0; index < files.length; index++) {
+    let result;
+    try {
+      result = await processFile(files[index]);
+    } catch (error) {
+      // The files after this one were never processed, so remove their uploads here
+      await cleanupFiles(files.slice(index + 1).map(file => file.path));
+      throw error;
+    }
+
+    const offset = images.length;
+    const filename = files[index].originalname;
+
+    result.images.forEach((img, idx) => {
+      images.push({ ...img, page: offset + idx + 1, source: { filename, page: img.page } });
+    });
+    pageCounts.push(result.images.length);
+
+    if (result.acroForm) {
+      formTitle = formTitle || result.acroForm.formTitle;
+      result.acroForm.fields.forEach(field => {
+        acroFields.push({ ...field, page: field.page != null ? field.page + offset : null });
+      });
+    } else {
+      filesWithoutFields++;
+    }
+
+    if (result.textLayer) {
+      result.textLayer.pages.forEach(page => textPages.push({ ...page, page: page.page + offset }));
+    }
+  }
+
+  return {
+    images,
+    acroForm: acroFields.length > 0
+      ? {
+        formTitle,
+        pageCount: images.length,
+        fields: acroFields,
+        // Some pages came from files without form fields, e.g. scans added to a fillable PDF
+        partial: filesWithoutFields > 0
+      }
+      : null,
+    textLayer: textPages.length > 0 ? { pages: textPages } : null,
+    pageCounts
+  };
+}
+
+/**
+ * Put uploaded files in the requested page order
+ * @param {Array<Object>} files - Multer file objects, in upload order
+ * @param {string} [pageOrder] - Comma-separated 1-based upload positions or original filenames,
+ *   e.g. "2,1,3"; upload order when omitted
+ * @returns {{files: Array<Object>}|{error: string}}
+ */
+function orderFiles(files, pageOrder) {
+  if (pageOrder === undefined || pageOrder === null || String(pageOrder).trim() === '') {
+    return { files };
+  }
+
+  const entries = String(pageOrder).split(',').map(entry => entry.trim());
+  const ordered = [];
+
+  for (const entry of entries) {
+    const index = /^\d+$/.test(entry)
+      ? parseInt(entry, 10) - 1
+      : files.findIndex(file => file.originalname === entry);
+
+    if (index < 0 || index >= files.length) {
+      return { error: `pageOrder entry "${entry}" does not match an uploaded file` };
+    }
+    if (ordered.includes(files[index])) {
+      return { error: `pageOrder lists "${entry}" more than once` };
+    }
+    ordered.push(files[index]);
+  }
+
+  if (ordered.length !== files.length) {
+    return { error: `pageOrder must list all ${files.length} uploaded files` };
+  }
+
+  return { files: ordered };
+}
+
+/**
+ * Describe the uploaded files for response metadata
+ * @param {Array<Object>} files - Multer file objects, in page order
+ * @param {Array<number>} [pageCounts] - Pages per file, from processFiles
+ * @returns {Array<{filename: string, fileSize: number, firstPage?: number, pageCount?: number}>}
+ */
+function describeFiles(files, pageCounts) {
+  let firstPage = 1;
+
+  return files.map((file, index) => {
+    const description = { filename: file.originalname, fileSize: file.size };
+    if (pageCounts && pageCounts[index] !== undefined) {
+      description.firstPage = firstPage;
+      description.pageCount = pageCounts[index];
+      firstPage += pageCounts[index];
+    }
+    return description;
+  });
+}
 
-  await sharp(imagePath)
+/**
+ * Write one page image as a PNG sized for the vision model
+ * @param {string|Buffer} input - Image file path or raw pixel data
+ * @param {Object} inputOptions - sharp input options, e.g. {page} or {raw}
+ * @param {string} outputPath - Where to write the PNG
+ * @param {number} page - Page number
+ * @returns {Promise<{page: number, base64: string, path: string, mimeType: string}>}
+ */
+async function savePageImage(input, inputOptions, outputPath, page) {
+  // EXIF orientation is dropped on conversion, so photos are turned upright here
+  const { orientation } = await sharp(input, inputOptions).metadata();
+  const autorotate = ENABLED_STEPS.includes('autorotate') && orientation > 1;
+
+  let pipeline = sharp(input, inputOptions);
+  if (autorotate) {
+    pipeline = pipeline.rotate();
+  }
+
+  await pipeline
     .png({ quality: 90 })
     .resize({
       width: 2000,
@@ -96,12 +275,103 @@ async function processImage(imagePath, outputDir) {
 
   const base64 = await fileToBase64(outputPath);
 
-  return [{
-    page: 1,
+  const image = {
+    page,
     base64,
     path: outputPath,
     mimeType: 'image/png'
-  }];
+  };
+
+  if (autorotate) {
+    image.preprocessing = { applied: ['autorotate'], orientation };
+  }
+
+  return image;
+}
+
+/**
+ * Process image file (JPG/PNG/WebP, or TIFF with one image per page)
+ * @param {string} imagePath - Path to the image file
+ * @param {string} outputDir - Output directory
+ * @param {string} [fileType] - Detected type; only TIFFs are split into pages
+ * @returns {Promise<Array<{page: number, base64: string, path: string, mimeType: string}>>}
+ */
+async function processImage(imagePath, outputDir, fileType) {
+  const baseName = path.basename(imagePath, path.extname(imagePath));
+
+  // Fax systems send each page as a separate image in one TIFF
+  const pageCount = fileType === 'tiff' ? (await sharp(imagePath).metadata()).pages || 1 : 1;
+
+  if (pageCount === 1) {
+    return [await savePageImage(imagePath, {}, path.join(outputDir, `${baseName}_processed.png`), 1)];
+  }
+
+  const images = [];
+  for (let index = 0; index < pageCount; index++) {
+    const outputPath = path.join(outputDir, `${baseName}_processed-${index + 1}.png`);
+    images.push(await savePageImage(imagePath, { page: index }, outputPath, index + 1));
+  }
+
+  return images;
+}
+
+/**
+ * Process HEIC/HEIF photo (iPhone camera default)
+ * sharp's bundled libvips cannot decode HEVC, so the primary image is decoded in JS
+ * @param {string} imagePath - Path to the image file
+ * @param {string} outputDir - Output directory
+ * @returns {Promise<Array<{page: number, base64: string, path: string, mimeType: string}>>}
+ */
+async function processHeicImage(imagePath, outputDir) {
+  if (!heicDecode) {
+    throw new Error('Failed to convert HEIC: heic-decode is not installed');
+  }
+
+  const baseName = path.basename(imagePath, path.extname(imagePath));
+
+  let decoded;
+  try {
+    decoded = await heicDecode({ buffer: await fs.readFile(imagePath) });
+  } catch (error) {
+    throw new Error(`Failed to convert HEIC: ${error.message}`);
+  }
+
+  const outputPath = path.join(outputDir, `${baseName}_processed.png`);
+  const raw = { width: decoded.width, height: decoded.height, channels: 4 };
+
+  return [await savePageImage(Buffer.from(decoded.data.buffer), { raw }, outputPath, 1)];
+}
+
+/**
+ * Whether a format can be converted with the libraries installed on this server
+ */
+function isFormatAvailable(type) {
+  switch (type) {
+    case 'pdf':
+      return isPdfConversionAvailable();
+    case 'docx':
+      return isHtmlRenderingAvailable();
+    case 'doc':
+      return isHtmlRenderingAvailable() && isDocReadingAvailable();
+    case 'heic':
+      return Boolean(heicDecode);
+    default:
+      return Boolean(sharp.format[type] && sharp.format[type].input.file);
+  }
+}
+
+/**
+ * List the upload formats and whether each works on this server
+ * @returns {Array<{type: string, extensions: Array<string>, mimeType: string, multiPage: boolean, available: boolean}>}
+ */
+function getSupportedFormats() {
+  return FORMATS.map(format => ({
+    type: format.type,
+    extensions: format.extensions,
+    mimeType: getMimeType(format.extensions[0]),
+    multiPage: format.multiPage,
+    available: isFormatAvailable(format.type)
+  }));
 }
 
 /**
@@ -111,23 +381,19 @@ async function processImage(imagePath, outputDir) {
  */
 function getFileType(filename) {
   const extension = getFileExtension(filename);
+  const format = FORMATS.find(f => f.extensions.includes(extension));
 
-  const typeMap = {
-    pdf: 'pdf',
-    docx: 'document',
-    doc: 'document',
-    jpg: 'image',
-    jpeg: 'image',
-    png: 'image'
-  };
-
-  return typeMap[extension] || 'unknown';
+  return format ? format.category : 'unknown';
 }
 
 module.exports = {
   processFile,
+  processFiles,
+  orderFiles,
+  describeFiles,
   processImage,
   getFileType,
+  getSupportedFormats,
   UPLOADS_DIR,
   TEMP_DIR
 };
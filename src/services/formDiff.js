@@ -0,0 +1,237 @@
+const { normalizeText, textSimilarity } = require('../utils/textSimilarity');
+const { greedyMatch } = require('./evaluationMetrics');
+
+/**
+ * Structural diff between two form structures
+ * Used to see what a carrier changed between editions of an application, or what a reviewer
+ * corrected in an extraction. Sections and fields are aligned by title/label similarity and
+ * position, then each aligned pair is compared property by property.
+ */
+
+// Minimum alignment score for two sections or fields to be the same one
+const SECTION_MATCH_THRESHOLD = 0.6;
+const FIELD_MATCH_THRESHOLD = 0.6;
+
+// Heavily reworded questions are still paired when they keep their component and place
+const REWORDED_MATCH_THRESHOLD = 0.35;
+
+// Added to field similarity when both fields sit in aligned sections
+const SAME_SECTION_BONUS = 0.1;
+
+// Most added for sitting at the same relative position in the form
+const POSITION_WEIGHT = 0.15;
+
+const CHANGE_TYPES = [
+  'section_added',
+  'section_removed',
+  'section_renamed',
+  'field_added',
+  'field_removed',
+  'field_reworded',
+  'field_moved',
+  'component_changed',
+  'options_changed',
+  'columns_changed',
+  'row_count_changed',
+  'required_changed'
+];
+
+/**
+ * Fields of a form in reading order, with where they sit
+ */
+function flattenFields(form) {
+  const fields = [];
+  (form.sections || []).forEach((section, sectionIndex) => {
+    (section.fields || []).forEach((field, fieldIndex) => {
+      fields.push({ field, section, sectionIndex, path: `/sections/${sectionIndex}/fields/${fieldIndex}` });
+    });
+  });
+  fields.forEach((entry, index) => {
+    entry.position = fields.length > 1 ? index / (fields.length - 1) : 0;
+  });
+  return fields;
+}
+
+/**
+ * Closeness of two relative positions (0 to 1 each), as a score bonus
+ */
+function positionBonus(a, b) {
+  return POSITION_WEIGHT * (1 - Math.abs(a - b));
+}
+
+/**
+ * How a field is referred to in a change
+ */
+function fieldRef(entry) {
+  return {
+    id: entry.field.id,
+    label: entry.field.label,
+    section: entry.section.title,
+    path: entry.path
+  };
+}
+
+/**
+ * Items added to and removed from a list, ignoring case and punctuation
+ * @returns {{added: Array<string>, removed: Array<string>, reordered: boolean}|null} null when unchanged
+ */
+function diffList(before, after) {
+  const left = before || [];
+  const right = after || [];
+  const leftKeys = left.map(normalizeText);
+  const rightKeys = right.map(normalizeText);
+
+  const added = right.filter((item, i) => !leftKeys.includes(rightKeys[i]));
+  const removed = left.filter((item, i) => !rightKeys.includes(leftKeys[i]));
+  const kept = leftKeys.filter(key => rightKeys.includes(key));
+  const reordered = added.length === 0 && removed.length === 0
+    && kept.some((key, i) => key !== rightKeys.filter(k => leftKeys.includes(k))[i]);
+
+  if (added.length === 0 && removed.length === 0 && !reordered) return null;
+  return { added, removed, reordered };
+}
+
+/**
+ * Changes between two aligned fields
+ */
+function compareFields(beforeEntry, afterEntry, sectionMap) {
+  const before = beforeEntry.field;
+  const after = afterEntry.field;
+  const field = { before: fieldRef(beforeEntry), after: fieldRef(afterEntry) };
+  const changes = [];
+
+  if (normalizeText(before.label) !== normalizeText(after.label)) {
+    changes.push({
+      type: 'field_reworded',
+      field,
+      from: before.label,
+      to: after.label,
+      similarity: Math.round(textSimilarity(before.label, after.label) * 100) / 100
+    });
+  }
+
+  if (sectionMap.get(beforeEntry.sectionIndex) !== afterEntry.sectionIndex) {
+    changes.push({ type: 'field_moved', field, from: beforeEntry.section.title, to: afterEntry.section.title });
+  }
+
+  if (before.component !== after.component) {
+    changes.push({ type: 'component_changed', field, from: before.component, to: after.component });
+  }
+
+  const options = diffList(before.options, after.options);
+  if ((before.options || after.options) && options) {
+    changes.push({ type: 'options_changed', field, ...options });
+  }
+
+  const columns = diffList(before.columns, after.columns);
+  if ((before.columns || after.columns) && columns) {
+    changes.push({ type: 'columns_changed', field, ...columns });
+  }
+
+  if ((before.rowCount !== undefined || after.rowCount !== undefined) && before.rowCount !== after.rowCount) {
+    changes.push({ type: 'row_count_changed', field, from: before.rowCount ?? null, to: after.rowCount ?? null });
+  }
+
+  if (Boolean(before.required) !== Boolean(after.required)) {
+    changes.push({ type: 'required_changed', field, from: Boolean(before.required), to: Boolean(after.required) });
+  }
+
+  return changes;
+}
+
+/**
+ * Align two form structures and list what changed from `before` to `after`
+ * @param {Object} before - Form structure, e.g. the previous edition or the AI extraction
+ * @param {Object} after - Form structure, e.g. the new edition or the corrected extraction
+ * @returns {{changes: Array<Object>, summary: Object}} Changes in `after` order, removals last;
+ *   summary counts changes by type plus fields left unchanged
+ */
+function diffFormStructures(before, after) {
+  const beforeSections = before.sections || [];
+  const afterSections = after.sections || [];
+  const sectionPosition = (index, count) => (count > 1 ? index / (count - 1) : 0);
+
+  const sectionPairs = greedyMatch(
+    beforeSections.map((section, index) => ({ section, index })),
+    afterSections.map((section, index) => ({ section, index })),
+    (b, a) => textSimilarity(b.section.title, a.section.title)
+      + positionBonus(sectionPosition(b.index, beforeSections.length), sectionPosition(a.index, afterSections.length)),
+    SECTION_MATCH_THRESHOLD
+  );
+  const sectionMap = new Map(sectionPairs.map(pair => [pair.expected, pair.actual]));
+
+  const beforeFields = flattenFields(before);
+  const afterFields = flattenFields(after);
+  const fieldScore = (b, a) => {
+    const similarity = textSimilarity(b.field.label, a.field.label) + positionBonus(b.position, a.position);
+    return sectionMap.get(b.sectionIndex) === a.sectionIndex ? similarity + SAME_SECTION_BONUS : similarity;
+  };
+
+  const fieldPairs = greedyMatch(beforeFields, afterFields, fieldScore, FIELD_MATCH_THRESHOLD);
+
+  // Second pass: rewordings too heavy for the first, kept in the same section and component
+  const pairedBefore = new Set(fieldPairs.map(pair => pair.expected));
+  const pairedAfter = new Set(fieldPairs.map(pair => pair.actual));
+  const restBefore = beforeFields.map((entry, index) => ({ ...entry, index })).filter(entry => !pairedBefore.has(entry.index));
+  const restAfter = afterFields.map((entry, index) => ({ ...entry, index })).filter(entry => !pairedAfter.has(entry.index));
+  const reworded = greedyMatch(
+    restBefore,
+    restAfter,
+    (b, a) => (b.field.component === a.field.component && sectionMap.get(b.sectionIndex) === a.sectionIndex ? fieldScore(b, a) : 0),
+    REWORDED_MATCH_THRESHOLD
+  );
+  for (const pair of reworded) {
+    fieldPairs.push({ expected: restBefore[pair.expected].index, actual: restAfter[pair.actual].index, score: pair.score });
+  }
+
+  const changes = [];
+  const matchedSections = new Set(sectionPairs.map(pair => pair.actual));
+  const afterToBefore = new Map(fieldPairs.map(pair => [pair.actual, pair.expected]));
+  let unchanged = 0;
+
+  afterSections.forEach((section, index) => {
+    if (!matchedSections.has(index)) {
+      changes.push({ type: 'section_added', section: { before: null, after: section.title } });
+      return;
+    }
+    const beforeIndex = sectionPairs.find(pair => pair.actual === index).expected;
+    if (normalizeText(beforeSections[beforeIndex].title) !== normalizeText(section.title)) {
+      changes.push({ type: 'section_renamed', section: { before: beforeSections[beforeIndex].title, after: section.title } });
+    }
+  });
+
+  afterFields.forEach((entry, index) => {
+    if (!afterToBefore.has(index)) {
+      changes.push({ type: 'field_added', field: { before: null, after: fieldRef(entry) }, component: entry.field.component });
+      return;
+    }
+    const fieldChanges = compareFields(beforeFields[afterToBefore.get(index)], entry, sectionMap);
+    if (fieldChanges.length === 0) unchanged++;
+    changes.push(...fieldChanges);
+  });
+
+  const matchedBefore = new Set(fieldPairs.map(pair => pair.expected));
+  beforeFields.forEach((entry, index) => {
+    if (!matchedBefore.has(index)) {
+      changes.push({ type: 'field_removed', field: { before: fieldRef(entry), after: null }, component: entry.field.component });
+    }
+  });
+
+  beforeSections.forEach((section, index) => {
+    if (!sectionMap.has(index)) {
+      changes.push({ type: 'section_removed', section: { before: section.title, after: null } });
+    }
+  });
+
+  const summary = { unchanged };
+  for (const type of CHANGE_TYPES) {
+    summary[type] = changes.filter(change => change.type === type).length;
+  }
+
+  return { changes, summary };
+}
+
+module.exports = {
+  diffFormStructures,
+  CHANGE_TYPES
+};
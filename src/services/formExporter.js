@@ -0,0 +1,582 @@
+const componentRegistry = require('./componentRegistry');
+const { sanitizeValidation } = require('./dataTypes');
+
+/**
+ * Exports an extracted form structure to formats other systems can render
+ * - JSON Schema (draft-07) for the submitted data, with a UI schema in the
+ *   react-jsonschema-form convention for widgets and ordering
+ * - A self-contained HTML form with an input for every component's widget
+ * Data is keyed by section and field IDs, so both exports describe the same submission.
+ * Text inputs are typed by their dataType and validation (numbers, dates, emails, masks).
+ * Follow-up fields with a visibleWhen condition are only required (JSON Schema) and
+ * only shown (HTML) when the answer they depend on is given.
+ */
+
+// pdf is built by pdfFormBuilder
+const EXPORT_FORMATS = ['json-schema', 'html', 'pdf'];
+
+// Rows a Table field starts with at most; the form can add more
+const MAX_INITIAL_ROWS = 100;
+
+/**
+ * Rows a Table field starts with: its rowCount, at least one and at most MAX_INITIAL_ROWS
+ */
+function initialRows(field) {
+  const rowCount = Number.isInteger(field.rowCount) ? field.rowCount : 0;
+  return Math.min(Math.max(rowCount, 1), MAX_INITIAL_ROWS);
+}
+
+/**
+ * Turn a column name into a property key, unique within the table
+ */
+function toColumnKey(name, index, used) {
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || `column_${index + 1}`;
+
+  let key = base;
+  let suffix = 2;
+  while (used.has(key)) {
+    key = `${base}_${suffix++}`;
+  }
+  used.add(key);
+  return key;
+}
+
+/**
+ * Property keys for a Table field's columns, in column order
+ */
+function getColumnKeys(field) {
+  const used = new Set();
+  return (field.columns || []).map((column, index) => ({ key: toColumnKey(column, index, used), title: column }));
+}
+
+/**
+ * Fill in missing section and field IDs, which key the exported data
+ */
+function withIds(formStructure) {
+  let fieldNumber = 0;
+  return {
+    ...formStructure,
+    sections: (formStructure.sections || []).map((section, sectionIndex) => ({
+      ...section,
+      id: section.id || `section_${sectionIndex + 1}`,
+      fields: (section.fields || []).map(field => {
+        fieldNumber++;
+        return { ...field, id: field.id || `field_${fieldNumber}` };
+      })
+    }))
+  };
+}
+
+/**
+ * Where each field sits, keyed by field ID, for resolving visibleWhen references
+ * @returns {Map<string, {sectionId: string, field: Object}>}
+ */
+function indexFields(formStructure) {
+  const index = new Map();
+  for (const section of formStructure.sections) {
+    for (const field of section.fields) {
+      index.set(field.id, { sectionId: section.id, field });
+    }
+  }
+  return index;
+}
+
+/**
+ * The field a follow-up depends on, or null when it has no usable condition
+ */
+function getController(field, fieldIndex) {
+  const condition = field.visibleWhen;
+  if (!condition || typeof condition.field !== 'string' || condition.field === field.id) return null;
+  const controller = fieldIndex.get(condition.field);
+  return controller && !componentRegistry.isDisplayComponent(controller.field.component) ? controller : null;
+}
+
+/**
+ * JSON Schema "if" clause matching the answer a follow-up depends on
+ */
+function conditionSchema(controller, equals) {
+  const answer = componentRegistry.getWidget(controller.field.component) === 'checkboxes'
+    ? { type: 'array', contains: { const: equals } }
+    : { const: equals };
+
+  return {
+    properties: {
+      [controller.sectionId]: { properties: { [controller.field.id]: answer }, required: [controller.field.id] }
+    },
+    required: [controller.sectionId]
+  };
+}
+
+/**
+ * Fields that take input
+ */
+function getInputFields(section) {
+  return section.fields.filter(field => !componentRegistry.isDisplayComponent(field.component));
+}
+
+// Data types whose values are numbers rather than text
+const NUMERIC_TYPES = { number: 'number', currency: 'number', percentage: 'number', year: 'integer' };
+
+/**
+ * JSON Schema and UI options for a text input, from its dataType and validation
+ * @returns {{schema: Object, ui: Object}}
+ */
+function describeTypedInput(field, base) {
+  const validation = sanitizeValidation(field.validation);
+  const schema = { ...base, type: NUMERIC_TYPES[field.dataType] || 'string' };
+  const ui = {};
+
+  if (schema.type === 'string') {
+    const format = { email: 'email', url: 'uri', date: 'date' }[field.dataType];
+    if (format) schema.format = format;
+    if (validation.pattern) schema.pattern = validation.pattern;
+    if (validation.maxLength) schema.maxLength = validation.maxLength;
+  } else {
+    if (validation.min !== undefined) schema.minimum = validation.min;
+    if (validation.max !== undefined) schema.maximum = validation.max;
+  }
+
+  const options = {};
+  if (field.dataType) options.dataType = field.dataType;
+  if (validation.format) options.mask = validation.format;
+  if (validation.unit) options.unit = validation.unit;
+  if (Object.keys(options).length > 0) ui['ui:options'] = options;
+
+  return { schema, ui };
+}
+
+/**
+ * JSON Schema and UI schema entries for one field
+ * @returns {{schema: Object, ui: Object}}
+ */
+function describeField(field) {
+  const options = field.options || [];
+  const base = { title: field.label };
+
+  switch (componentRegistry.getWidget(field.component)) {
+    case 'textarea': {
+      const { schema, ui } = describeTypedInput(field, base);
+      return { schema, ui: { 'ui:widget': 'textarea', ...ui } };
+    }
+
+    case 'radio':
+      return { schema: { ...base, type: 'string', enum: options }, ui: { 'ui:widget': 'radio' } };
+
+    case 'select':
+      return { schema: { ...base, type: 'string', enum: options }, ui: { 'ui:widget': 'select' } };
+
+    case 'checkboxes': {
+      const schema = { ...base, type: 'array', items: { type: 'string', enum: options }, uniqueItems: true };
+      if (field.required) schema.minItems = 1;
+      return { schema, ui: { 'ui:widget': 'checkboxes' } };
+    }
+
+    case 'file':
+      return { schema: { ...base, type: 'string', format: 'data-url' }, ui: { 'ui:widget': 'file' } };
+
+    case 'signature':
+      return {
+        schema: { ...base, type: 'string', format: 'data-url', contentMediaType: 'image/png' },
+        ui: { 'ui:widget': 'signature' }
+      };
+
+    case 'table': {
+      const columns = getColumnKeys(field);
+      const schema = {
+        ...base,
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: Object.fromEntries(columns.map(column => [column.key, { type: 'string', title: column.title }]))
+        }
+      };
+      if (field.required) schema.minItems = 1;
+      return {
+        schema,
+        ui: {
+          'ui:options': { orderable: false, initialRows: initialRows(field) },
+          items: { 'ui:order': columns.map(column => column.key) }
+        }
+      };
+    }
+
+    default:
+      return describeTypedInput(field, base);
+  }
+}
+
+/**
+ * Export a form structure as JSON Schema with UI-schema hints
+ * @param {Object} formStructure - {formTitle, sections}
+ * @returns {{schema: Object, uiSchema: Object}}
+ */
+function toJsonSchema(formStructure) {
+  formStructure = withIds(formStructure);
+
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: formStructure.formTitle,
+    type: 'object',
+    properties: {}
+  };
+  const uiSchema = { 'ui:order': [] };
+  const fieldIndex = indexFields(formStructure);
+  const conditionalRequired = [];
+
+  for (const section of formStructure.sections) {
+    const sectionSchema = { type: 'object', title: section.title, properties: {} };
+    const sectionUi = { 'ui:order': [] };
+    const required = [];
+
+    for (const field of getInputFields(section)) {
+      const { schema: fieldSchema, ui } = describeField(field);
+      if (field.placeholder) ui['ui:placeholder'] = field.placeholder;
+
+      sectionSchema.properties[field.id] = fieldSchema;
+      sectionUi[field.id] = ui;
+      sectionUi['ui:order'].push(field.id);
+
+      // A required follow-up is only required when it applies
+      const controller = getController(field, fieldIndex);
+      if (controller) {
+        ui['ui:visibleWhen'] = { section: controller.sectionId, field: controller.field.id, equals: field.visibleWhen.equals };
+        if (field.required) {
+          conditionalRequired.push({
+            if: conditionSchema(controller, field.visibleWhen.equals),
+            then: { properties: { [section.id]: { required: [field.id] } } }
+          });
+        }
+      } else if (field.required) {
+        required.push(field.id);
+      }
+    }
+
+    if (required.length > 0) sectionSchema.required = required;
+
+    schema.properties[section.id] = sectionSchema;
+    uiSchema[section.id] = sectionUi;
+    uiSchema['ui:order'].push(section.id);
+  }
+
+  if (conditionalRequired.length > 0) schema.allOf = conditionalRequired;
+
+  return { schema, uiSchema };
+}
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML input types for data types with native browser support
+const INPUT_TYPES = {
+  email: 'email',
+  url: 'url',
+  phone: 'tel',
+  date: 'date',
+  number: 'number',
+  currency: 'number',
+  percentage: 'number',
+  year: 'number'
+};
+
+/**
+ * Input type and constraint attributes for a text input, from its dataType and validation
+ */
+function typedInputAttributes(field) {
+  // Structures can come straight from a request body, so only well-typed rules reach the markup
+  const validation = sanitizeValidation(field.validation);
+  const type = INPUT_TYPES[field.dataType] || 'text';
+  let attributes = ` type="${type}"`;
+
+  if (type === 'number') {
+    if (validation.min !== undefined) attributes += ` min="${validation.min}"`;
+    if (validation.max !== undefined) attributes += ` max="${validation.max}"`;
+    attributes += ` step="${field.dataType === 'year' ? 1 : field.dataType === 'currency' ? '0.01' : 'any'}"`;
+  } else {
+    if (validation.pattern && type !== 'email') attributes += ` pattern="${escapeHtml(validation.pattern)}"`;
+    if (validation.maxLength) attributes += ` maxlength="${validation.maxLength}"`;
+    if (validation.format && type !== 'date' && !field.placeholder) attributes += ` placeholder="${escapeHtml(validation.format)}"`;
+  }
+
+  return attributes;
+}
+
+/**
+ * maxlength attribute for a Long Input
+ */
+function maxLengthAttribute(field) {
+  const { maxLength } = sanitizeValidation(field.validation);
+  return maxLength ? ` maxlength="${maxLength}"` : '';
+}
+
+/**
+ * Unit shown after an input, e.g. "USD" or "sq ft"
+ */
+function unitSuffix(field) {
+  return field.validation && field.validation.unit ? ` <span class="unit">${escapeHtml(field.validation.unit)}</span>` : '';
+}
+
+function requiredMark(field) {
+  return field.required ? ' <span class="required" aria-hidden="true">*</span>' : '';
+}
+
+/**
+ * Inputs for one row of a Table field; the row template uses __INDEX__
+ */
+function renderTableRow(field, columns, index) {
+  const cells = columns.map(column =>
+    `<td><input type="text" name="${escapeHtml(field.id)}[${index}][${column.key}]" aria-label="${escapeHtml(column.title)}"></td>`
+  );
+  return `<tr>${cells.join('')}</tr>`;
+}
+
+/**
+ * HTML for one field
+ */
+function renderField(field) {
+  const id = escapeHtml(field.id);
+  const label = escapeHtml(field.label);
+  const required = field.required ? ' required' : '';
+  const placeholder = field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : '';
+  const options = field.options || [];
+
+  switch (componentRegistry.getWidget(field.component)) {
+    case 'title':
+      return `<h2 class="form-heading">${label}</h2>`;
+
+    case 'section':
+      return `<h3 class="form-heading">${label}</h3>`;
+
+    case 'textarea':
+      return `<div class="field">
+  <label for="${id}">${label}${requiredMark(field)}</label>
+  <textarea id="${id}" name="${id}" rows="4"${required}${placeholder}${maxLengthAttribute(field)}></textarea>
+</div>`;
+
+    case 'radio':
+      return `<fieldset class="field choice">
+  <legend>${label}${requiredMark(field)}</legend>
+  ${options.map(option => `<label><input type="radio" name="${id}" value="${escapeHtml(option)}"${required}> ${escapeHtml(option)}</label>`).join('\n  ')}
+</fieldset>`;
+
+    case 'checkboxes':
+      // Browsers cannot require "at least one" of a checkbox group; the script checks data-required
+      return `<fieldset class="field choice"${field.required ? ' data-required="true"' : ''}>
+  <legend>${label}${requiredMark(field)}</legend>
+  ${options.map(option => `<label><input type="checkbox" name="${id}[]" value="${escapeHtml(option)}"> ${escapeHtml(option)}</label>`).join('\n  ')}
+</fieldset>`;
+
+    case 'select':
+      return `<div class="field">
+  <label for="${id}">${label}${requiredMark(field)}</label>
+  <select id="${id}" name="${id}"${required}>
+    <option value="">Select...</option>
+    ${options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('\n    ')}
+  </select>
+</div>`;
+
+    case 'file':
+      return `<div class="field">
+  <label for="${id}">${label}${requiredMark(field)}</label>
+  <input type="file" id="${id}" name="${id}"${required}>
+</div>`;
+
+    case 'signature':
+      return `<div class="field signature"${field.required ? ' data-required="true"' : ''}>
+  <label>${label}${requiredMark(field)}</label>
+  <canvas class="signature-pad" width="500" height="150" aria-label="${label}"></canvas>
+  <input type="hidden" name="${id}">
+  <button type="button" class="signature-clear">Clear</button>
+</div>`;
+
+    case 'table': {
+      const columns = getColumnKeys(field);
+      const rows = Array.from({ length: initialRows(field) }, (_, index) => renderTableRow(field, columns, index));
+      return `<div class="field table-field" data-field="${id}" data-rows="${rows.length}">
+  <label>${label}${requiredMark(field)}</label>
+  <table>
+    <thead><tr>${columns.map(column => `<th>${escapeHtml(column.title)}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${rows.join('\n      ')}
+    </tbody>
+  </table>
+  <template>${renderTableRow(field, columns, '__INDEX__')}</template>
+  <button type="button" class="add-row">Add row</button>
+</div>`;
+    }
+
+    default:
+      return `<div class="field">
+  <label for="${id}">${label}${requiredMark(field)}</label>
+  <input${typedInputAttributes(field)} id="${id}" name="${id}"${required}${placeholder}>${unitSuffix(field)}
+</div>`;
+  }
+}
+
+const HTML_STYLES = `
+    body { font-family: Arial, sans-serif; max-width: 820px; margin: 24px auto; padding: 0 16px; color: #222; }
+    fieldset.section { border: 1px solid #ccc; border-radius: 6px; margin: 0 0 20px; padding: 12px 16px; }
+    fieldset.section > legend { font-weight: bold; padding: 0 6px; }
+    .field { margin: 12px 0; border: 0; padding: 0; }
+    .field > label, .field > legend { display: block; font-weight: 600; margin-bottom: 4px; }
+    .choice label { display: block; font-weight: normal; margin: 2px 0; }
+    input[type=text], input[type=email], input[type=url], input[type=tel], textarea, select { width: 100%; box-sizing: border-box; padding: 6px; }
+    input[type=number], input[type=date] { padding: 6px; }
+    .unit { color: #555; margin-left: 4px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 4px; text-align: left; }
+    td input { border: 0; }
+    .signature-pad { border: 1px solid #999; display: block; max-width: 100%; touch-action: none; }
+    .required { color: #c00; }
+    .invalid { outline: 2px solid #c00; }
+    button { margin-top: 6px; }
+    .conditional[hidden] { display: none; }`;
+
+// Table rows, signature pads, follow-up fields and required checkbox groups need a little script
+const HTML_SCRIPT = `
+    // Follow-ups are shown only for their answer; hidden inputs are disabled so they are not submitted
+    var conditionals = document.querySelectorAll('[data-when-field]');
+    var updateConditionals = function () {
+      conditionals.forEach(function (container) {
+        var name = container.dataset.whenField;
+        var answers = document.querySelectorAll('[name="' + name + '"], [name="' + name + '[]"]');
+        var shown = Array.prototype.some.call(answers, function (input) {
+          if (input.disabled || input.value !== container.dataset.whenEquals) return false;
+          return input.type === 'radio' || input.type === 'checkbox' ? input.checked : true;
+        });
+        container.hidden = !shown;
+        container.querySelectorAll('input, textarea, select, button').forEach(function (input) {
+          input.disabled = !shown;
+        });
+      });
+    };
+    document.querySelector('form').addEventListener('change', updateConditionals);
+    updateConditionals();
+
+    document.querySelectorAll('.add-row').forEach(function (button) {
+      button.addEventListener('click', function () {
+        var container = button.closest('.table-field');
+        var index = Number(container.dataset.rows);
+        var html = container.querySelector('template').innerHTML.replace(/__INDEX__/g, index);
+        container.querySelector('tbody').insertAdjacentHTML('beforeend', html);
+        container.dataset.rows = index + 1;
+      });
+    });
+
+    document.querySelectorAll('.signature').forEach(function (container) {
+      var canvas = container.querySelector('canvas');
+      var input = container.querySelector('input[type=hidden]');
+      var context = canvas.getContext('2d');
+      var drawing = false;
+      var point = function (event) {
+        var rect = canvas.getBoundingClientRect();
+        return {
+          x: (event.clientX - rect.left) * canvas.width / rect.width,
+          y: (event.clientY - rect.top) * canvas.height / rect.height
+        };
+      };
+      canvas.addEventListener('pointerdown', function (event) {
+        drawing = true;
+        var p = point(event);
+        context.beginPath();
+        context.moveTo(p.x, p.y);
+      });
+      canvas.addEventListener('pointermove', function (event) {
+        if (!drawing) return;
+        var p = point(event);
+        context.lineTo(p.x, p.y);
+        context.stroke();
+      });
+      ['pointerup', 'pointerleave'].forEach(function (type) {
+        canvas.addEventListener(type, function () {
+          if (drawing) input.value = canvas.toDataURL('image/png');
+          drawing = false;
+        });
+      });
+      container.querySelector('.signature-clear').addEventListener('click', function () {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        input.value = '';
+      });
+    });
+
+    document.querySelector('form').addEventListener('submit', function (event) {
+      var missing = [];
+      document.querySelectorAll('[data-required=true]').forEach(function (group) {
+        if (group.closest('[hidden]')) return;
+        var filled = group.classList.contains('signature')
+          ? group.querySelector('input[type=hidden]').value
+          : group.querySelector('input:checked');
+        group.classList.toggle('invalid', !filled);
+        if (!filled) missing.push(group);
+      });
+      if (missing.length > 0) {
+        event.preventDefault();
+        missing[0].scrollIntoView({ block: 'center' });
+      }
+    });`;
+
+/**
+ * Export a form structure as a self-contained HTML page with a <form>
+ * @param {Object} formStructure - {formTitle, sections}
+ * @param {Object} [options]
+ * @param {string} [options.action] - Where the form submits (default: no action)
+ * @returns {string} HTML document
+ */
+function toHtmlForm(formStructure, options = {}) {
+  formStructure = withIds(formStructure);
+
+  const title = escapeHtml(formStructure.formTitle || 'Form');
+  const action = options.action ? ` action="${escapeHtml(options.action)}"` : '';
+
+  const fieldIndex = indexFields(formStructure);
+  const renderWithCondition = (field) => {
+    const controller = getController(field, fieldIndex);
+    if (!controller) return renderField(field);
+    return `<div class="conditional" data-when-field="${escapeHtml(controller.field.id)}" data-when-equals="${escapeHtml(field.visibleWhen.equals)}">
+  ${renderField(field).replace(/\n/g, '\n  ')}
+</div>`;
+  };
+
+  const sections = formStructure.sections.map(section => `<fieldset class="section" id="${escapeHtml(section.id)}">
+  <legend>${escapeHtml(section.title)}</legend>
+  ${section.fields.map(renderWithCondition).join('\n').replace(/\n/g, '\n  ')}
+</fieldset>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <style>${HTML_STYLES}
+  </style>
+</head>
+<body>
+  <form method="post" enctype="multipart/form-data"${action}>
+    <h1>${title}</h1>
+    ${sections.join('\n').replace(/\n/g, '\n    ')}
+    <button type="submit">Submit</button>
+  </form>
+  <script>${HTML_SCRIPT}
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  toJsonSchema,
+  toHtmlForm,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,46 @@
+const Ajv = require('ajv');
+const { buildFormStructureSchema } = require('../schemas/formStructureSchema');
+
+/**
+ * Create a validator for raw form structures returned by the model
+ * @param {Array<string>} componentNames - Valid component names
+ * @param {Object} [properties] - {optionComponents, columnComponents}, see buildFormStructureSchema
+ * @returns {Function} (data) => {valid: boolean, errors: Array<{path, message}>}
+ */
+function createFormStructureValidator(componentNames, properties) {
+  const ajv = new Ajv({ allErrors: true });
+  const validate = ajv.compile(buildFormStructureSchema(componentNames, properties));
+
+  return (data) => {
+    if (validate(data)) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = validate.errors
+      // "if" errors only repeat the failing "then" clause
+      .filter(error => error.keyword !== 'if')
+      .map(error => ({
+        path: error.instancePath || '/',
+        message: error.keyword === 'enum'
+          ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+          : error.message
+      }));
+
+    return { valid: false, errors };
+  };
+}
+
+/**
+ * Look up the value at a JSON pointer path (e.g. /sections/0/fields/2)
+ */
+function getAtPath(data, pointer) {
+  return pointer
+    .split('/')
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+module.exports = {
+  createFormStructureValidator,
+  getAtPath
+};
@@ -0,0 +1,312 @@
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { fileToBase64 } = require('../utils/helpers');
+
+/**
+ * Scan-quality preprocessing for page images
+ * Faxed and photographed forms arrive rotated, skewed, low-contrast and with wide margins.
+ * Each page is cleaned up before it is sent to the vision model, and the steps applied
+ * are reported per page.
+ */
+
+const ALL_STEPS = ['autorotate', 'deskew', 'trim', 'normalize', 'binarize', 'blank'];
+
+// Steps that move page content; skipped when page coordinates must stay aligned with the PDF
+const GEOMETRIC_STEPS = ['deskew', 'trim'];
+
+// Comma-separated steps to run, or "off"
+const ENABLED_STEPS = (() => {
+  const setting = (process.env.IMAGE_PREPROCESSING || ALL_STEPS.join(',')).toLowerCase().trim();
+  if (setting === 'off' || setting === 'none') return [];
+  return setting.split(',').map(step => step.trim()).filter(step => ALL_STEPS.includes(step));
+})();
+
+// Width pages are scaled to for analysis
+const ANALYSIS_WIDTH = 800;
+
+// How much darker than the paper a pixel must be to count as ink
+const INK_CONTRAST = 30;
+
+// Pages with less ink than this share of pixels are blank
+const BLANK_INK_RATIO = 0.002;
+
+// Largest skew corrected, and smallest worth correcting (degrees)
+const MAX_SKEW_ANGLE = 5;
+const MIN_SKEW_ANGLE = 0.3;
+
+// Pages whose darkest ink is lighter than this greyscale value are faint and get binarized
+const FAINT_INK_LEVEL = 120;
+
+// Share of ink pixels, darkest first, whose tone is taken as the page's darkest ink
+// (a few pixels in, so specks of dirt do not count)
+const DARKEST_INK_SHARE = 0.05;
+
+// Border kept around content after trimming, as a share of the page width
+const TRIM_PADDING = 0.02;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+/**
+ * Downscaled greyscale pixels for analysis
+ */
+async function getAnalysisPixels(buffer) {
+  const { data, info } = await sharp(buffer)
+    .greyscale()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+  const percentile = (share) => {
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= share * data.length) return value;
+    }
+    return 255;
+  };
+
+  // Paper is the median tone; anything clearly darker is ink
+  const inkThreshold = percentile(0.5) - INK_CONTRAST;
+
+  return {
+    data,
+    width: info.width,
+    height: info.height,
+    histogram,
+    inkThreshold,
+    darkestInk: darkestInk(histogram, inkThreshold)
+  };
+}
+
+/**
+ * Tone of the darkest ink, measured over ink pixels only
+ * A page-wide percentile would land on paper when a page has little writing on it.
+ * @returns {number|null} Greyscale value, or null when there is no ink
+ */
+function darkestInk(histogram, inkThreshold) {
+  let ink = 0;
+  for (let value = 0; value < Math.max(inkThreshold, 0); value++) ink += histogram[value];
+  if (ink === 0) return null;
+
+  let seen = 0;
+  for (let value = 0; value < inkThreshold; value++) {
+    seen += histogram[value];
+    if (seen >= DARKEST_INK_SHARE * ink) return value;
+  }
+  return inkThreshold - 1;
+}
+
+/**
+ * Share of pixels dark enough to be ink
+ */
+function inkRatio({ histogram, inkThreshold, data }) {
+  let ink = 0;
+  for (let value = 0; value < Math.max(inkThreshold, 0); value++) ink += histogram[value];
+  return data.length > 0 ? ink / data.length : 0;
+}
+
+/**
+ * Estimate how far text lines are rotated, in degrees (positive = clockwise)
+ * Ink pixels are projected onto rows at each candidate angle; the angle at which the
+ * row totals are most uneven is the one where text lines run straight across.
+ */
+function estimateSkewAngle({ data, width, height, inkThreshold }) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < inkThreshold) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+
+  if (xs.length < 100) return 0;
+
+  const offset = Math.ceil(width * Math.tan((MAX_SKEW_ANGLE * Math.PI) / 180)) + 1;
+  const bins = new Float64Array(height + 2 * offset + 1);
+
+  const score = (angle) => {
+    const slope = Math.tan((angle * Math.PI) / 180);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] - xs[i] * slope) + offset]++;
+    }
+    let sumOfSquares = 0;
+    for (let i = 0; i < bins.length; i++) sumOfSquares += bins[i] * bins[i];
+    return sumOfSquares;
+  };
+
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const value = score(angle);
+      if (value > best.score) best = { angle, score: value };
+    }
+    return best.angle;
+  };
+
+  const coarse = search(-MAX_SKEW_ANGLE, MAX_SKEW_ANGLE, 0.5);
+  const fine = search(coarse - 0.5, coarse + 0.5, 0.1);
+  return Math.round(fine * 100) / 100;
+}
+
+/**
+ * Otsu threshold separating ink from paper
+ */
+function otsuThreshold({ data, histogram }) {
+  const total = data.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+
+  let backgroundWeight = 0;
+  let backgroundSum = 0;
+  let best = { threshold: 128, variance: -1 };
+
+  for (let value = 0; value < 256; value++) {
+    backgroundWeight += histogram[value];
+    if (backgroundWeight === 0) continue;
+    const foregroundWeight = total - backgroundWeight;
+    if (foregroundWeight === 0) break;
+
+    backgroundSum += value * histogram[value];
+    const backgroundMean = backgroundSum / backgroundWeight;
+    const foregroundMean = (sum - backgroundSum) / foregroundWeight;
+    const variance = backgroundWeight * foregroundWeight * (backgroundMean - foregroundMean) ** 2;
+
+    if (variance > best.variance) best = { threshold: value, variance };
+  }
+
+  return best.threshold;
+}
+
+/**
+ * Run the enabled preprocessing steps on one page image
+ * @param {Buffer} input - Image data
+ * @param {Object} [options]
+ * @param {boolean} [options.geometric] - Allow steps that move content (default true)
+ * @returns {Promise<{buffer: Buffer, report: Object}>} PNG data and what was done
+ */
+async function preprocessImage(input, options = {}) {
+  const steps = options.geometric === false
+    ? ENABLED_STEPS.filter(step => !GEOMETRIC_STEPS.includes(step))
+    : ENABLED_STEPS;
+  const report = { applied: [], blank: false };
+  let buffer = input;
+
+  if (steps.includes('autorotate')) {
+    const { orientation } = await sharp(buffer).metadata();
+    if (orientation && orientation > 1) {
+      buffer = await sharp(buffer).rotate().toBuffer();
+      report.applied.push('autorotate');
+      report.orientation = orientation;
+    }
+  }
+
+  let pixels = await getAnalysisPixels(buffer);
+
+  // Blank pages are reported and left alone; contrast stretching would only amplify noise
+  if (steps.includes('blank') && inkRatio(pixels) < BLANK_INK_RATIO) {
+    report.blank = true;
+    return { buffer: await sharp(buffer).png().toBuffer(), report };
+  }
+
+  const faint = pixels.darkestInk !== null && pixels.darkestInk > FAINT_INK_LEVEL;
+
+  if (steps.includes('deskew')) {
+    const angle = estimateSkewAngle(pixels);
+    if (Math.abs(angle) >= MIN_SKEW_ANGLE) {
+      buffer = await sharp(buffer).rotate(-angle, { background: WHITE }).toBuffer();
+      report.applied.push('deskew');
+      report.skewAngle = angle;
+    }
+  }
+
+  if (steps.includes('trim')) {
+    try {
+      const { data, info } = await sharp(buffer)
+        .trim({ background: '#ffffff', threshold: 50 })
+        .toBuffer({ resolveWithObject: true });
+      const original = await sharp(buffer).metadata();
+
+      if (info.width < original.width || info.height < original.height) {
+        const padding = Math.round(original.width * TRIM_PADDING);
+        buffer = await sharp(data)
+          .extend({ top: padding, bottom: padding, left: padding, right: padding, background: WHITE })
+          .toBuffer();
+        report.applied.push('trim');
+        // The area of the untrimmed page the result shows, padding included
+        // (left/top are negative where the padding reaches past the page edge)
+        report.trimmed = {
+          left: -(info.trimOffsetLeft || 0) - padding,
+          top: -(info.trimOffsetTop || 0) - padding,
+          width: info.width + 2 * padding,
+          height: info.height + 2 * padding
+        };
+      }
+    } catch (error) {
+      // Nothing to trim (e.g. uniform image)
+    }
+  }
+
+  if (steps.includes('normalize')) {
+    buffer = await sharp(buffer).normalise({ lower: 1, upper: 99 }).toBuffer();
+    report.applied.push('normalize');
+  }
+
+  if (steps.includes('binarize') && faint) {
+    pixels = await getAnalysisPixels(buffer);
+    const threshold = otsuThreshold(pixels);
+    buffer = await sharp(buffer).greyscale().threshold(threshold).toBuffer();
+    report.applied.push('binarize');
+    report.binarizeThreshold = threshold;
+  }
+
+  return { buffer: await sharp(buffer).png().toBuffer(), report };
+}
+
+/**
+ * Preprocess converted pages in place
+ * Each image file is rewritten as PNG and its base64 refreshed.
+ * @param {Array<{page: number, base64: string, path: string, mimeType: string}>} images
+ * @param {Object} [options] - Passed to preprocessImage
+ * @returns {Promise<Array<Object>>} Images with a `preprocessing` report each
+ */
+async function preprocessPages(images, options = {}) {
+  if (ENABLED_STEPS.length === 0) return images;
+
+  const processed = [];
+  for (const image of images) {
+    try {
+      const { buffer, report } = await preprocessImage(await fs.readFile(image.path), options);
+      await fs.writeFile(image.path, buffer);
+
+      // Steps already applied during conversion (e.g. EXIF rotation) come first
+      const earlier = image.preprocessing || {};
+      processed.push({
+        ...image,
+        base64: await fileToBase64(image.path),
+        mimeType: 'image/png',
+        preprocessing: {
+          ...earlier,
+          ...report,
+          applied: [...(earlier.applied || []), ...report.applied]
+        }
+      });
+    } catch (error) {
+      console.warn(`Preprocessing failed for page ${image.page}:`, error.message);
+      processed.push({ ...image, preprocessing: { applied: [], blank: false, error: error.message } });
+    }
+  }
+
+  return processed;
+}
+
+module.exports = {
+  preprocessImage,
+  preprocessPages,
+  ENABLED_STEPS
+};
@@ -0,0 +1,366 @@
+const { db } = require('./database');
+const { processFiles, describeFiles } = require('./fileProcessor');
+const { extractFormStructureWithMeta, DEFAULT_ACROFORM_MODE } = require('./openaiService');
+const cacheService = require('./cacheService');
+const { DEFAULT_TENANT } = require('./authService');
+const { generateId, cleanupFiles } = require('../utils/helpers');
+
+// Create tables
+db.exec(`
+  CREATE TABLE IF NOT EXISTS extraction_jobs (
+    id TEXT PRIMARY KEY,
+    filename TEXT NOT NULL,
+    file_size INTEGER,
+    status TEXT DEFAULT 'queued',
+    progress TEXT,
+    result TEXT,
+    error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS extraction_job_images (
+    id TEXT PRIMARY KEY,
+    job_id TEXT NOT NULL,
+    page_number INTEGER NOT NULL,
+    image_data TEXT NOT NULL,
+    mime_type TEXT DEFAULT 'image/png',
+    FOREIGN KEY (job_id) REFERENCES extraction_jobs(id) ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jobs_status ON extraction_jobs(status);
+  CREATE INDEX IF NOT EXISTS idx_job_images_job ON extraction_job_images(job_id);
+`);
+
+// Columns added after the table was first created
+const jobColumns = db.prepare('PRAGMA table_info(extraction_jobs)').all().map(column => column.name);
+if (!jobColumns.includes('options')) {
+  db.exec('ALTER TABLE extraction_jobs ADD COLUMN options TEXT');
+}
+if (!jobColumns.includes('acro_form')) {
+  db.exec('ALTER TABLE extraction_jobs ADD COLUMN acro_form TEXT');
+}
+if (!jobColumns.includes('text_layer')) {
+  db.exec('ALTER TABLE extraction_jobs ADD COLUMN text_layer TEXT');
+}
+if (!jobColumns.includes('tenant_id')) {
+  db.exec(`ALTER TABLE extraction_jobs ADD COLUMN tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`);
+}
+
+const imageColumns = db.prepare('PRAGMA table_info(extraction_job_images)').all().map(column => column.name);
+if (!imageColumns.includes('preprocessing')) {
+  db.exec('ALTER TABLE extraction_job_images ADD COLUMN preprocessing TEXT');
+}
+
+/**
+ * Create a new queued extraction job owned by a tenant
+ */
+function createJob(filename, fileSize, tenantId) {
+  const jobId = generateId('job');
+
+  db.prepare(`
+    INSERT INTO extraction_jobs (id, filename, file_size, status, progress, tenant_id)
+    VALUES (?, ?, ?, 'queued', ?, ?)
+  `).run(jobId, filename, fileSize || null, JSON.stringify({ stage: 'queued', message: 'Waiting to start' }), tenantId);
+
+  return jobId;
+}
+
+/**
+ * Get a job's status and progress (without the result payload)
+ * @param {string} [tenantId] - When given, jobs of other tenants are not found
+ */
+function getJob(jobId, tenantId) {
+  const job = tenantId
+    ? db.prepare('SELECT * FROM extraction_jobs WHERE id = ? AND tenant_id = ?').get(jobId, tenantId)
+    : db.prepare('SELECT * FROM extraction_jobs WHERE id = ?').get(jobId);
+
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    filename: job.filename,
+    fileSize: job.file_size,
+    tenantId: job.tenant_id,
+    status: job.status,
+    progress: job.progress ? JSON.parse(job.progress) : null,
+    error: job.error,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+  };
+}
+
+/**
+ * Get the stored result of a tenant's completed job
+ */
+function getJobResult(jobId, tenantId) {
+  const job = db.prepare('SELECT result FROM extraction_jobs WHERE id = ? AND tenant_id = ?').get(jobId, tenantId);
+  return job?.result ? JSON.parse(job.result) : null;
+}
+
+/**
+ * Record progress for a running job
+ */
+function updateProgress(jobId, progress) {
+  db.prepare(`
+    UPDATE extraction_jobs
+    SET status = 'processing', progress = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(JSON.stringify(progress), jobId);
+}
+
+/**
+ * Mark a job as completed and store its result
+ */
+function completeJob(jobId, result) {
+  const updateJob = db.prepare(`
+    UPDATE extraction_jobs
+    SET status = 'completed', progress = ?, result = ?, error = NULL, acro_form = NULL, text_layer = NULL,
+        updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const deleteImages = db.prepare('DELETE FROM extraction_job_images WHERE job_id = ?');
+
+  const transaction = db.transaction(() => {
+    updateJob.run(JSON.stringify({ stage: 'completed', message: 'Extraction complete' }), JSON.stringify(result), jobId);
+    deleteImages.run(jobId);
+  });
+
+  transaction();
+}
+
+/**
+ * Mark a job as failed
+ */
+function failJob(jobId, errorMessage) {
+  const updateJob = db.prepare(`
+    UPDATE extraction_jobs
+    SET status = 'failed', progress = ?, error = ?, acro_form = NULL, text_layer = NULL,
+        updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const deleteImages = db.prepare('DELETE FROM extraction_job_images WHERE job_id = ?');
+
+  const transaction = db.transaction(() => {
+    updateJob.run(JSON.stringify({ stage: 'failed', message: errorMessage }), errorMessage, jobId);
+    deleteImages.run(jobId);
+  });
+
+  transaction();
+}
+
+/**
+ * Persist converted page images so an interrupted job can resume after a restart
+ */
+function saveJobImages(jobId, images) {
+  const insertImage = db.prepare(`
+    INSERT INTO extraction_job_images (id, job_id, page_number, image_data, mime_type, preprocessing)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const transaction = db.transaction(() => {
+    images.forEach((img, index) => {
+      insertImage.run(
+        generateId('img'),
+        jobId,
+        img.page || index + 1,
+        img.base64,
+        img.mimeType || 'image/png',
+        img.preprocessing ? JSON.stringify(img.preprocessing) : null
+      );
+    });
+  });
+
+  transaction();
+}
+
+/**
+ * Persist extraction options, native PDF form fields and text layer for resuming the job
+ */
+function saveJobExtractionInput(jobId, options, acroForm, textLayer) {
+  const toJson = value => (value ? JSON.stringify(value) : null);
+
+  db.prepare(`
+    UPDATE extraction_jobs SET options = ?, acro_form = ?, text_layer = ? WHERE id = ?
+  `).run(JSON.stringify(options), toJson(acroForm), toJson(textLayer), jobId);
+}
+
+/**
+ * Load persisted extraction options, native PDF form fields and text layer for a job
+ * @returns {{acroFormMode: string|undefined, mode: string|undefined, files: Array|undefined, acroForm: Object|null, textLayer: Object|null}}
+ */
+function getJobExtractionInput(jobId) {
+  const job = db.prepare('SELECT options, acro_form, text_layer FROM extraction_jobs WHERE id = ?').get(jobId);
+  const fromJson = value => (value ? JSON.parse(value) : null);
+
+  return {
+    ...(job?.options ? JSON.parse(job.options) : {}),
+    acroForm: fromJson(job?.acro_form),
+    textLayer: fromJson(job?.text_layer)
+  };
+}
+
+/**
+ * Load persisted page images for a job
+ */
+function getJobImages(jobId) {
+  const images = db.prepare(`
+    SELECT page_number, image_data, mime_type, preprocessing FROM extraction_job_images
+    WHERE job_id = ? ORDER BY page_number
+  `).all(jobId);
+
+  return images.map(img => ({
+    page: img.page_number,
+    base64: img.image_data,
+    mimeType: img.mime_type,
+    preprocessing: img.preprocessing ? JSON.parse(img.preprocessing) : undefined
+  }));
+}
+
+/**
+ * Run GPT-4o extraction for a job whose pages are already converted
+ * @param {Object} [cache] - {context, bypassed, pageCounts}; when given, the result is stored in the extraction cache
+ * @param {Object} [extractionInput] - {acroForm, acroFormMode, textLayer, mode, tenantId} passed through to extraction,
+ *   plus the uploaded files' descriptions for the result
+ */
+async function runExtraction(jobId, images, startTime, cache = null, extractionInput = {}) {
+  const job = getJob(jobId);
+  const { files, ...input } = extractionInput;
+
+  const { formStructure, meta: extractionMeta } = await extractFormStructureWithMeta(images, {
+    ...input,
+    tenantId: job.tenantId,
+    onProgress: (progress) => updateProgress(jobId, progress)
+  });
+
+  if (cache) {
+    cacheService.save(cache.context, {
+      data: formStructure,
+      pagesProcessed: images.length,
+      pageCounts: cache.pageCounts,
+      meta: extractionMeta
+    });
+  }
+
+  completeJob(jobId, {
+    data: formStructure,
+    meta: {
+      originalFilename: job.filename,
+      fileSize: job.fileSize,
+      files,
+      pagesProcessed: images.length,
+      processingTimeMs: Date.now() - startTime,
+      ...extractionMeta,
+      cache: { hit: false, bypassed: cache ? cache.bypassed : false }
+    }
+  });
+
+  console.log(`[Jobs] Job ${jobId} completed`);
+}
+
+/**
+ * Start processing uploaded files in the background, as one form
+ * Returns immediately; progress is written to the database as the job runs
+ * @param {string} jobId - ID from createJob
+ * @param {Array<Object>} files - Multer file objects, in page order
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache] - Reuse and populate the extraction cache (default true)
+ * @param {string} [options.acroFormMode] - How fillable PDF fields are used: 'merge', 'replace' or 'off'
+ * @param {string} [options.mode] - 'structure' or 'values' to also read what was entered
+ */
+function startJob(jobId, files, options = {}) {
+  const startTime = Date.now();
+  const useCache = options.useCache !== false;
+  const acroFormMode = options.acroFormMode || DEFAULT_ACROFORM_MODE;
+  const mode = options.mode || 'structure';
+  const job = getJob(jobId);
+
+  (async () => {
+    const cacheContext = cacheService.getCacheContext(await cacheService.hashFiles(files.map(file => file.path)), job.tenantId, { acroFormMode, mode });
+    const cached = useCache ? cacheService.lookup(cacheContext) : null;
+
+    if (cached) {
+      await cleanupFiles(files.map(file => file.path));
+      console.log(`[Jobs] Job ${jobId} served from cache`);
+
+      completeJob(jobId, {
+        data: cached.value.data,
+        meta: {
+          originalFilename: job.filename,
+          fileSize: job.fileSize,
+          files: describeFiles(files, cached.value.pageCounts),
+          pagesProcessed: cached.value.pagesProcessed,
+          processingTimeMs: Date.now() - startTime,
+          ...cached.value.meta,
+          cache: { hit: true, cachedAt: cached.createdAt, expiresAt: cached.expiresAt }
+        }
+      });
+      return;
+    }
+
+    updateProgress(jobId, { stage: 'converting', message: `Converting ${job.filename} to images` });
+
+    const { images, acroForm, textLayer, pageCounts } = await processFiles(files);
+    saveJobImages(jobId, images);
+    saveJobExtractionInput(jobId, { acroFormMode, mode, files: describeFiles(files, pageCounts) }, acroForm, textLayer);
+
+    console.log(`[Jobs] Job ${jobId} converted to ${images.length} image(s), extracting...`);
+
+    await runExtraction(jobId, images, startTime, { context: cacheContext, bypassed: !useCache, pageCounts }, {
+      acroForm,
+      acroFormMode,
+      textLayer,
+      mode,
+      files: describeFiles(files, pageCounts)
+    });
+  })().catch((error) => {
+    console.error(`[Jobs] Job ${jobId} failed:`, error);
+    failJob(jobId, error.message);
+  });
+}
+
+/**
+ * Resume jobs that were interrupted by a server restart
+ * Jobs whose pages were already converted are re-run from the extraction stage;
+ * jobs that never finished converting cannot be recovered and are marked failed.
+ * @returns {{resumed: number, failed: number}} Jobs re-queued, and jobs marked failed
+ */
+function resumeInterruptedJobs() {
+  const interrupted = db.prepare(`
+    SELECT id FROM extraction_jobs WHERE status IN ('queued', 'processing')
+  `).all();
+
+  let resumed = 0;
+  let failed = 0;
+
+  for (const { id } of interrupted) {
+    const images = getJobImages(id);
+
+    if (images.length === 0) {
+      failJob(id, 'Job was interrupted by a server restart before conversion finished');
+      failed++;
+      continue;
+    }
+
+    console.log(`[Jobs] Resuming job ${id} (${images.length} page(s))`);
+    const startTime = Date.now();
+
+    runExtraction(id, images, startTime, null, getJobExtractionInput(id)).catch((error) => {
+      console.error(`[Jobs] Job ${id} failed:`, error);
+      failJob(id, error.message);
+    });
+    resumed++;
+  }
+
+  return { resumed, failed };
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  getJobResult,
+  startJob,
+  resumeInterruptedJobs
+};
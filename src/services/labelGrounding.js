@@ -0,0 +1,255 @@
+const { normalizeText, textSimilarity } = require('../utils/textSimilarity');
+const { applyPenalty } = require('./confidenceScorer');
+
+/**
+ * Grounds extracted text in a PDF's text layer
+ * Each section title, field label and option is matched against runs of words in the
+ * real text near where the model placed it, and replaced with the verbatim string.
+ * Labels with no close match are flagged rather than trusted.
+ */
+
+// Similarity needed to replace extracted text with the text-layer string
+const MATCH_THRESHOLD = 0.8;
+
+// Vertical margin around a field's bbox when looking for its text
+const REGION_MARGIN = 0.03;
+
+// Share of words the model may have dropped or added relative to the real text
+const WORD_COUNT_SLACK = 0.3;
+
+// Consecutive lines joined when looking for labels that wrap
+const MAX_JOINED_LINES = 3;
+
+// Tokens that are input areas or checkbox glyphs, not label text
+const NOISE_TOKEN_PATTERN = /^[_.\-–—[\]()☐□■▢☑☒✓✔○●◯]+$/;
+
+const SERIAL_NUMBER_PATTERN = /^\s*(?:[ivxlc]+|[a-z]|\d+)[.)]\s+/i;
+
+/**
+ * Split lines into tokens once per page
+ */
+function prepareLines(lines) {
+  return lines.map(line => {
+    const tokens = line.text.split(/\s+/).filter(token => token && !NOISE_TOKEN_PATTERN.test(token));
+    return {
+      bbox: line.bbox,
+      tokens,
+      tokenWords: tokens.map(toWords)
+    };
+  });
+}
+
+/**
+ * Lines to search for an item: those overlapping its bbox, or the whole page
+ */
+function linesInRegion(lines, bbox) {
+  if (!bbox) return lines;
+
+  const top = bbox.y - REGION_MARGIN;
+  const bottom = bbox.y + bbox.height + REGION_MARGIN;
+  return lines.filter(line => line.bbox.y + line.bbox.height >= top && line.bbox.y <= bottom);
+}
+
+/**
+ * Split text into normalized words
+ */
+function toWords(text) {
+  return normalizeText(text).split(' ').filter(Boolean);
+}
+
+/**
+ * Share of words two runs have in common (F1 over word counts)
+ */
+function wordOverlap(words, targetCounts, targetLength) {
+  const remaining = new Map(targetCounts);
+  let shared = 0;
+
+  for (const word of words) {
+    const count = remaining.get(word);
+    if (count) {
+      remaining.set(word, count - 1);
+      shared++;
+    }
+  }
+
+  return words.length + targetLength > 0 ? (2 * shared) / (words.length + targetLength) : 0;
+}
+
+/**
+ * Find the run of words in the lines that best matches the target text
+ * Runs are scored on the average of character similarity and word overlap; character
+ * similarity alone favours runs that swap a dropped word for its neighbour.
+ * @returns {{text: string, score: number}|null}
+ */
+function findBestSpan(lines, target) {
+  const targetTokens = String(target).split(/\s+/).filter(token => token && !NOISE_TOKEN_PATTERN.test(token));
+  const length = targetTokens.length;
+  if (length === 0) return null;
+
+  const targetWords = toWords(target);
+  const targetCounts = new Map();
+  targetWords.forEach(word => targetCounts.set(word, (targetCounts.get(word) || 0) + 1));
+
+  // The model may drop or add a few words
+  const minSize = Math.max(1, Math.floor(length * (1 - WORD_COUNT_SLACK)));
+  const maxSize = Math.ceil(length * (1 + WORD_COUNT_SLACK)) + 1;
+
+  // Runs below this overlap cannot reach MATCH_THRESHOLD, so their edit distance is skipped
+  const minOverlap = 2 * MATCH_THRESHOLD - 1;
+
+  // Upper bound on the words each line shares with the target, to skip blocks cheaply
+  const lineShared = lines.map(line => line.tokenWords.flat().filter(word => targetCounts.has(word)).length);
+
+  let best = null;
+
+  for (let start = 0; start < lines.length; start++) {
+    const tokens = [];
+    const tokenWords = [];
+    let shared = 0;
+
+    for (let end = start; end < Math.min(start + MAX_JOINED_LINES, lines.length); end++) {
+      const previousLength = tokens.length;
+      tokens.push(...lines[end].tokens);
+      tokenWords.push(...lines[end].tokenWords);
+      shared += lineShared[end];
+
+      if ((2 * shared) / (minSize + targetWords.length) < minOverlap) continue;
+
+      for (let size = minSize; size <= maxSize; size++) {
+        // Runs that do not reach the newly joined line were scored on an earlier pass
+        for (let i = Math.max(0, previousLength - size + 1); i + size <= tokens.length; i++) {
+          const overlap = wordOverlap(tokenWords.slice(i, i + size).flat(), targetCounts, targetWords.length);
+          if (overlap < minOverlap) continue;
+
+          const text = tokens.slice(i, i + size).join(' ');
+          const score = (textSimilarity(text, target) + overlap) / 2;
+          if (!best || score > best.score || (score === best.score && text.length < best.text.length)) {
+            best = { text, score };
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Ground one piece of text on a page
+ * @returns {{status: 'verbatim'|'corrected'|'unmatched', text: string}}
+ */
+function groundText(text, pageLines, bbox) {
+  if (!text || !pageLines) return { status: 'unmatched', text };
+
+  let match = findBestSpan(linesInRegion(pageLines, bbox), text);
+  if (bbox && (!match || match.score < MATCH_THRESHOLD)) {
+    match = findBestSpan(pageLines, text);
+  }
+
+  if (!match || match.score < MATCH_THRESHOLD) {
+    return { status: 'unmatched', text };
+  }
+
+  // Serial numbers are stripped by the prompt; keep them stripped
+  let verbatim = match.text;
+  if (SERIAL_NUMBER_PATTERN.test(verbatim) && !SERIAL_NUMBER_PATTERN.test(text)) {
+    verbatim = verbatim.replace(SERIAL_NUMBER_PATTERN, '');
+  }
+
+  return { status: verbatim === text ? 'verbatim' : 'corrected', text: verbatim };
+}
+
+/**
+ * Whether the text layer covers an item's page (uploads may mix PDFs with scans)
+ */
+function hasTextLayer(linesByPage, page) {
+  return page == null || linesByPage.has(page);
+}
+
+/**
+ * Lines for the pages an item may be on: its page, or every page when unknown
+ */
+function candidateLines(linesByPage, page) {
+  if (page != null) return linesByPage.get(page) || null;
+  const all = [...linesByPage.values()].flat();
+  return all.length > 0 ? all : null;
+}
+
+function emptyStats() {
+  return { checked: 0, verbatim: 0, corrected: 0, unmatched: 0 };
+}
+
+/**
+ * Replace extracted titles, labels and options with verbatim text from the PDF text layer
+ * Fields that came from the PDF's own form fields, and pages without a text layer, are left alone.
+ * @param {Object} formStructure - Merged extraction
+ * @param {Object} textLayer - From extractTextLayer
+ * @returns {{formStructure: Object, stats: Object}}
+ */
+function groundFormStructure(formStructure, textLayer) {
+  const linesByPage = new Map(textLayer.pages.map(p => [p.page, prepareLines(p.lines)]));
+  const stats = { sections: emptyStats(), labels: emptyStats(), options: emptyStats() };
+
+  const count = (kind, status) => {
+    stats[kind].checked++;
+    stats[kind][status]++;
+  };
+
+  const sections = formStructure.sections.map(section => {
+    let title = { status: 'unmatched', text: section.title };
+    if (hasTextLayer(linesByPage, section.page)) {
+      title = groundText(section.title, candidateLines(linesByPage, section.page), section.bbox);
+      count('sections', title.status);
+    }
+
+    const fields = section.fields.map(field => {
+      if (field.source === 'acroform' || !hasTextLayer(linesByPage, field.page)) return field;
+
+      const lines = candidateLines(linesByPage, field.page);
+      const label = groundText(field.label, lines, field.bbox);
+      count('labels', label.status);
+
+      let grounded = { ...field, label: label.text };
+      const grounding = { label: label.status };
+      if (label.status === 'corrected') {
+        grounding.originalLabel = field.label;
+      }
+
+      if (Array.isArray(field.options) && field.options.length > 0) {
+        const unmatchedOptions = [];
+        grounded.options = field.options.map(option => {
+          const result = groundText(option, lines, field.bbox);
+          count('options', result.status);
+          if (result.status === 'unmatched') unmatchedOptions.push(option);
+          return result.text;
+        });
+
+        if (unmatchedOptions.length > 0) {
+          grounding.unmatchedOptions = unmatchedOptions;
+          grounded = applyPenalty(grounded, 'ungroundedOption', `Options not found in PDF text: ${unmatchedOptions.join(', ')}`);
+        }
+      }
+
+      if (label.status === 'unmatched') {
+        grounded = applyPenalty(grounded, 'ungroundedLabel', 'Label not found in PDF text');
+      }
+
+      return { ...grounded, grounding };
+    });
+
+    return {
+      ...section,
+      title: title.status === 'unmatched' ? section.title : title.text,
+      fields
+    };
+  });
+
+  return {
+    formStructure: { ...formStructure, sections },
+    stats
+  };
+}
+
+module.exports = {
+  groundFormStructure
+};
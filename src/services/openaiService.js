@@ -1,46 +1,91 @@
-const OpenAI = require('openai');
-const { extractJsonFromText, safeJsonParse, generateId } = require('../utils/helpers');
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const crypto = require('crypto');
+const { extractJsonFromText, safeJsonParse, mapWithConcurrency } = require('../utils/helpers');
+const { visionRateLimiter, sleep } = require('./rateLimiter');
+const { getProvider } = require('./providers');
+const { mergeBatchResults, assignIds } = require('./sectionMerger');
+const { mergeAcroFormFields } = require('./acroFormMerger');
+const { groundFormStructure } = require('./labelGrounding');
+const { createFormStructureValidator, getAtPath } = require('./formValidator');
+const { validateConditions, applyConditions, findControllingField, findOption } = require('./conditionalLogic');
+const { resolveDataType, DATA_TYPES } = require('./dataTypes');
+const { mapFormStructure } = require('./dataDictionaryService');
+const { matchTemplate } = require('./templateService');
+const { DEFAULT_TENANT } = require('./authService');
+const componentRegistry = require('./componentRegistry');
+const {
+  computeLogprobConfidences,
+  scoreField,
+  summarizeConfidence,
+  LOW_CONFIDENCE_THRESHOLD
+} = require('./confidenceScorer');
 
 // Maximum pages to process in a single API call
 const MAX_PAGES_PER_BATCH = 3;
 
-// Component name to UUID mapping (from environment variables)
-const COMPONENT_IDS = {
-  'Signature': process.env.COMPONENT_ID_SIGNATURE,
-  'Multi-Select': process.env.COMPONENT_ID_MULTI_SELECT,
-  'File Upload': process.env.COMPONENT_ID_FILE_UPLOAD,
-  'Short Input': process.env.COMPONENT_ID_SHORT_INPUT,
-  'Sections': process.env.COMPONENT_ID_SECTIONS,
-  'Dropdown': process.env.COMPONENT_ID_DROPDOWN,
-  'Radio Select': process.env.COMPONENT_ID_RADIO_SELECT,
-  'Table': process.env.COMPONENT_ID_TABLE,
-  'Title': process.env.COMPONENT_ID_TITLE,
-  'Long Input': process.env.COMPONENT_ID_LONG_INPUT
-};
+// Maximum times a reply that fails schema validation is sent back for repair
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.MAX_REPAIR_ATTEMPTS ?? '2', 10);
+
+// Batches of a single document processed in parallel
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+// Retries for rate limits (429) and transient errors
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES ?? '4', 10);
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+// Approximate prompt tokens for one high-detail page image
+const IMAGE_TOKEN_ESTIMATE = 765;
+
+// How native PDF form fields are used: merged into the vision extraction, used instead of it, or ignored
+const ACROFORM_MODES = ['merge', 'replace', 'off'];
+const DEFAULT_ACROFORM_MODE = ACROFORM_MODES.includes(process.env.ACROFORM_MODE) ? process.env.ACROFORM_MODE : 'merge';
+
+// Replace extracted labels with verbatim text from the PDF text layer when there is one
+const TEXT_GROUNDING_ENABLED = process.env.TEXT_GROUNDING !== 'false';
+
+// Validator for the registry's current components, rebuilt when they change
+let validator = null;
+let validatorKey = null;
 
 /**
- * System prompt for form structure extraction
+ * Validate a raw form structure against the schema for the registered components
  */
-const SYSTEM_PROMPT = `You are a form structure analyzer. Analyze the provided form image(s) and extract the complete structure.
+function validateFormStructure(data) {
+  const componentNames = componentRegistry.getComponentNames();
+  const optionComponents = componentRegistry.getComponentsWith('hasOptions');
+  const columnComponents = componentRegistry.getComponentsWith('hasColumns');
+  const key = JSON.stringify([componentNames, optionComponents, columnComponents]);
+
+  if (key !== validatorKey) {
+    validator = createFormStructureValidator(componentNames, { optionComponents, columnComponents });
+    validatorKey = key;
+  }
+  return validator(data);
+}
+
+/**
+ * Join names as "A, B, and C"
+ */
+function listNames(names) {
+  if (names.length <= 2) return names.join(' and ');
+  return `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+}
+
+/**
+ * System prompt for form structure extraction, listing the registered components
+ */
+function buildSystemPrompt() {
+  const components = componentRegistry.listComponents();
+  const optionComponents = componentRegistry.getComponentsWith('hasOptions');
+  const columnComponents = componentRegistry.getComponentsWith('hasColumns');
+
+  return `You are a form structure analyzer. Analyze the provided form image(s) and extract the complete structure.
 
 IMPORTANT: Be thorough and methodical. Scan the ENTIRE document carefully. Do NOT miss any fields or sections.
 
 TASK: Identify all form fields and classify them into these component types ONLY:
-- Signature: Signature lines or boxes
-- Multi-Select: Checkboxes (multiple can be selected)
-- File Upload: File/document attachment areas
-- Short Input: Single-line text fields
-- Sections: Section dividers or headers within the form
-- Dropdown: Select/dropdown menus
-- Radio Select: Radio buttons (single selection)
-- Table: Tabular data entry with columns and rows
-- Title: Bold text, headings, labels, or instruction text that introduces fields
-- Long Input: Multi-line text areas
+${components.map(component => `- ${component.name}: ${component.promptHint || component.description}`).join('\n')}
 
 DOCUMENT STRUCTURE - FLAT (NO SUBSECTIONS):
 1. **SECTIONS**: Major sections with headers (highlighted/shaded backgrounds like "III. COVERAGE", "IV. EXPOSURES")
@@ -63,12 +108,15 @@ CRITICAL RULES:
      Example: "Please identify any change in SIR coverage: ____" = Short Input (input on same line)
      Example: "Full Name: _______________" = Short Input (input on same line)
    - Key visual cue: Is the input area on the SAME LINE as the label? Yes = Input field. No input on same line = Title.
-5. Extract ALL visible options for Multi-Select, Radio Select, and Dropdown
-6. For Table: extract column headers and COUNT the rows (rowCount)
+5. Extract ALL visible options for ${listNames(optionComponents)}
+6. For ${columnComponents.join(', ')}: extract column headers and COUNT the rows (rowCount)
 7. Mark fields as required if they show asterisks (*) or "required"
 8. Maintain top-to-bottom, left-to-right ordering
 9. **ONLY INPUT FIELDS**: Only capture fields that have actual input areas (text boxes, checkboxes, dropdowns, signature lines, tables). Skip any text that is just instructions or guidance.
 10. **COMPLETENESS**: Do NOT skip any fields. Scan each section LINE BY LINE to ensure every input field and title is captured. Missing fields is a critical error.
+11. **LOCATION**: For every section and field, give the "page" number it appears on and a "bbox" covering its label and input area. The bbox is normalized to the page image: "x" and "y" are the top-left corner and "width"/"height" the size, all as fractions between 0 and 1.
+12. **CONDITIONAL FOLLOW-UPS**: When a field only applies after a particular answer to an earlier Radio Select, Dropdown or Multi-Select (e.g. "If Yes, please provide details:" after a Yes/No question), add "visibleWhen": { "field": "<id of that earlier field>", "equals": "<the option that makes it apply>" }. The "equals" value must be copied exactly from that field's "options". Give every field an "id" that is unique within its section.
+13. **DATA TYPES**: For every Short Input and Long Input, add "dataType" - one of: ${DATA_TYPES.join(', ')}. Infer it from the label and visual cues: a "$" before the box = currency, "%" after it = percentage, "MM/DD/YYYY" or date boxes = date, "(   )    -" = phone, "__-_______" = fein. When the form shows constraints, add "validation" with any of: "format" (the mask printed on the form, e.g. "MM/DD/YYYY"), "min" and "max" (stated limits, as numbers), "unit" (e.g. "sq ft", "years").
 
 RESPOND WITH ONLY VALID JSON in this exact format:
 {
@@ -78,6 +126,8 @@ RESPOND WITH ONLY VALID JSON in this exact format:
       "id": "section_1",
       "title": "COVERAGE",
       "order": 1,
+      "page": 1,
+      "bbox": { "x": 0.05, "y": 0.12, "width": 0.9, "height": 0.3 },
       "fields": [
         {
           "id": "field_1",
@@ -85,7 +135,9 @@ RESPOND WITH ONLY VALID JSON in this exact format:
           "label": "Does the applicant want to change the current insurance structure:",
           "required": false,
           "order": 1,
-          "options": ["Yes", "No"]
+          "options": ["Yes", "No"],
+          "page": 1,
+          "bbox": { "x": 0.06, "y": 0.16, "width": 0.88, "height": 0.03 }
         }
       ]
     }
@@ -93,8 +145,8 @@ RESPOND WITH ONLY VALID JSON in this exact format:
 }
 
 FIELD PROPERTIES:
-- For Multi-Select, Radio Select, Dropdown: add "options": ["Option 1", "Option 2"]
-- For Table: add "columns" (header row) and "rowCount" (number of rows)
+- For ${optionComponents.join(', ')}: add "options": ["Option 1", "Option 2"]
+- For ${columnComponents.join(', ')}: add "columns" (header row) and "rowCount" (number of rows)
   Example:
   {
     "component": "Table",
@@ -103,6 +155,9 @@ FIELD PROPERTIES:
     "rowCount": 12
   }
 - For Title: just include the "label" with the title/heading/instruction text
+- For every section and field: add "page" and "bbox" as described in rule 11 (omitted from the examples below for brevity)
+- For follow-up fields: add "visibleWhen" as described in rule 12
+- For Short Input and Long Input: add "dataType" (and "validation" when the form shows constraints) as described in rule 13
 
 EXAMPLE - Section with various field types:
 {
@@ -115,7 +170,8 @@ EXAMPLE - Section with various field types:
       "component": "Short Input",
       "label": "Full Name:",
       "required": true,
-      "order": 1
+      "order": 1,
+      "dataType": "name"
     },
     {
       "id": "field_2",
@@ -128,7 +184,9 @@ EXAMPLE - Section with various field types:
       "id": "field_3",
       "component": "Long Input",
       "label": "If Yes, please provide details:",
-      "order": 3
+      "order": 3,
+      "dataType": "text",
+      "visibleWhen": { "field": "field_2", "equals": "Yes" }
     },
     {
       "id": "field_4",
@@ -197,47 +255,272 @@ Review your extraction against the original image and verify:
 4. ✓ Did I extract ALL options for checkboxes, radio buttons, and dropdowns?
 5. ✓ Did I correctly count table rows and capture all column headers?
 6. ✓ Are labels copied EXACTLY as shown (except for removing serial numbers)?
+7. ✓ Does every "If Yes..."/"If Other..." follow-up have a "visibleWhen" pointing at the question it depends on?
 
 If any check fails, fix the issue before returning the JSON.`;
+}
+
+// What to read as the value of fields filled in with each widget
+const VALUE_INSTRUCTIONS = [
+  [['text', 'textarea'], 'the text written or typed, exactly as entered ("value": "Jane Smith")'],
+  [['select', 'radio'], 'the selected option, copied exactly from "options" ("value": "Yes")'],
+  [['checkboxes'], 'an array of the checked options, copied exactly from "options" ("value": ["Option A", "Option C"])'],
+  [['table'], 'an array of rows, each an array of cell values in "columns" order; include only rows with something entered ("value": [["2023", "120"], ["2022", "115"]])'],
+  [['signature'], 'true when the signature area is signed, false when it is blank'],
+  [['file'], 'null']
+];
+
+/**
+ * Added to the system prompt when reading a completed form rather than a blank one
+ */
+function buildValuesAddendum() {
+  const instructions = VALUE_INSTRUCTIONS
+    .map(([widgets, instruction]) => [componentRegistry.getComponentsByWidget(...widgets), instruction])
+    .filter(([names]) => names.length > 0)
+    .map(([names, instruction]) => `- ${names.join(', ')}: ${instruction}`);
+  const headings = componentRegistry.getComponentsByWidget(...componentRegistry.DISPLAY_WIDGETS);
+
+  return `
+
+FILLED-IN FORMS - EXTRACT VALUES:
+This form has been completed. In addition to the structure above, give every input field a "value" with what was entered:
+${instructions.join('\n')}
+Use null for fields left blank. Do NOT add "value" to ${headings.join(' or ')} components.
+Extract the field labels and options from the form itself, not from what was written in it.`;
+}
+
+// 'structure' describes a blank form's fields; 'values' also reads what was entered in them
+const EXTRACTION_MODES = ['structure', 'values'];
 
 /**
- * Extract form structure from images using GPT-4o
+ * System prompt for an extraction mode
+ * @param {string} [basePrompt] - Structure prompt to extend (defaults to the registry's prompt)
+ */
+function getSystemPrompt(mode = 'structure', basePrompt = buildSystemPrompt()) {
+  return mode === 'values' ? basePrompt + buildValuesAddendum() : basePrompt;
+}
+
+/**
+ * Short identifier for a system prompt, used to compare prompt versions
+ */
+function getPromptVersion(systemPrompt = buildSystemPrompt()) {
+  return crypto.createHash('sha256').update(systemPrompt).digest('hex').slice(0, 12);
+}
+
+/**
+ * Extract form structure from images using the configured vision provider
  * Processes multi-page documents in batches
  * @param {Array<{page: number, base64: string, mimeType: string}>} images
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with {stage, message, batch, totalBatches}
+ * @param {Object} [options.provider] - Vision provider (defaults to the configured one)
+ * @param {string} [options.systemPrompt] - Prompt override (defaults to the registry's prompt)
+ * @param {Object} [options.acroForm] - Native PDF form fields from readAcroForm
+ * @param {string} [options.acroFormMode] - 'merge', 'replace' or 'off' (defaults to ACROFORM_MODE)
+ * @param {Object} [options.textLayer] - PDF text layer from extractTextLayer, used to ground labels
+ * @param {string} [options.mode] - 'structure' (default) or 'values' to also read what was entered
+ *   in each field of a completed form into its `value`
+ * @param {boolean} [options.useTemplates] - Return the verified structure of a matching known
+ *   template instead of extracting (default true; structure mode only)
+ * @param {string} [options.tenantId] - Tenant whose templates and verified labels are used
+ *   (default tenant when omitted)
  * @returns {Promise<Object>} Extracted form structure
  */
-async function extractFormStructure(images) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
+async function extractFormStructure(images, options = {}) {
+  const { formStructure } = await extractFormStructureWithMeta(images, options);
+  return formStructure;
+}
+
+/**
+ * Extract form structure along with metadata about how it was produced
+ * @param {Array<{page: number, base64: string, mimeType: string}>} images
+ * @param {Object} [options] - Same options as extractFormStructure
+ * @returns {Promise<{formStructure: Object, meta: Object}>}
+ */
+async function extractFormStructureWithMeta(images, options = {}) {
+  const reportProgress = options.onProgress || (() => {});
+  const provider = options.provider || getProvider();
+  const mode = options.mode || 'structure';
+  const systemPrompt = getSystemPrompt(mode, options.systemPrompt);
+  const tenantId = options.tenantId || DEFAULT_TENANT;
 
   if (!images || images.length === 0) {
     throw new Error('No images provided for analysis');
   }
 
-  try {
-    // For small documents, process all at once
-    if (images.length <= MAX_PAGES_PER_BATCH) {
-      return await processImageBatch(images, 1, images.length);
+  const acroFormMode = options.acroFormMode || DEFAULT_ACROFORM_MODE;
+  const acroFields = acroFormMode !== 'off' && options.acroForm
+    ? normalizeAcroFormFields(options.acroForm, { mode })
+    : [];
+
+  // A known form is answered with its verified structure; values still have to be read
+  if (options.useTemplates !== false && mode === 'structure') {
+    reportProgress({ stage: 'matching', message: 'Looking for a known template' });
+    const match = await matchTemplate(images, options.textLayer, tenantId, {
+      readTitle: () => readFormTitle(provider, images[0])
+    });
+
+    if (match) {
+      return {
+        formStructure: match.structure,
+        meta: {
+          provider: 'template',
+          model: null,
+          promptVersion: null,
+          mode,
+          batches: 0,
+          sectionMerges: [],
+          repairAttempts: 0,
+          retries: 0,
+          batchTimings: [],
+          schemaViolations: [],
+          template: {
+            id: match.template.id,
+            name: match.template.name,
+            version: match.template.version,
+            formId: match.template.formId,
+            score: match.score,
+            imageScore: match.imageScore,
+            textScore: match.textScore,
+            titleScore: match.titleScore
+          },
+          preprocessing: describePreprocessing(images),
+          confidence: summarizeConfidence(match.structure)
+        }
+      };
     }
+  }
 
-    // For larger documents, process in batches and combine
-    console.log(`Processing ${images.length} pages in batches of ${MAX_PAGES_PER_BATCH}...`);
+  // The PDF defines every field itself, so the model is not asked; uploads that add
+  // other pages to a fillable PDF still need the model for those pages
+  if (acroFormMode === 'replace' && acroFields.length > 0 && !options.acroForm.partial) {
+    const dictionary = mapFormStructure(buildAcroFormStructure(options.acroForm.formTitle, acroFields), tenantId);
+    const formStructure = dictionary.formStructure;
 
-    const batchResults = [];
-    for (let i = 0; i < images.length; i += MAX_PAGES_PER_BATCH) {
-      const batch = images.slice(i, i + MAX_PAGES_PER_BATCH);
-      const startPage = i + 1;
-      const endPage = Math.min(i + MAX_PAGES_PER_BATCH, images.length);
+    return {
+      formStructure,
+      meta: {
+        provider: 'acroform',
+        model: null,
+        promptVersion: null,
+        mode,
+        batches: 0,
+        sectionMerges: [],
+        repairAttempts: 0,
+        retries: 0,
+        batchTimings: [],
+        schemaViolations: [],
+        acroForm: { mode: acroFormMode, fieldCount: acroFields.length, matched: 0, added: acroFields.length },
+        dictionary: { mapped: dictionary.mapped, unmapped: dictionary.unmapped },
+        preprocessing: describePreprocessing(images),
+        confidence: summarizeConfidence(formStructure)
+      }
+    };
+  }
 
-      console.log(`Processing pages ${startPage}-${endPage}...`);
+  try {
+    const batches = [];
+    for (let i = 0; i < images.length; i += MAX_PAGES_PER_BATCH) {
+      batches.push({
+        number: batches.length + 1,
+        images: images.slice(i, i + MAX_PAGES_PER_BATCH),
+        startPage: i + 1,
+        endPage: Math.min(i + MAX_PAGES_PER_BATCH, images.length)
+      });
+    }
 
-      const result = await processImageBatch(batch, startPage, images.length);
-      batchResults.push(result);
+    const totalBatches = batches.length;
+    if (totalBatches > 1) {
+      console.log(`Processing ${images.length} pages in ${totalBatches} batches of ${MAX_PAGES_PER_BATCH} (concurrency ${BATCH_CONCURRENCY})...`);
     }
 
+    let completedBatches = 0;
+    const batchOutputs = await mapWithConcurrency(batches, BATCH_CONCURRENCY, async (batch) => {
+      if (totalBatches > 1) {
+        console.log(`Processing pages ${batch.startPage}-${batch.endPage}...`);
+      }
+      reportProgress({
+        stage: 'extracting',
+        message: `Batch ${batch.number} of ${totalBatches}`,
+        batch: batch.number,
+        totalBatches,
+        completedBatches
+      });
+
+      const batchStart = Date.now();
+      const output = await processImageBatch(provider, systemPrompt, batch.images, batch.startPage, images.length, mode);
+      completedBatches++;
+
+      return {
+        ...output,
+        timing: {
+          batch: batch.number,
+          pages: [batch.startPage, batch.endPage],
+          durationMs: Date.now() - batchStart,
+          rateLimitWaitMs: output.callStats.rateLimitWaitMs,
+          retries: output.callStats.retries,
+          repairAttempts: output.repairAttempts
+        }
+      };
+    });
+
+    const batchResults = batchOutputs.map(output => output.result);
+    const schemaViolations = batchOutputs.flatMap((output, idx) =>
+      output.violations.map(v => ({ batch: idx + 1, ...v }))
+    );
+    const repairAttempts = batchOutputs.reduce((sum, output) => sum + output.repairAttempts, 0);
+
     // Combine all batch results
-    return combineResults(batchResults);
+    if (totalBatches > 1) {
+      reportProgress({ stage: 'merging', message: `Merging ${totalBatches} batches` });
+    }
+    const { merges, ...visionStructure } = mergeBatchResults(batchResults);
+
+    let formStructure = visionStructure;
+    let groundingMeta = null;
+    if (TEXT_GROUNDING_ENABLED && options.textLayer) {
+      const grounded = groundFormStructure(visionStructure, options.textLayer);
+      formStructure = grounded.formStructure;
+      groundingMeta = grounded.stats;
+    }
+
+    let acroFormMeta = null;
+    if (acroFields.length > 0) {
+      const merged = mergeAcroFormFields(formStructure, acroFields);
+      formStructure = merged.formStructure;
+      if (formStructure.formTitle === 'Untitled Form' && options.acroForm.formTitle) {
+        formStructure.formTitle = options.acroForm.formTitle;
+      }
+      acroFormMeta = { mode: acroFormMode === 'replace' ? 'merge' : acroFormMode, fieldCount: acroFields.length, matched: merged.matched, added: merged.added };
+    }
+
+    const conditions = applyConditions(formStructure);
+    formStructure = conditions.formStructure;
+
+    const dictionary = mapFormStructure(formStructure, tenantId);
+    formStructure = dictionary.formStructure;
+
+    return {
+      formStructure,
+      meta: {
+        provider: provider.name,
+        model: provider.model,
+        promptVersion: getPromptVersion(systemPrompt),
+        mode,
+        batches: totalBatches,
+        sectionMerges: merges,
+        repairAttempts,
+        retries: batchOutputs.reduce((sum, output) => sum + output.callStats.retries, 0),
+        batchTimings: batchOutputs.map(output => output.timing),
+        schemaViolations,
+        acroForm: acroFormMeta,
+        grounding: groundingMeta,
+        conditions: { count: conditions.count, dropped: conditions.dropped },
+        dictionary: { mapped: dictionary.mapped, unmapped: dictionary.unmapped },
+        preprocessing: describePreprocessing(images),
+        confidence: summarizeConfidence(formStructure)
+      }
+    };
   } catch (error) {
     if (error.code === 'insufficient_quota') {
       throw new Error('OpenAI API quota exceeded. Please check your billing.');
@@ -250,126 +533,406 @@ async function extractFormStructure(images) {
 }
 
 /**
- * Process a batch of images
+ * Per-page preprocessing report, or null when pages were not preprocessed
  */
-async function processImageBatch(images, startPage, totalPages) {
-  const content = [
-    {
-      type: 'text',
-      text: totalPages > images.length
-        ? `Analyze pages ${startPage} to ${startPage + images.length - 1} of ${totalPages} of this form. Extract all form fields visible on these pages.`
-        : 'Analyze this form and extract its complete structure.'
-    }
-  ];
-
-  // Add images
-  for (const img of images) {
-    content.push({
-      type: 'image_url',
-      image_url: {
-        url: `data:${img.mimeType};base64,${img.base64}`,
-        detail: 'high'
+function describePreprocessing(images) {
+  if (!images.some(img => img.preprocessing)) return null;
+
+  return images.map((img, idx) => ({
+    page: img.page || idx + 1,
+    ...(img.preprocessing || { applied: [], blank: false })
+  }));
+}
+
+/**
+ * Whether a provider error is worth retrying (rate limits, transient server and network errors)
+ */
+function isRetryableError(error) {
+  if (error.code === 'insufficient_quota' || error.code === 'invalid_api_key') return false;
+  if (RETRYABLE_STATUSES.includes(error.status)) return true;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code) ||
+    error.constructor?.name === 'APIConnectionError' ||
+    error.constructor?.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Read the Retry-After delay from a provider error, in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const headers = error.headers;
+  if (!headers) return null;
+
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const retryAfterMs = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = read('retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Rough token cost of a request, used to draw from the shared token budget
+ */
+function estimateRequestTokens(request) {
+  const textLength = request.systemPrompt.length + request.text.length +
+    (request.history || []).reduce((sum, turn) => sum + turn.content.length, 0);
+  return Math.ceil(textLength / 4) + request.images.length * IMAGE_TOKEN_ESTIMATE + request.maxTokens;
+}
+
+/**
+ * Tokens a call used: the provider's count, or the prompt estimate plus the reply's length
+ * for providers that do not report usage
+ */
+function countUsedTokens(request, response) {
+  if (typeof response.usage?.total_tokens === 'number') return response.usage.total_tokens;
+  return estimateRequestTokens({ ...request, maxTokens: 0 }) + Math.ceil((response.content || '').length / 4);
+}
+
+/**
+ * Call the provider within the shared rate budget, retrying rate limits and transient
+ * errors with exponential backoff that honours Retry-After
+ * @param {Object} stats - Accumulates {retries, rateLimitWaitMs} for the batch
+ */
+async function analyzeWithRetry(provider, request, stats) {
+  const estimatedTokens = estimateRequestTokens(request);
+
+  for (let attempt = 0; ; attempt++) {
+    stats.rateLimitWaitMs += await visionRateLimiter.acquire(estimatedTokens);
+
+    try {
+      const response = await provider.analyzeImages(request);
+      visionRateLimiter.settle(estimatedTokens, countUsedTokens(request, response));
+      return response;
+    } catch (error) {
+      if (attempt >= MAX_RETRIES || !isRetryableError(error)) {
+        throw error;
       }
-    });
-  }
 
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o',
-    messages: [
-      { role: 'system', content: SYSTEM_PROMPT },
-      { role: 'user', content }
-    ],
-    max_tokens: 4096,
-    temperature: 0.1
-  });
+      const retryAfterMs = getRetryAfterMs(error);
+      const backoffMs = Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, RETRY_MAX_DELAY_MS);
+      const delayMs = (retryAfterMs ?? backoffMs) + Math.random() * 250;
 
-  const responseContent = response.choices[0]?.message?.content;
+      // A 429 means the shared budget is exhausted, so hold back every caller
+      if (error.status === 429) {
+        visionRateLimiter.pause(delayMs);
+      }
 
-  if (!responseContent) {
-    throw new Error('Empty response from GPT-4o');
+      stats.retries++;
+      console.warn(`${provider.name} provider error (${error.status || error.code || error.message}); retry ${attempt + 1} of ${MAX_RETRIES} in ${Math.round(delayMs)}ms`);
+      await sleep(delayMs);
+    }
   }
+}
 
-  // Check for refusal
-  if (responseContent.toLowerCase().includes("i'm sorry") ||
-      responseContent.toLowerCase().includes("i cannot") ||
-      responseContent.toLowerCase().includes("i can't")) {
-    console.error('GPT-4o refused to process:', responseContent);
-    throw new Error('The AI could not process this document. The content may be unclear or restricted. Please try with a clearer image.');
-  }
+/**
+ * Read a form's printed title from its first page, to match scans against known templates
+ * @returns {Promise<string|null>} null when the model finds no title
+ */
+async function readFormTitle(provider, image) {
+  const response = await analyzeWithRetry(provider, {
+    systemPrompt: 'You read the printed title of a form. RESPOND WITH ONLY VALID JSON: {"formTitle": "Title exactly as printed"}, or {"formTitle": null} when there is no title.',
+    text: 'What is the title of this form?',
+    images: [image],
+    history: [],
+    responseFormat: 'json',
+    logprobs: false,
+    maxTokens: 100,
+    temperature: 0
+  }, { retries: 0, rateLimitWaitMs: 0 });
+
+  const parseResult = safeJsonParse(extractJsonFromText(response.content || ''));
+  const title = parseResult.success ? parseResult.data?.formTitle : null;
+  return typeof title === 'string' && title.trim() ? title.trim() : null;
+}
 
-  // Extract JSON from response
+/**
+ * Parse a model reply and validate it against the form structure schema and field conditions
+ * @returns {{data: Object|null, errors: Array<{path: string, message: string}>}}
+ */
+function parseAndValidate(responseContent, truncated) {
   const jsonString = extractJsonFromText(responseContent);
   const parseResult = safeJsonParse(jsonString);
 
   if (!parseResult.success) {
-    console.error('Failed to parse GPT-4o response:', responseContent);
-    throw new Error(`Invalid JSON response from AI. Please try again.`);
+    const message = truncated
+      ? 'Response was cut off before the JSON was complete'
+      : `Response is not valid JSON: ${parseResult.error}`;
+    return { data: null, errors: [{ path: '/', message }] };
   }
 
-  return normalizeFormStructure(parseResult.data);
+  const { errors } = validateFormStructure(parseResult.data);
+  return { data: parseResult.data, errors: [...errors, ...validateConditions(parseResult.data)] };
+}
+
+/**
+ * Build the follow-up message asking the model to fix schema errors
+ */
+function buildRepairPrompt(errors) {
+  const listed = errors.slice(0, 20).map(e => `- ${e.path}: ${e.message}`).join('\n');
+  const more = errors.length > 20 ? `\n- ...and ${errors.length - 20} more` : '';
+
+  return `Your previous response does not match the required JSON format:
+${listed}${more}
+
+Return the COMPLETE corrected JSON for the same pages. Respond with ONLY valid JSON. If the response was cut off, keep labels verbatim but omit optional properties to make it shorter.`;
+}
+
+/**
+ * Describe a schema error that remained after repair, with the field it belongs to
+ */
+function describeViolation(data, error, startPage, endPage) {
+  const fieldPath = error.path.match(/^\/sections\/\d+\/fields\/\d+/);
+  const field = fieldPath && data ? getAtPath(data, fieldPath[0]) : null;
+
+  return {
+    path: error.path,
+    message: error.message,
+    label: field && typeof field.label === 'string' ? field.label : undefined,
+    pages: [startPage, endPage]
+  };
+}
+
+/**
+ * Collect per-field confidence signals keyed by "sectionIndex/fieldIndex"
+ */
+function buildFieldSignals(data, errors, responseContent, tokenLogprobs) {
+  const signals = {};
+  const signalFor = key => (signals[key] = signals[key] || {});
+
+  const logprobConfidences = computeLogprobConfidences(responseContent, tokenLogprobs, data);
+  for (const [key, probability] of Object.entries(logprobConfidences)) {
+    signalFor(key).logprobConfidence = probability;
+  }
+
+  for (const error of errors) {
+    const match = error.path.match(/^\/sections\/(\d+)\/fields\/(\d+)/);
+    if (!match) continue;
+    const signal = signalFor(`${match[1]}/${match[2]}`);
+    signal.violations = [...(signal.violations || []), error.message];
+  }
+
+  return signals;
+}
+
+/**
+ * Process a batch of images
+ * Replies that fail schema validation are sent back to the model with the errors
+ * for up to MAX_REPAIR_ATTEMPTS retries; errors that remain are reported, not hidden.
+ * @returns {Promise<{result: Object, violations: Array, repairAttempts: number, callStats: Object}>}
+ */
+async function processImageBatch(provider, systemPrompt, images, startPage, totalPages, mode = 'structure') {
+  const endPage = startPage + images.length - 1;
+  const valuesRequest = mode === 'values' ? ' Include the value entered in each field.' : '';
+  const text = (totalPages > images.length
+    ? `Analyze pages ${startPage} to ${endPage} of ${totalPages} of this form. Extract all form fields visible on these pages. The images are pages ${startPage} to ${endPage} in order; use these page numbers.`
+    : 'Analyze this form and extract its complete structure.') + valuesRequest;
+
+  const history = [];
+  const callStats = { retries: 0, rateLimitWaitMs: 0 };
+  let repairAttempts = 0;
+
+  while (true) {
+    const response = await analyzeWithRetry(provider, {
+      systemPrompt,
+      text,
+      images,
+      history,
+      responseFormat: 'json',
+      logprobs: true,
+      maxTokens: 4096,
+      temperature: 0.1
+    }, callStats);
+
+    const responseContent = response.content;
+
+    if (!responseContent) {
+      throw new Error(`Empty response from ${provider.name} provider`);
+    }
+
+    // Check for refusal
+    if (responseContent.toLowerCase().includes("i'm sorry") ||
+        responseContent.toLowerCase().includes("i cannot") ||
+        responseContent.toLowerCase().includes("i can't")) {
+      console.error(`${provider.name} provider refused to process:`, responseContent);
+      throw new Error('The AI could not process this document. The content may be unclear or restricted. Please try with a clearer image.');
+    }
+
+    const { data, errors } = parseAndValidate(responseContent, response.truncated);
+
+    if (errors.length === 0 || repairAttempts >= MAX_REPAIR_ATTEMPTS) {
+      if (!data) {
+        console.error(`Failed to parse ${provider.name} provider response:`, responseContent);
+        throw new Error(`Invalid JSON response from AI. Please try again.`);
+      }
+
+      if (errors.length > 0) {
+        console.warn(`Pages ${startPage}-${endPage}: ${errors.length} schema violation(s) remain after ${repairAttempts} repair attempt(s)`);
+      }
+
+      return {
+        result: normalizeFormStructure(data, { startPage, endPage }, buildFieldSignals(data, errors, responseContent, response.tokenLogprobs), { mode }),
+        violations: errors.map(error => describeViolation(data, error, startPage, endPage)),
+        repairAttempts,
+        callStats
+      };
+    }
+
+    repairAttempts++;
+    console.warn(`Pages ${startPage}-${endPage}: ${errors.length} schema error(s), requesting repair (attempt ${repairAttempts} of ${MAX_REPAIR_ATTEMPTS})`);
+
+    history.push(
+      { role: 'assistant', content: responseContent },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
+  }
 }
 
 /**
  * Combine results from multiple batches
+ * Continued sections are joined and IDs repeated across batches are replaced
  */
 function combineResults(results) {
   if (results.length === 0) {
     return { formTitle: 'Untitled Form', sections: [] };
   }
 
-  if (results.length === 1) {
-    return results[0];
+  const { merges, ...formStructure } = mergeBatchResults(results);
+  return formStructure;
+}
+
+/**
+ * Normalize a page number, clamping it into the page range the batch covered
+ * Falls back to the first page when the batch is a single page
+ */
+function normalizePage(page, pageRange) {
+  const { startPage = 1, endPage = Infinity } = pageRange;
+  const parsed = parseInt(page, 10);
+
+  if (Number.isNaN(parsed)) {
+    return startPage === endPage ? startPage : null;
   }
 
-  // Use the form title from the first result
-  const formTitle = results[0].formTitle || 'Untitled Form';
-
-  // Combine all sections, updating IDs to be unique
-  let sectionOrder = 0;
-  const allSections = [];
-
-  for (const result of results) {
-    for (const section of result.sections || []) {
-      sectionOrder++;
-
-      allSections.push({
-        ...section,
-        id: `section_${sectionOrder}`,
-        order: sectionOrder,
-        fields: (section.fields || []).map((field, idx) => ({
-          ...field,
-          id: `field_${sectionOrder}_${idx + 1}`
-        }))
-      });
+  return Math.min(Math.max(parsed, startPage), endPage);
+}
+
+/**
+ * Normalize a bounding box to {x, y, width, height} fractions of the page
+ * Values are clamped so the box stays on the page; unusable boxes become null
+ */
+function normalizeBoundingBox(bbox) {
+  if (!bbox || typeof bbox !== 'object') return null;
+
+  const values = ['x', 'y', 'width', 'height'].map(key => Number(bbox[key]));
+  if (values.some(value => !Number.isFinite(value))) return null;
+
+  const clamp = value => Math.min(Math.max(value, 0), 1);
+  const x = clamp(values[0]);
+  const y = clamp(values[1]);
+  const width = Math.min(clamp(values[2]), 1 - x);
+  const height = Math.min(clamp(values[3]), 1 - y);
+
+  if (width <= 0 || height <= 0) return null;
+
+  const round = value => Math.round(value * 10000) / 10000;
+  return { x: round(x), y: round(y), width: round(width), height: round(height) };
+}
+
+/**
+ * Normalize one entered text value; blank entries become null
+ */
+function normalizeTextValue(value) {
+  if (value == null || typeof value === 'object') return null;
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+/**
+ * Match an entered choice to one of the field's options, ignoring case and spacing
+ * Choices that match no option (e.g. a write-in "Other") are kept as read
+ */
+function matchOption(value, options) {
+  const text = normalizeTextValue(value);
+  if (text === null) return null;
+
+  const key = text.toLowerCase().replace(/\s+/g, ' ');
+  return options.find(option => option.toLowerCase().replace(/\s+/g, ' ').trim() === key) || text;
+}
+
+/**
+ * Normalize the value entered in a field to the shape of its component's widget:
+ * text (or null) for inputs and single choices, an array of options for checkboxes,
+ * rows of cells in column order for tables and whether it is signed for signatures
+ * @param {Object} field - Normalized field (component, options, columns)
+ * @param {*} value - Value as read by the model or from the PDF
+ */
+function normalizeFieldValue(field, value) {
+  switch (componentRegistry.getWidget(field.component)) {
+    case 'radio':
+    case 'select':
+      return matchOption(Array.isArray(value) ? value[0] : value, field.options || []);
+
+    case 'checkboxes': {
+      const selected = (Array.isArray(value) ? value : [value])
+        .map(choice => matchOption(choice, field.options || []))
+        .filter(choice => choice !== null);
+      return [...new Set(selected)];
     }
-  }
 
-  return {
-    formTitle,
-    sections: allSections
-  };
+    case 'table': {
+      if (!Array.isArray(value)) return [];
+      return value
+        .map(row => {
+          if (Array.isArray(row)) return row.map(normalizeTextValue);
+          if (row && typeof row === 'object') return (field.columns || []).map(column => normalizeTextValue(row[column]));
+          return [normalizeTextValue(row)];
+        })
+        .filter(row => row.some(cell => cell !== null));
+    }
+
+    case 'signature':
+      if (typeof value === 'string') return !['', 'false', 'no', 'none', 'unsigned', 'blank'].includes(value.trim().toLowerCase());
+      return Boolean(value);
+
+    default:
+      return normalizeTextValue(value);
+  }
 }
 
 /**
  * Normalize a single field
+ * @param {Object} [options] - {mode}; in 'values' mode input fields carry a normalized `value`
  */
-function normalizeField(field, fieldIndex) {
-  const componentName = normalizeComponentType(field.component || field.type);
+function normalizeField(field, fieldIndex, pageRange = {}, signals = {}, options = {}) {
+  const rawComponent = field.component || field.type;
+  const { component: componentName, match: componentMatch } = resolveComponentType(rawComponent);
   const normalizedField = {
-    id: field.id || generateId('field'),
+    id: field.id,
     component: componentName,
-    componentId: COMPONENT_IDS[componentName] || null,
+    componentId: componentRegistry.getComponentId(componentName),
     label: field.label || `Field ${fieldIndex + 1}`,
     required: Boolean(field.required),
-    order: field.order || fieldIndex + 1
+    order: field.order || fieldIndex + 1,
+    page: normalizePage(field.page, pageRange),
+    bbox: normalizeBoundingBox(field.bbox)
   };
 
-  if (['Multi-Select', 'Radio Select', 'Dropdown'].includes(normalizedField.component)) {
+  const component = componentRegistry.getComponent(componentName);
+  if (component.hasOptions) {
     normalizedField.options = field.options || [];
   }
 
-  if (normalizedField.component === 'Table') {
+  if (component.hasColumns) {
     normalizedField.columns = field.columns || [];
+  }
+
+  if (component.hasRowCount) {
     normalizedField.rowCount = field.rowCount || (field.rows ? field.rows.length : 0);
   }
 
@@ -377,32 +940,67 @@ function normalizeField(field, fieldIndex) {
     normalizedField.placeholder = field.placeholder;
   }
 
+  if (componentRegistry.isTextComponent(normalizedField.component)) {
+    const { dataType, validation } = resolveDataType(field);
+    normalizedField.dataType = dataType;
+    if (validation) normalizedField.validation = validation;
+  }
+
+  if (field.visibleWhen) {
+    normalizedField.visibleWhen = field.visibleWhen;
+  }
+
+  if (options.mode === 'values' && !componentRegistry.isDisplayComponent(normalizedField.component)) {
+    normalizedField.value = normalizeFieldValue(normalizedField, field.value);
+  }
+
+  const { confidence, reasons } = scoreField(normalizedField, {
+    ...signals,
+    componentMatch,
+    rawComponent,
+    labelMissing: !field.label
+  });
+  normalizedField.confidence = confidence;
+  normalizedField.needsReview = confidence < LOW_CONFIDENCE_THRESHOLD;
+  if (reasons.length > 0) {
+    normalizedField.confidenceReasons = reasons;
+  }
+
   return normalizedField;
 }
 
 /**
  * Normalize and validate form structure
+ * @param {Object} data - Raw form structure from the model
+ * @param {Object} [pageRange] - {startPage, endPage} covered by the request
+ * @param {Object} [fieldSignals] - Confidence signals keyed by "sectionIndex/fieldIndex"
+ * @param {Object} [options] - {mode}: 'values' keeps the value entered in each input field
  */
-function normalizeFormStructure(data) {
+function normalizeFormStructure(data, pageRange = {}, fieldSignals = {}, options = {}) {
   const formTitle = data.formTitle || 'Untitled Form';
   const sections = data.sections || [];
 
   const normalizedSections = sections.map((section, sectionIndex) => {
-    const sectionId = section.id || generateId('section');
     const sectionTitle = section.title || `Section ${sectionIndex + 1}`;
     const fields = section.fields || [];
 
     // Normalize fields
-    const normalizedFields = fields.map((field, fieldIndex) => normalizeField(field, fieldIndex));
+    const normalizedFields = fields.map((field, fieldIndex) =>
+      normalizeField(field, fieldIndex, pageRange, fieldSignals[`${sectionIndex}/${fieldIndex}`], options)
+    );
 
     return {
-      id: sectionId,
+      id: section.id,
       title: sectionTitle,
       order: section.order || sectionIndex + 1,
+      page: normalizePage(section.page, pageRange) ?? normalizedFields[0]?.page ?? null,
+      bbox: normalizeBoundingBox(section.bbox),
       fields: normalizedFields
     };
   });
 
+  linkConditions(normalizedSections);
+
   return {
     formTitle,
     sections: normalizedSections
@@ -410,65 +1008,141 @@ function normalizeFormStructure(data) {
 }
 
 /**
- * Normalize component type to standard values
+ * Give sections and fields unique IDs and point each field's visibleWhen at the ID of the
+ * field it depends on
+ * The model may number fields per section, so references are resolved before IDs repeated
+ * within the batch are replaced; conditions that do not resolve were reported as schema
+ * violations and are dropped.
  */
-function normalizeComponentType(type) {
-  if (!type) return 'Short Input';
-
-  const typeMap = {
-    'signature': 'Signature',
-    'multi-select': 'Multi-Select',
-    'multiselect': 'Multi-Select',
-    'checkbox': 'Multi-Select',
-    'checkboxes': 'Multi-Select',
-    'file upload': 'File Upload',
-    'fileupload': 'File Upload',
-    'file': 'File Upload',
-    'attachment': 'File Upload',
-    'short input': 'Short Input',
-    'shortinput': 'Short Input',
-    'text': 'Short Input',
-    'textfield': 'Short Input',
-    'input': 'Short Input',
-    'sections': 'Sections',
-    'section': 'Sections',
-    'dropdown': 'Dropdown',
-    'select': 'Dropdown',
-    'radio select': 'Radio Select',
-    'radioselect': 'Radio Select',
-    'radio': 'Radio Select',
-    'table': 'Table',
-    'grid': 'Table',
-    'title': 'Title',
-    'heading': 'Title',
-    'header': 'Title',
-    'long input': 'Long Input',
-    'longinput': 'Long Input',
-    'textarea': 'Long Input',
-    'multiline': 'Long Input',
-    'paragraph': 'Long Input',
-    'instruction': 'Title',
-    'instructions': 'Title',
-    'guidance': 'Title',
-    'note': 'Title',
-    'info': 'Title'
-  };
+function linkConditions(sections) {
+  const invalid = new Set(validateConditions({ sections }).map(error => error.path));
+  const targets = new Map();
+
+  sections.forEach((section, sectionIndex) => {
+    section.fields.forEach((field, fieldIndex) => {
+      if (!field.visibleWhen) return;
+      if (!invalid.has(`/sections/${sectionIndex}/fields/${fieldIndex}/visibleWhen`)) {
+        targets.set(field, findControllingField(sections, sectionIndex, field));
+      }
+    });
+  });
+
+  const { sectionIds, fieldIds } = assignIds(sections);
+  sections.forEach((section, idx) => {
+    section.id = sectionIds[idx];
+    section.fields.forEach(field => { field.id = fieldIds.get(field); });
+  });
 
-  const normalized = typeMap[type.toLowerCase()];
-  if (normalized) return normalized;
+  for (const field of sections.flatMap(section => section.fields)) {
+    if (!field.visibleWhen) continue;
+    const target = targets.get(field);
+    if (target) {
+      field.visibleWhen = { field: target.id, equals: findOption(target.options, field.visibleWhen.equals) };
+    } else {
+      delete field.visibleWhen;
+    }
+  }
+}
+
+/**
+ * Normalize fields read from a fillable PDF
+ * They come from the file itself, so they carry full confidence and their PDF name and type
+ * @param {Object} acroForm - From readAcroForm
+ * @param {Object} [options] - {mode}; in 'values' mode the fields' PDF values are kept
+ */
+function normalizeAcroFormFields(acroForm, options = {}) {
+  const pageRange = { startPage: 1, endPage: acroForm.pageCount };
+
+  return acroForm.fields.map((acroField, idx) => {
+    const field = normalizeField({
+      component: acroField.component,
+      label: acroField.label,
+      required: acroField.required,
+      options: acroField.options,
+      page: acroField.page,
+      bbox: acroField.bbox,
+      value: acroField.value,
+      validation: acroField.maxLength ? { maxLength: acroField.maxLength } : undefined
+    }, idx, pageRange, {}, options);
+
+    delete field.confidenceReasons;
+    return {
+      ...field,
+      confidence: 1,
+      needsReview: false,
+      acroField: { name: acroField.name, type: acroField.type }
+    };
+  });
+}
+
+/**
+ * Build a form structure from PDF form fields alone, one section per page
+ */
+function buildAcroFormStructure(formTitle, acroFields) {
+  const sections = [];
+
+  for (const field of acroFields) {
+    const page = field.page ?? null;
+    let section = sections.find(s => s.page === page);
+    if (!section) {
+      section = {
+        id: null,
+        title: page ? `Page ${page}` : 'Additional Fields',
+        order: sections.length + 1,
+        page,
+        bbox: null,
+        fields: []
+      };
+      sections.push(section);
+    }
+
+    const { acroField, ...rest } = field;
+    section.fields.push({
+      ...rest,
+      order: section.fields.length + 1,
+      source: 'acroform',
+      acroFields: [acroField]
+    });
+  }
 
-  const validTypes = [
-    'Signature', 'Multi-Select', 'File Upload', 'Short Input',
-    'Sections', 'Dropdown', 'Radio Select', 'Table', 'Title', 'Long Input'
-  ];
+  const { sectionIds, fieldIds } = assignIds(sections);
+  sections.forEach((section, idx) => {
+    section.id = sectionIds[idx];
+    section.fields.forEach(field => { field.id = fieldIds.get(field); });
+  });
+
+  return {
+    formTitle: formTitle || 'Untitled Form',
+    sections
+  };
+}
 
-  if (validTypes.includes(type)) return type;
+/**
+ * Normalize component type to standard values
+ */
+function normalizeComponentType(type) {
+  return resolveComponentType(type).component;
+}
 
-  return 'Short Input';
+/**
+ * Resolve a component type and report how it was matched
+ * @returns {{component: string, match: 'exact'|'alias'|'fallback'|'missing'}}
+ */
+function resolveComponentType(type) {
+  return componentRegistry.resolveComponentType(type);
 }
 
 module.exports = {
   extractFormStructure,
+  extractFormStructureWithMeta,
+  validateFormStructure,
+  combineResults,
   normalizeFormStructure,
-  normalizeComponentType
+  normalizeComponentType,
+  normalizeBoundingBox,
+  getPromptVersion,
+  getSystemPrompt,
+  ACROFORM_MODES,
+  DEFAULT_ACROFORM_MODE,
+  EXTRACTION_MODES
 };
@@ -2,8 +2,14 @@ const path = require('path');
 const fs = require('fs').promises;
 const { ensureDirectory, fileToBase64 } = require('../utils/helpers');
 
+// pdf-poppler ships binaries for macOS and Windows only, and exits the process when loaded elsewhere
+const POPPLER_PLATFORMS = ['darwin', 'win32'];
+
 let pdfPoppler;
 try {
+  if (!POPPLER_PLATFORMS.includes(process.platform)) {
+    throw new Error(`pdf-poppler does not support ${process.platform}`);
+  }
   pdfPoppler = require('pdf-poppler');
 } catch (error) {
   console.warn('pdf-poppler not available, PDF conversion may not work');
@@ -75,7 +81,15 @@ async function getPdfPageCount(pdfPath) {
   }
 }
 
+/**
+ * Whether PDFs can be rendered to images
+ */
+function isPdfConversionAvailable() {
+  return Boolean(pdfPoppler);
+}
+
 module.exports = {
   convertPdfToImages,
-  getPdfPageCount
+  getPdfPageCount,
+  isPdfConversionAvailable
 };
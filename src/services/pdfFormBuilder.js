@@ -0,0 +1,476 @@
+const {
+  PDFDocument,
+  PDFName,
+  PDFHexString,
+  StandardFonts,
+  rgb
+} = require('pdf-lib');
+const componentRegistry = require('./componentRegistry');
+
+/**
+ * Builds a fillable PDF from a form structure
+ * Every input becomes a real AcroForm field named after its field ID, with its label as
+ * the tooltip, so the PDF reads back through acroFormReader as the same form.
+ * When the original page images are available, fields with a bbox are overlaid on them;
+ * everything else is laid out section by section on clean pages.
+ */
+
+const PDF_LAYOUTS = ['auto', 'overlay', 'clean'];
+
+// US Letter in points
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+const TITLE_SIZE = 16;
+const SECTION_SIZE = 12;
+const LABEL_SIZE = 10;
+const LINE_GAP = 4;
+const FIELD_GAP = 12;
+
+const TEXT_FIELD_HEIGHT = 20;
+const LONG_FIELD_HEIGHT = 60;
+const SIGNATURE_HEIGHT = 40;
+const OPTION_BOX_SIZE = 11;
+const TABLE_ROW_HEIGHT = 18;
+const DEFAULT_TABLE_ROWS = 3;
+// As many rows as fit on one clean page under the field's label
+const MAX_TABLE_ROWS = 30;
+
+const BORDER_COLOR = rgb(0.55, 0.55, 0.55);
+const OVERLAY_COLOR = rgb(0.2, 0.4, 0.85);
+
+/**
+ * Replace characters the standard fonts cannot encode
+ */
+function encodable(font, text) {
+  return [...String(text ?? '').replace(/\s+/g, ' ')]
+    .map(char => {
+      try {
+        font.encodeText(char);
+        return char;
+      } catch (error) {
+        return '?';
+      }
+    })
+    .join('');
+}
+
+/**
+ * Break text into lines that fit a width
+ */
+function wrapText(font, text, size, width) {
+  const lines = [];
+  let line = '';
+
+  for (const word of encodable(font, text).split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && font.widthOfTextAtSize(candidate, size) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Set a field's tooltip (/TU), which readers show as its name
+ */
+function setTooltip(field, text) {
+  field.acroField.dict.set(PDFName.of('TU'), PDFHexString.fromText(String(text ?? '')));
+}
+
+/**
+ * Options without duplicates or blanks (field option values must be unique)
+ */
+function uniqueOptions(field) {
+  return [...new Set((field.options || []).map(option => String(option).trim()).filter(Boolean))];
+}
+
+/**
+ * Add a signature field; pdf-lib can read signature fields but not create them
+ */
+function addSignatureField(doc, form, page, name, label, rect, required) {
+  const field = doc.context.obj({
+    FT: 'Sig',
+    T: PDFHexString.fromText(name),
+    TU: PDFHexString.fromText(label),
+    // Field flag bit 2 is "required"
+    Ff: required ? 2 : 0,
+    Type: 'Annot',
+    Subtype: 'Widget',
+    Rect: [rect.x, rect.y, rect.x + rect.width, rect.y + rect.height],
+    F: 4,
+    P: page.ref
+  });
+  const ref = doc.context.register(field);
+  page.node.addAnnot(ref);
+  form.acroForm.addField(ref);
+}
+
+/**
+ * Split a rectangle into equal slots, one per option
+ * Options stack vertically unless the rectangle is wider than tall and stacking is not forced.
+ */
+function splitRect(rect, count, stacked) {
+  const horizontal = !stacked && rect.width >= rect.height;
+  return Array.from({ length: count }, (_, index) => (horizontal
+    ? { x: rect.x + (rect.width / count) * index, y: rect.y, width: rect.width / count, height: rect.height }
+    : { x: rect.x, y: rect.y + rect.height - (rect.height / count) * (index + 1), width: rect.width, height: rect.height / count }));
+}
+
+/**
+ * Square box at the left of a slot, for a checkbox or radio button
+ */
+function optionBox(slot) {
+  const size = Math.min(OPTION_BOX_SIZE, slot.width, slot.height);
+  return { x: slot.x + 1, y: slot.y + (slot.height - size) / 2, width: size, height: size };
+}
+
+/**
+ * Create the AcroForm field(s) for one form field inside a rectangle
+ * In overlay mode the page image already shows labels, options and table headers,
+ * so only the widgets are added; on clean pages option and column labels are drawn too.
+ */
+function addFieldWidgets(context, page, field, rect, overlay) {
+  const { doc, form, font } = context;
+  const name = field.id;
+  const label = field.label || name;
+  const appearance = overlay
+    ? { borderColor: OVERLAY_COLOR, borderWidth: 1, backgroundColor: undefined }
+    : { borderColor: BORDER_COLOR, borderWidth: 1 };
+  const options = uniqueOptions(field);
+
+  const widget = componentRegistry.getWidget(field.component);
+
+  switch (widget) {
+    case 'text':
+    case 'textarea':
+    case 'file': {
+      const textField = form.createTextField(name);
+      if (widget === 'textarea') textField.enableMultiline();
+      if (widget === 'file') textField.enableFileSelection();
+      if (field.required) textField.enableRequired();
+      if (field.validation && field.validation.maxLength) textField.setMaxLength(field.validation.maxLength);
+      setTooltip(textField, label);
+      textField.addToPage(page, { ...rect, ...appearance, font });
+      return;
+    }
+
+    case 'select': {
+      const dropdown = form.createDropdown(name);
+      dropdown.addOptions(options.map(option => encodable(font, option)));
+      if (field.required) dropdown.enableRequired();
+      setTooltip(dropdown, label);
+      dropdown.addToPage(page, { ...rect, ...appearance, font });
+      return;
+    }
+
+    case 'radio': {
+      const group = form.createRadioGroup(name);
+      setTooltip(group, label);
+      splitRect(rect, Math.max(options.length, 1), !overlay).forEach((slot, index) => {
+        if (!options[index]) return;
+        group.addOptionToPage(options[index], page, { ...optionBox(slot), ...appearance });
+        if (!overlay) drawOptionLabel(context, page, slot, options[index]);
+      });
+      if (field.required) group.enableRequired();
+      return;
+    }
+
+    case 'checkboxes': {
+      // One checkbox per option, grouped under the field's name, which carries the label
+      splitRect(rect, Math.max(options.length, 1), !overlay).forEach((slot, index) => {
+        if (!options[index]) return;
+        const checkBox = form.createCheckBox(`${name}.${index + 1}`);
+        if (field.required) checkBox.enableRequired();
+        setTooltip(checkBox, options[index]);
+        checkBox.addToPage(page, { ...optionBox(slot), ...appearance });
+        if (!overlay) drawOptionLabel(context, page, slot, options[index]);
+        if (index === 0) {
+          checkBox.acroField.getParent().dict.set(PDFName.of('TU'), PDFHexString.fromText(label));
+        }
+      });
+      return;
+    }
+
+    case 'table': {
+      const columns = field.columns && field.columns.length > 0 ? field.columns : ['Value'];
+      const rows = tableRows(field);
+      const columnWidth = rect.width / columns.length;
+
+      // The header row holds the column names
+      const rowHeight = rect.height / (rows + 1);
+      if (!overlay) {
+        columns.forEach((column, col) => {
+          page.drawText(wrapText(font, column, LABEL_SIZE - 1, columnWidth - 4)[0] || '', {
+            x: rect.x + col * columnWidth + 2,
+            y: rect.y + rect.height - rowHeight + (rowHeight - LABEL_SIZE) / 2 + 1,
+            size: LABEL_SIZE - 1,
+            font: context.boldFont
+          });
+        });
+      }
+
+      for (let row = 0; row < rows; row++) {
+        columns.forEach((column, col) => {
+          const cell = form.createTextField(`${name}.${row + 1}.${col + 1}`);
+          setTooltip(cell, `${label} row ${row + 1}: ${column}`);
+          cell.addToPage(page, {
+            x: rect.x + col * columnWidth,
+            y: rect.y + rect.height - rowHeight * (row + 2),
+            width: columnWidth,
+            height: rowHeight,
+            ...appearance,
+            font
+          });
+        });
+      }
+      return;
+    }
+
+    case 'signature':
+      addSignatureField(doc, form, page, name, label, rect, field.required);
+      if (!overlay) {
+        page.drawLine({
+          start: { x: rect.x, y: rect.y + 4 },
+          end: { x: rect.x + rect.width, y: rect.y + 4 },
+          thickness: 0.75,
+          color: BORDER_COLOR
+        });
+      }
+      return;
+
+    default: {
+      const textField = form.createTextField(name);
+      setTooltip(textField, label);
+      textField.addToPage(page, { ...rect, ...appearance, font });
+    }
+  }
+}
+
+function drawOptionLabel(context, page, slot, option) {
+  const box = optionBox(slot);
+  page.drawText(wrapText(context.font, option, LABEL_SIZE, slot.width - box.width - 8)[0] || '', {
+    x: box.x + box.width + 4,
+    y: box.y + 1,
+    size: LABEL_SIZE,
+    font: context.font
+  });
+}
+
+/**
+ * Rows to draw for a Table field: its rowCount, capped at MAX_TABLE_ROWS
+ */
+function tableRows(field) {
+  const rowCount = Number.isInteger(field.rowCount) && field.rowCount > 0 ? field.rowCount : DEFAULT_TABLE_ROWS;
+  return Math.min(rowCount, MAX_TABLE_ROWS);
+}
+
+/**
+ * Height a field's widgets take on a clean page
+ */
+function widgetHeight(field) {
+  switch (componentRegistry.getWidget(field.component)) {
+    case 'textarea':
+      return LONG_FIELD_HEIGHT;
+    case 'signature':
+      return SIGNATURE_HEIGHT;
+    case 'radio':
+    case 'checkboxes':
+      return Math.max(uniqueOptions(field).length, 1) * (OPTION_BOX_SIZE + LINE_GAP + 2);
+    case 'table':
+      return (tableRows(field) + 1) * TABLE_ROW_HEIGHT;
+    default:
+      return TEXT_FIELD_HEIGHT;
+  }
+}
+
+/**
+ * Lays out sections and fields top to bottom on clean pages, adding pages as they fill
+ */
+function createCleanLayout(context) {
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = context.doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const ensureSpace = (height) => {
+    if (!page || y - height < MARGIN) newPage();
+  };
+
+  const drawLines = (text, size, font) => {
+    for (const line of wrapText(font, text, size, CONTENT_WIDTH)) {
+      ensureSpace(size + LINE_GAP);
+      y -= size;
+      page.drawText(line, { x: MARGIN, y, size, font });
+      y -= LINE_GAP;
+    }
+  };
+
+  return {
+    heading(text, size) {
+      ensureSpace(size * 3);
+      y -= size / 2;
+      drawLines(text, size, context.boldFont);
+      y -= LINE_GAP;
+    },
+
+    field(field) {
+      if (componentRegistry.isDisplayComponent(field.component)) {
+        this.heading(field.label, componentRegistry.getWidget(field.component) === 'title' ? TITLE_SIZE : SECTION_SIZE);
+        return;
+      }
+
+      const height = widgetHeight(field);
+      const labelLines = wrapText(context.font, `${field.label}${field.required ? ' *' : ''}`, LABEL_SIZE, CONTENT_WIDTH);
+
+      // Keep a field's label with its widgets when they fit on one page
+      ensureSpace(labelLines.length * (LABEL_SIZE + LINE_GAP) + height + FIELD_GAP);
+      drawLines(`${field.label}${field.required ? ' *' : ''}`, LABEL_SIZE, context.font);
+
+      const rect = { x: MARGIN, y: y - height, width: CONTENT_WIDTH, height };
+      addFieldWidgets(context, page, field, rect, false);
+      y -= height + FIELD_GAP;
+    }
+  };
+}
+
+/**
+ * Embed a stored page image
+ */
+async function embedPageImage(doc, image) {
+  const bytes = Buffer.from(image.base64, 'base64');
+  return image.mimeType === 'image/jpeg' ? doc.embedJpg(bytes) : doc.embedPng(bytes);
+}
+
+/**
+ * Convert a normalized bbox on a page image to PDF coordinates (bottom-left origin)
+ */
+function toPdfRect(bbox, page) {
+  const { width, height } = page.getSize();
+  return {
+    x: bbox.x * width,
+    y: (1 - bbox.y - bbox.height) * height,
+    width: bbox.width * width,
+    height: bbox.height * height
+  };
+}
+
+/**
+ * Build a fillable PDF for a form structure
+ * @param {Object} formStructure - {formTitle, sections}, e.g. a training form's correctedExtraction
+ * @param {Object} [options]
+ * @param {Array<{page: number, base64: string, mimeType: string}>} [options.pageImages] - Original pages
+ * @param {string} [options.layout] - 'overlay' to place fields on the original pages, 'clean' to lay
+ *   them out on blank pages, 'auto' (default) to overlay when page images and coordinates exist
+ * @returns {Promise<{bytes: Uint8Array, layout: string, overlaid: number, laidOut: number}>}
+ */
+async function buildFillablePdf(formStructure, options = {}) {
+  const doc = await PDFDocument.create();
+  const formTitle = formStructure.formTitle || 'Form';
+  doc.setTitle(formTitle);
+
+  const context = {
+    doc,
+    form: doc.getForm(),
+    font: await doc.embedFont(StandardFonts.Helvetica),
+    boldFont: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+
+  const pageImages = options.pageImages || [];
+
+  // Field IDs become PDF field names, which must be unique
+  const usedNames = new Set();
+  const uniqueName = (id) => {
+    let name = String(id).replace(/\./g, '_');
+    for (let suffix = 2; usedNames.has(name); suffix++) name = `${id}_${suffix}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  const sections = (formStructure.sections || []).map((section, sectionIndex) => ({
+    ...section,
+    fields: (section.fields || []).map((field, fieldIndex) => ({
+      ...field,
+      id: uniqueName(field.id || `field_${sectionIndex + 1}_${fieldIndex + 1}`)
+    }))
+  }));
+  const allFields = sections.flatMap(section => section.fields);
+  const hasCoordinates = allFields.some(field => field.bbox && field.page);
+
+  // Without the original pages there is nothing to overlay on
+  let layout = options.layout || 'auto';
+  if (layout === 'auto' || pageImages.length === 0) {
+    layout = pageImages.length > 0 && hasCoordinates ? 'overlay' : 'clean';
+  }
+
+  // Original pages first, with located fields on top of them
+  const overlaidIds = new Set();
+  if (layout === 'overlay') {
+    const pagesByNumber = new Map();
+    for (const image of pageImages) {
+      const embedded = await embedPageImage(doc, image);
+      const height = PAGE_WIDTH * (embedded.height / embedded.width);
+      const page = doc.addPage([PAGE_WIDTH, height]);
+      page.drawImage(embedded, { x: 0, y: 0, width: PAGE_WIDTH, height });
+      pagesByNumber.set(image.page, page);
+    }
+
+    for (const field of allFields) {
+      const page = field.bbox && pagesByNumber.get(field.page);
+      if (!page || componentRegistry.isDisplayComponent(field.component)) continue;
+
+      addFieldWidgets(context, page, field, toPdfRect(field.bbox, page), true);
+      overlaidIds.add(field.id);
+    }
+  }
+
+  // Everything without a place on the original pages is laid out by section
+  const remaining = sections
+    .map(section => ({
+      ...section,
+      fields: section.fields.filter(field =>
+        !overlaidIds.has(field.id) && !(layout === 'overlay' && componentRegistry.isDisplayComponent(field.component))
+      )
+    }))
+    .filter(section => section.fields.length > 0);
+
+  let laidOut = 0;
+  if (remaining.length > 0) {
+    const cleanLayout = createCleanLayout(context);
+    cleanLayout.heading(layout === 'overlay' ? `${formTitle} - Additional Fields` : formTitle, TITLE_SIZE);
+
+    for (const section of remaining) {
+      if (section.title) cleanLayout.heading(section.title, SECTION_SIZE);
+      for (const field of section.fields) {
+        cleanLayout.field(field);
+        if (!componentRegistry.isDisplayComponent(field.component)) laidOut++;
+      }
+    }
+  }
+
+  if (doc.getPageCount() === 0) {
+    doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  }
+
+  return {
+    bytes: await doc.save(),
+    layout,
+    overlaid: overlaidIds.size,
+    laidOut
+  };
+}
+
+module.exports = {
+  buildFillablePdf,
+  PDF_LAYOUTS
+};
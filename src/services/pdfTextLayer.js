@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+
+let pdfjs;
+try {
+  pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+} catch (error) {
+  console.warn('pdfjs-dist not available, PDF text layers will not be read');
+}
+
+/**
+ * Reads the text layer of digital PDFs as positioned lines
+ * Scanned PDFs have no text layer and yield null.
+ */
+
+// Text items whose baselines differ by less than this share of the font height are on one line
+const SAME_LINE_TOLERANCE = 0.5;
+
+// Horizontal gap, as a share of the font height, that separates two words
+const WORD_GAP = 0.25;
+
+/**
+ * Position a text item on the rendered page (top-left origin, CSS-style pixels)
+ */
+function positionItem(item, viewport) {
+  const tx = pdfjs.Util.transform(viewport.transform, item.transform);
+  const fontHeight = Math.hypot(tx[2], tx[3]) || Math.abs(item.height) || 1;
+
+  return {
+    text: item.str,
+    x: tx[4],
+    baseline: tx[5],
+    top: tx[5] - fontHeight,
+    width: item.width * viewport.scale,
+    fontHeight
+  };
+}
+
+/**
+ * Group positioned items into lines, top to bottom and left to right
+ */
+function groupLines(items) {
+  const sorted = [...items].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const line = lines.find(l =>
+      Math.abs(l.baseline - item.baseline) < SAME_LINE_TOLERANCE * Math.min(l.fontHeight, item.fontHeight)
+    );
+    if (line) {
+      line.items.push(item);
+    } else {
+      lines.push({ baseline: item.baseline, fontHeight: item.fontHeight, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const items = line.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    let end = null;
+
+    for (const item of items) {
+      const gap = end === null ? 0 : item.x - end;
+      if (text && gap > WORD_GAP * item.fontHeight && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+        text += ' ';
+      }
+      text += item.text;
+      end = item.x + item.width;
+    }
+
+    const left = Math.min(...items.map(i => i.x));
+    const top = Math.min(...items.map(i => i.top));
+    const right = Math.max(...items.map(i => i.x + i.width));
+    const bottom = Math.max(...items.map(i => i.baseline));
+
+    return { text: text.replace(/\s+/g, ' ').trim(), left, top, right, bottom };
+  }).filter(line => line.text);
+}
+
+/**
+ * Extract the text layer of a PDF as lines with normalized bounding boxes
+ * @param {string} pdfPath - Path to the PDF file
+ * @returns {Promise<{pages: Array<{page: number, lines: Array<{text: string, bbox: Object}>}>}|null>}
+ *   null when the PDF has no text layer or cannot be read
+ */
+async function extractTextLayer(pdfPath) {
+  if (!pdfjs) return null;
+
+  let doc;
+  try {
+    const data = new Uint8Array(await fs.readFile(pdfPath));
+    doc = await pdfjs.getDocument({ data, isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  } catch (error) {
+    console.warn('Could not read PDF text layer:', error.message);
+    return null;
+  }
+
+  try {
+    const pages = [];
+    let lineCount = 0;
+
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      const items = content.items
+        .filter(item => typeof item.str === 'string' && item.str.trim())
+        .map(item => positionItem(item, viewport));
+
+      const round = value => Math.round(value * 10000) / 10000;
+      const lines = groupLines(items).map(line => ({
+        text: line.text,
+        bbox: {
+          x: round(Math.max(line.left, 0) / viewport.width),
+          y: round(Math.max(line.top, 0) / viewport.height),
+          width: round((line.right - line.left) / viewport.width),
+          height: round((line.bottom - line.top) / viewport.height)
+        }
+      }));
+
+      lineCount += lines.length;
+      pages.push({ page: pageNumber, lines });
+      page.cleanup();
+    }
+
+    return lineCount > 0 ? { pages } : null;
+  } catch (error) {
+    console.warn('Could not read PDF text layer:', error.message);
+    return null;
+  } finally {
+    await doc.destroy();
+  }
+}
+
+module.exports = {
+  extractTextLayer
+};
@@ -0,0 +1,37 @@
+const { AzureOpenAI } = require('openai');
+const { createChatCompletionProvider } = require('./chatCompletionProvider');
+
+/**
+ * Azure OpenAI provider
+ * The model name is the Azure deployment name.
+ * @param {Object} [options]
+ * @param {string} [options.model] - Deployment override
+ */
+function createAzureProvider(options = {}) {
+  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
+  const apiKey = process.env.AZURE_OPENAI_API_KEY;
+  const deployment = options.model || process.env.AZURE_OPENAI_DEPLOYMENT;
+
+  if (!endpoint || !apiKey || !deployment) {
+    throw new Error('AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT must be configured');
+  }
+
+  // Retries are handled by the extraction service so they share one rate budget
+  const client = new AzureOpenAI({
+    maxRetries: 0,
+    endpoint,
+    apiKey,
+    deployment,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-08-01-preview'
+  });
+
+  return createChatCompletionProvider({
+    name: 'azure',
+    client,
+    model: deployment
+  });
+}
+
+module.exports = {
+  createAzureProvider
+};
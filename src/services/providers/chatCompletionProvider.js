@@ -0,0 +1,81 @@
+/**
+ * Build a provider around any client exposing the OpenAI chat-completions API
+ * (OpenAI, Azure OpenAI, and OpenAI-compatible local servers all share this shape)
+ * @param {Object} options
+ * @param {string} options.name - Provider name reported in logs and metadata
+ * @param {Object} options.client - OpenAI SDK client instance
+ * @param {string} options.model - Model (or Azure deployment) name
+ * @param {boolean} [options.supportsJsonMode] - Whether the server honours response_format
+ * @param {boolean} [options.supportsLogprobs] - Whether the server can return token logprobs
+ * @returns {Object} Vision provider
+ */
+function createChatCompletionProvider({ name, client, model, supportsJsonMode = true, supportsLogprobs = true }) {
+  /**
+   * Send a system prompt, instruction text and page images to the model
+   * @param {Object} request
+   * @param {string} request.systemPrompt
+   * @param {string} request.text - User instruction text
+   * @param {Array<{base64: string, mimeType: string}>} request.images
+   * @param {Array<{role: string, content: string}>} [request.history] - Follow-up turns (e.g. repair requests)
+   * @param {string} [request.responseFormat] - 'json' to request JSON mode when supported
+   * @param {boolean} [request.logprobs] - Request token log probabilities when supported
+   * @param {number} [request.maxTokens]
+   * @param {number} [request.temperature]
+   * @returns {Promise<{content: string, model: string, usage: Object, truncated: boolean, tokenLogprobs: Array|null}>}
+   */
+  async function analyzeImages({ systemPrompt, text, images, history = [], responseFormat, logprobs = false, maxTokens = 4096, temperature = 0.1 }) {
+    const content = [{ type: 'text', text }];
+
+    for (const img of images) {
+      content.push({
+        type: 'image_url',
+        image_url: {
+          url: `data:${img.mimeType};base64,${img.base64}`,
+          detail: 'high'
+        }
+      });
+    }
+
+    const params = {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content },
+        ...history
+      ],
+      max_tokens: maxTokens,
+      temperature
+    };
+
+    if (responseFormat === 'json' && supportsJsonMode) {
+      params.response_format = { type: 'json_object' };
+    }
+
+    if (logprobs && supportsLogprobs) {
+      params.logprobs = true;
+    }
+
+    const response = await client.chat.completions.create(params);
+    const choice = response.choices[0];
+
+    return {
+      content: choice?.message?.content || '',
+      model: response.model || model,
+      usage: response.usage || null,
+      truncated: choice?.finish_reason === 'length',
+      tokenLogprobs: choice?.logprobs?.content || null
+    };
+  }
+
+  return {
+    name,
+    model,
+    supportsJsonMode,
+    supportsLogprobs,
+    analyzeImages
+  };
+}
+
+module.exports = {
+  createChatCompletionProvider
+};
@@ -0,0 +1,60 @@
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createAzureProvider } = require('./azureProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createMockProvider, withRecording } = require('./mockProvider');
+
+// Provider factories by name (selected with VISION_PROVIDER)
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Create a vision provider by name
+ * When VISION_RECORD_DIR is set, responses are recorded for replay by the mock provider.
+ * @param {string} [name] - One of openai, azure, local, mock
+ * @param {Object} [options] - Provider options (e.g. {model})
+ */
+function createProvider(name = process.env.VISION_PROVIDER || 'openai', options = {}) {
+  const factory = PROVIDERS[name.toLowerCase()];
+
+  if (!factory) {
+    throw new Error(`Unknown vision provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const provider = factory(options);
+
+  if (process.env.VISION_RECORD_DIR && provider.name !== 'mock') {
+    return withRecording(provider, process.env.VISION_RECORD_DIR);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the configured provider, creating it on first use
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the active provider (e.g. with a mock provider in scripts)
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  PROVIDERS
+};
@@ -0,0 +1,37 @@
+const OpenAI = require('openai');
+const { createChatCompletionProvider } = require('./chatCompletionProvider');
+
+/**
+ * OpenAI-compatible local server provider (vLLM, Ollama, LM Studio, etc.)
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model override
+ */
+function createLocalProvider(options = {}) {
+  const baseURL = process.env.LOCAL_VISION_BASE_URL;
+  const model = options.model || process.env.LOCAL_VISION_MODEL || process.env.VISION_MODEL;
+
+  if (!baseURL || !model) {
+    throw new Error('LOCAL_VISION_BASE_URL and LOCAL_VISION_MODEL must be configured');
+  }
+
+  // Retries are handled by the extraction service so they share one rate budget
+  const client = new OpenAI({
+    maxRetries: 0,
+    baseURL,
+    // Most local servers ignore the key, but the SDK requires one
+    apiKey: process.env.LOCAL_VISION_API_KEY || 'not-needed'
+  });
+
+  return createChatCompletionProvider({
+    name: 'local',
+    client,
+    model,
+    // Not every local server implements response_format
+    supportsJsonMode: process.env.LOCAL_VISION_JSON_MODE === 'true',
+    supportsLogprobs: process.env.LOCAL_VISION_LOGPROBS === 'true'
+  });
+}
+
+module.exports = {
+  createLocalProvider
+};
@@ -0,0 +1,102 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { ensureDirectory } = require('../../utils/helpers');
+
+const DEFAULT_RESPONSES_DIR = path.join(__dirname, '../../../data/mock-responses');
+
+/**
+ * Compute a stable key for a request from its instruction text, page images
+ * and any follow-up turns
+ * Used to name recorded responses so the mock can replay them deterministically
+ */
+function getRequestKey({ text, images, history }) {
+  const hash = crypto.createHash('sha256');
+  hash.update(text || '');
+  for (const img of images || []) {
+    hash.update(img.base64);
+  }
+  for (const turn of history || []) {
+    hash.update(turn.content);
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+/**
+ * Deterministic provider that replays recorded responses from disk
+ * Looks for `<requestKey>.json`, falling back to `default.json`. A file may hold
+ * a recording ({ content: "..." }) or a bare form structure object.
+ * @param {Object} [options]
+ * @param {string} [options.responsesDir]
+ */
+function createMockProvider(options = {}) {
+  const responsesDir = options.responsesDir || process.env.MOCK_RESPONSES_DIR || DEFAULT_RESPONSES_DIR;
+
+  async function readResponse(fileName) {
+    try {
+      const raw = await fs.readFile(path.join(responsesDir, fileName), 'utf8');
+      const recorded = JSON.parse(raw);
+      return typeof recorded.content === 'string' ? recorded.content : JSON.stringify(recorded);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function analyzeImages(request) {
+    const key = getRequestKey(request);
+    const content = await readResponse(`${key}.json`) ?? await readResponse('default.json');
+
+    if (content === null) {
+      throw new Error(`No recorded mock response for request ${key} in ${responsesDir}`);
+    }
+
+    return { content, model: 'mock', usage: null, truncated: false, tokenLogprobs: null };
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    supportsJsonMode: false,
+    supportsLogprobs: false,
+    analyzeImages
+  };
+}
+
+/**
+ * Wrap a provider so every response is written to disk for later replay by the mock
+ * @param {Object} provider - Provider to wrap
+ * @param {string} recordDir - Directory to write recordings into
+ */
+function withRecording(provider, recordDir) {
+  async function analyzeImages(request) {
+    const result = await provider.analyzeImages(request);
+    const key = getRequestKey(request);
+
+    await ensureDirectory(recordDir);
+    await fs.writeFile(
+      path.join(recordDir, `${key}.json`),
+      JSON.stringify({
+        key,
+        provider: provider.name,
+        model: result.model,
+        text: request.text,
+        pages: request.images.length,
+        content: result.content
+      }, null, 2)
+    );
+
+    return result;
+  }
+
+  return {
+    ...provider,
+    analyzeImages
+  };
+}
+
+module.exports = {
+  createMockProvider,
+  withRecording,
+  getRequestKey
+};
@@ -0,0 +1,29 @@
+const OpenAI = require('openai');
+const { createChatCompletionProvider } = require('./chatCompletionProvider');
+
+/**
+ * OpenAI provider (api.openai.com)
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model override (e.g. a fine-tuned model ID)
+ */
+function createOpenAIProvider(options = {}) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not configured');
+  }
+
+  // Retries are handled by the extraction service so they share one rate budget
+  const client = new OpenAI({
+    maxRetries: 0,
+    apiKey: process.env.OPENAI_API_KEY
+  });
+
+  return createChatCompletionProvider({
+    name: 'openai',
+    client,
+    model: options.model || process.env.VISION_MODEL || 'gpt-4o'
+  });
+}
+
+module.exports = {
+  createOpenAIProvider
+};
@@ -0,0 +1,107 @@
+/**
+ * Process-wide request and token budget for vision model calls
+ * Every batch from every upload draws from the same buckets, so parallel uploads
+ * queue behind each other instead of all hitting the provider's rate limit at once.
+ */
+
+const REQUESTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_RPM) || 500;
+
+// Token budget, off unless set: match it to the account's tokens-per-minute limit
+const TOKENS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_TPM) || 0;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a token-bucket rate limiter
+ * @param {Object} options
+ * @param {number} options.requestsPerMinute
+ * @param {number} [options.tokensPerMinute] - 0 or omitted for no token budget
+ */
+function createRateLimiter({ requestsPerMinute, tokensPerMinute = 0 }) {
+  const limitTokens = tokensPerMinute > 0;
+
+  let requests = requestsPerMinute;
+  let tokens = tokensPerMinute;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+
+  // Callers are served in arrival order
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    const elapsed = now - lastRefill;
+    lastRefill = now;
+    requests = Math.min(requestsPerMinute, requests + (elapsed * requestsPerMinute) / 60000);
+    if (limitTokens) tokens = Math.min(tokensPerMinute, tokens + (elapsed * tokensPerMinute) / 60000);
+  }
+
+  async function waitForCapacity(estimatedTokens) {
+    // A request larger than the whole budget waits for a full bucket
+    const needed = limitTokens ? Math.min(estimatedTokens, tokensPerMinute) : 0;
+    const startedAt = Date.now();
+
+    while (true) {
+      refill();
+      const now = Date.now();
+
+      if (pausedUntil > now) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+
+      if (requests >= 1 && tokens >= needed) {
+        requests -= 1;
+        if (limitTokens) tokens -= estimatedTokens;
+        return Date.now() - startedAt;
+      }
+
+      const requestWait = requests >= 1 ? 0 : ((1 - requests) * 60000) / requestsPerMinute;
+      const tokenWait = tokens >= needed ? 0 : ((needed - tokens) * 60000) / tokensPerMinute;
+      await sleep(Math.max(requestWait, tokenWait, 10));
+    }
+  }
+
+  /**
+   * Wait until a request of the estimated size fits the budget
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  function acquire(estimatedTokens) {
+    const turn = queue.then(() => waitForCapacity(estimatedTokens));
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Refund what a request reserved but did not use (mostly unused completion tokens)
+   */
+  function settle(estimatedTokens, actualTokens) {
+    if (!limitTokens || typeof actualTokens !== 'number') return;
+    tokens = Math.min(tokensPerMinute, tokens + estimatedTokens - actualTokens);
+  }
+
+  /**
+   * Stop all callers until the provider's rate-limit window has passed
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+
+  return {
+    acquire,
+    settle,
+    pause
+  };
+}
+
+// Shared limiter for all vision model calls in this process
+const visionRateLimiter = createRateLimiter({
+  requestsPerMinute: REQUESTS_PER_MINUTE,
+  tokensPerMinute: TOKENS_PER_MINUTE
+});
+
+module.exports = {
+  createRateLimiter,
+  visionRateLimiter,
+  sleep
+};
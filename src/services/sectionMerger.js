@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { normalizeText } = require('../utils/textSimilarity');
+
+/**
+ * Merges per-batch extraction results into a single form structure
+ * Sections that continue across a batch boundary are joined and duplicate fields
+ * from overlapping context are dropped. IDs stay stable: an ID is only replaced when
+ * another section or field already has it, and then by one derived from its content.
+ */
+
+// Number of fields at a batch edge compared when looking for duplicates
+const DUPLICATE_WINDOW = 5;
+
+const CONTINUED_PATTERN = /\(?\b(continued|cont'd|contd|cont\.)\)?/i;
+const PLACEHOLDER_TITLE_PATTERN = /^section \d+$/i;
+const SERIAL_NUMBER_PATTERN = /^\s*(?:[ivxlc]+|[a-z]|\d+)[.)]\s+/i;
+
+/**
+ * Strip serial numbers and "continued" markers from a section title
+ */
+function baseTitle(title) {
+  return normalizeText(
+    String(title || '')
+      .replace(SERIAL_NUMBER_PATTERN, '')
+      .replace(CONTINUED_PATTERN, '')
+  );
+}
+
+/**
+ * Whether a title is empty or the "Section N" placeholder added by normalization
+ */
+function isEmptyTitle(title) {
+  return !title || !String(title).trim() || PLACEHOLDER_TITLE_PATTERN.test(String(title).trim());
+}
+
+/**
+ * Decide whether the first section of a batch continues the previous section
+ * @returns {string|null} Merge reason, or null when the sections are distinct
+ */
+function getContinuationReason(previous, next) {
+  if (isEmptyTitle(next.title)) {
+    return 'empty title';
+  }
+
+  const isContinuedHeader = CONTINUED_PATTERN.test(next.title);
+  const nextBase = baseTitle(next.title);
+
+  if (isContinuedHeader && (!nextBase || nextBase === baseTitle(previous.title))) {
+    return 'continued header';
+  }
+
+  if (nextBase && nextBase === baseTitle(previous.title)) {
+    return 'matching title';
+  }
+
+  return null;
+}
+
+/**
+ * Key used to detect the same field extracted twice
+ */
+function fieldKey(field) {
+  return [
+    field.component,
+    normalizeText(field.label),
+    (field.options || []).map(normalizeText).join('|'),
+    (field.columns || []).map(normalizeText).join('|')
+  ].join('::');
+}
+
+/**
+ * ID derived from what a section or field says and where it is, so the same document
+ * gets the same IDs on every run
+ */
+function deriveId(prefix, parts) {
+  const key = parts.map(part => normalizeText(String(part ?? ''))).join('|');
+  return `${prefix}_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * IDs unique within a document for its sections and their fields
+ * The ID a section or field already has is kept unless an earlier one has it too; the
+ * rest are derived from the section title, page and label, numbered when those repeat.
+ * @returns {{sectionIds: Array<string>, fieldIds: Map<Object, string>}} Field IDs keyed by field
+ */
+function assignIds(sections) {
+  const claim = (used, id, derivedId) => {
+    let assigned = typeof id === 'string' && id && !used.has(id) ? id : derivedId;
+    for (let n = 2; used.has(assigned); n++) assigned = `${derivedId}_${n}`;
+    used.add(assigned);
+    return assigned;
+  };
+
+  const usedSectionIds = new Set();
+  const usedFieldIds = new Set();
+  const fieldIds = new Map();
+
+  const sectionIds = sections.map(section => {
+    for (const field of section.fields || []) {
+      fieldIds.set(field, claim(usedFieldIds, field.id, deriveId('field', [section.title, field.page, field.label])));
+    }
+    return claim(usedSectionIds, section.id, deriveId('section', [section.title, section.page]));
+  });
+
+  return { sectionIds, fieldIds };
+}
+
+/**
+ * Merge batch results into one form structure
+ * @param {Array<Object>} results - Normalized form structures, in page order
+ * @returns {{formTitle: string, sections: Array, merges: Array}}
+ */
+function mergeBatchResults(results) {
+  const titled = results.find(r => r.formTitle && r.formTitle !== 'Untitled Form');
+  const formTitle = titled ? titled.formTitle : 'Untitled Form';
+
+  const sections = [];
+  const merges = [];
+
+  // Conditions refer to field IDs from their own batch
+  const batchFieldsById = results.map(result =>
+    new Map((result.sections || []).flatMap(section => (section.fields || []).map(field => [field.id, field])))
+  );
+  const batchOfField = new Map();
+
+  results.forEach((result, batchIndex) => {
+    (result.sections || []).forEach((section, sectionIndex) => {
+      (section.fields || []).forEach(field => batchOfField.set(field, batchIndex));
+
+      const previous = sections[sections.length - 1];
+      const reason = batchIndex > 0 && sectionIndex === 0 && previous
+        ? getContinuationReason(previous, section)
+        : null;
+
+      if (!reason) {
+        sections.push({ ...section, fields: [...(section.fields || [])] });
+        return;
+      }
+
+      // Drop fields repeated from the overlapping context at the batch edge
+      const edgeKeys = new Set(previous.fields.slice(-DUPLICATE_WINDOW).map(fieldKey));
+      const incoming = section.fields || [];
+      const kept = incoming.filter((field, idx) => idx >= DUPLICATE_WINDOW || !edgeKeys.has(fieldKey(field)));
+
+      previous.fields.push(...kept);
+
+      merges.push({
+        sectionIndex: sections.length - 1,
+        section: previous.title,
+        mergedTitle: section.title,
+        batch: batchIndex + 1,
+        reason,
+        fieldsMerged: kept.length,
+        duplicatesRemoved: incoming.length - kept.length,
+        pages: [previous.page, section.page].filter(page => page != null)
+      });
+    });
+  });
+
+  // Batches number their fields independently, so IDs repeated across batches are replaced
+  const { sectionIds, fieldIds: assignedIds } = assignIds(sections);
+
+  const orderedSections = sections.map((section, idx) => ({
+    ...section,
+    id: sectionIds[idx],
+    order: idx + 1,
+    fields: section.fields.map((field, fieldIdx) => {
+      const { visibleWhen, ...rest } = field;
+      const ordered = {
+        ...rest,
+        id: assignedIds.get(field),
+        order: fieldIdx + 1
+      };
+
+      // Follow the condition to its field's new ID; it lapses if that field was a dropped duplicate
+      const target = visibleWhen && batchFieldsById[batchOfField.get(field)].get(visibleWhen.field);
+      if (target && assignedIds.has(target)) {
+        ordered.visibleWhen = { ...visibleWhen, field: assignedIds.get(target) };
+      }
+      return ordered;
+    })
+  }));
+
+  return {
+    formTitle,
+    sections: orderedSections,
+    merges: merges.map(({ sectionIndex, ...merge }) => ({
+      sectionId: orderedSections[sectionIndex].id,
+      ...merge
+    }))
+  };
+}
+
+module.exports = {
+  mergeBatchResults,
+  getContinuationReason,
+  assignIds
+};
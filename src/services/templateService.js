@@ -0,0 +1,451 @@
+const sharp = require('sharp');
+const { db } = require('./database');
+const trainingService = require('./trainingService');
+const { DEFAULT_TENANT } = require('./authService');
+const { normalizeText } = require('../utils/textSimilarity');
+const { generateId } = require('../utils/helpers');
+
+/**
+ * Library of known form templates
+ * Every verified training form becomes a template: its fingerprint (a coarse ink map of each
+ * page image plus the words of its verified labels) and its verified structure. An upload whose
+ * pages look like a template and whose text layer carries the template's words is answered with
+ * that structure instead of being extracted again. Page images alone never decide a match:
+ * different forms with the same line density produce near-identical ink maps. Uploads
+ * without a text layer (scans, photos) must look alike more closely still, and the title the
+ * model reads from their first page must be the template's. Templates sharing a form title
+ * but not a fingerprint are versions (editions) of the same form. Templates belong to the
+ * tenant whose form they were built from and only match that tenant's uploads.
+ */
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS form_templates (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    form_id TEXT NOT NULL UNIQUE,
+    page_count INTEGER NOT NULL,
+    page_hashes TEXT NOT NULL,
+    text_tokens TEXT,
+    structure TEXT NOT NULL,
+    match_count INTEGER DEFAULT 0,
+    last_matched_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_templates_page_count ON form_templates(page_count);
+  CREATE INDEX IF NOT EXISTS idx_templates_name ON form_templates(name);
+`);
+
+// Columns added after the table was first created
+const templateColumns = db.prepare('PRAGMA table_info(form_templates)').all().map(column => column.name);
+if (!templateColumns.includes('tenant_id')) {
+  db.exec(`ALTER TABLE form_templates ADD COLUMN tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`);
+}
+
+// Use a matching template's structure instead of extracting (set false to disable)
+const TEMPLATE_MATCHING_ENABLED = process.env.TEMPLATE_MATCHING !== 'false';
+
+// Lowest fingerprint similarity (0-1) at which an upload is the template
+const MATCH_THRESHOLD = parseFloat(process.env.TEMPLATE_MATCH_THRESHOLD) || 0.85;
+
+// Lowest share (0-1) of the template's words that the upload's text layer must contain
+const TEXT_MATCH_THRESHOLD = parseFloat(process.env.TEMPLATE_TEXT_MATCH_THRESHOLD) || 0.8;
+
+// Lowest fingerprint similarity (0-1) at which an upload without a text layer is the template
+const SCAN_MATCH_THRESHOLD = parseFloat(process.env.TEMPLATE_SCAN_MATCH_THRESHOLD) || 0.92;
+
+// Ink map grid: each page is reduced to GRID_WIDTH x GRID_HEIGHT cells, dark or blank
+const GRID_WIDTH = 96;
+const GRID_HEIGHT = 128;
+
+// Grey level below which a cell holds ink
+const INK_LEVEL = 200;
+
+// Cells of slack when looking for matching ink, for scans that are shifted or skewed a little
+const INK_TOLERANCE = 1;
+
+// Words shorter than this say little about which form it is
+const MIN_TOKEN_LENGTH = 3;
+
+/**
+ * Ink map of a page image as hex, one bit per grid cell
+ */
+async function hashPage(image) {
+  const { data } = await sharp(Buffer.from(image.base64, 'base64'))
+    .greyscale()
+    .resize(GRID_WIDTH, GRID_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let hex = '';
+  for (let i = 0; i < data.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      if (data[i + bit] < INK_LEVEL) nibble |= 8 >> bit;
+    }
+    hex += nibble.toString(16);
+  }
+  return hex;
+}
+
+function toCells(hash) {
+  const cells = new Uint8Array(hash.length * 4);
+  for (let i = 0; i < hash.length; i++) {
+    const nibble = parseInt(hash[i], 16);
+    for (let bit = 0; bit < 4; bit++) {
+      cells[i * 4 + bit] = (nibble & (8 >> bit)) ? 1 : 0;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Share of the ink in one map that has ink nearby in the other
+ */
+function inkCoverage(from, to) {
+  let inked = 0;
+  let covered = 0;
+
+  for (let y = 0; y < GRID_HEIGHT; y++) {
+    for (let x = 0; x < GRID_WIDTH; x++) {
+      if (!from[y * GRID_WIDTH + x]) continue;
+      inked++;
+
+      let found = false;
+      for (let dy = -INK_TOLERANCE; dy <= INK_TOLERANCE && !found; dy++) {
+        for (let dx = -INK_TOLERANCE; dx <= INK_TOLERANCE && !found; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          found = nx >= 0 && ny >= 0 && nx < GRID_WIDTH && ny < GRID_HEIGHT && to[ny * GRID_WIDTH + nx] === 1;
+        }
+      }
+      if (found) covered++;
+    }
+  }
+
+  return inked === 0 ? null : covered / inked;
+}
+
+/**
+ * Similarity of a template page to an uploaded page, from 0 to 1
+ * What is printed on the template must be on the upload; ink the upload adds (entered
+ * answers, stamps) costs less than template ink that is missing.
+ */
+function compareHashes(templateHash, uploadHash) {
+  if (!templateHash || !uploadHash || templateHash.length !== uploadHash.length) return 0;
+
+  const template = toCells(templateHash);
+  const upload = toCells(uploadHash);
+  const recall = inkCoverage(template, upload);
+  const precision = inkCoverage(upload, template);
+
+  // Two blank pages are the same page
+  if (recall === null && precision === null) return 1;
+  if (recall === null || precision === null) return 0;
+  return (2 * recall + precision) / 3;
+}
+
+/**
+ * Distinct words of a text, lowercased
+ */
+function toTokens(texts) {
+  const tokens = new Set();
+  for (const text of texts) {
+    for (const word of normalizeText(text).split(' ')) {
+      if (word.length >= MIN_TOKEN_LENGTH && !/^\d+$/.test(word)) tokens.add(word);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Words printed on a form, taken from its verified title, section titles, labels and options
+ */
+function structureTokens(structure) {
+  const texts = [structure.formTitle];
+  for (const section of structure.sections || []) {
+    texts.push(section.title);
+    for (const field of section.fields || []) {
+      texts.push(field.label, ...(field.options || []), ...(field.columns || []));
+    }
+  }
+  return [...toTokens(texts.filter(Boolean))].sort();
+}
+
+/**
+ * How closely an upload matches a template
+ * Page hashes are always compared; when the upload has a PDF text layer, the share of the
+ * template's words found in it counts equally.
+ * @returns {{score: number, imageScore: number, textScore: number|null}} textScore is null
+ *   without text to compare
+ */
+function scoreTemplate(template, pageHashes, uploadTokens) {
+  const imageScore = template.pageHashes.reduce((sum, hash, i) => sum + compareHashes(hash, pageHashes[i]), 0)
+    / template.pageHashes.length;
+
+  let textScore = null;
+  if (uploadTokens && template.textTokens.length > 0) {
+    textScore = template.textTokens.filter(token => uploadTokens.has(token)).length / template.textTokens.length;
+  }
+
+  const score = textScore === null ? imageScore : (imageScore + textScore) / 2;
+  const round = value => Math.round(value * 1000) / 1000;
+  return { score: round(score), imageScore: round(imageScore), textScore: textScore === null ? null : round(textScore) };
+}
+
+/**
+ * Whether a score is a match: the pages look alike and the text agrees
+ * Without a text score there is no match, however alike the pages look.
+ */
+function isMatch({ score, imageScore, textScore }) {
+  return textScore !== null
+    && textScore >= TEXT_MATCH_THRESHOLD
+    && imageScore >= MATCH_THRESHOLD
+    && score >= MATCH_THRESHOLD;
+}
+
+/**
+ * How closely a title read from a scan agrees with a template's verified title, from 0 to 1
+ * Words missing from either side count, so a shared prefix or suffix is not enough.
+ */
+function scoreTitle(template, title) {
+  const templateTokens = toTokens([template.structure.formTitle || template.name]);
+  const titleTokens = toTokens([title || '']);
+  if (templateTokens.size === 0 || titleTokens.size === 0) return 0;
+
+  const shared = [...templateTokens].filter(token => titleTokens.has(token)).length;
+  return Math.round((2 * shared / (templateTokens.size + titleTokens.size)) * 1000) / 1000;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    version: row.version,
+    tenantId: row.tenant_id,
+    formId: row.form_id,
+    pageCount: row.page_count,
+    pageHashes: JSON.parse(row.page_hashes),
+    textTokens: row.text_tokens ? JSON.parse(row.text_tokens) : [],
+    structure: JSON.parse(row.structure),
+    matchCount: row.match_count,
+    lastMatchedAt: row.last_matched_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Template without its fingerprint, as returned by the API
+ */
+function describeTemplate(template) {
+  const { pageHashes, textTokens, structure, ...summary } = template;
+  return summary;
+}
+
+/**
+ * A tenant's templates, by name and version
+ */
+function listTemplates(tenantId) {
+  return db.prepare('SELECT * FROM form_templates WHERE tenant_id = ? ORDER BY name, version').all(tenantId)
+    .map(row => describeTemplate(fromRow(row)));
+}
+
+/**
+ * A tenant's template with its verified structure, or null
+ */
+function getTemplate(templateId, tenantId) {
+  const row = db.prepare('SELECT * FROM form_templates WHERE id = ? AND tenant_id = ?').get(templateId, tenantId);
+  if (!row) return null;
+  const template = fromRow(row);
+  return { ...describeTemplate(template), structure: template.structure };
+}
+
+/**
+ * Drop a tenant's cached extractions once its library changes, so uploads of a form that
+ * gained, changed or lost its template are matched again instead of served from the cache
+ */
+function purgeCachedExtractions(tenantId) {
+  // Loaded here: the cache service loads the extraction service, which loads this one
+  require('./cacheService').purge({ tenantId });
+}
+
+/**
+ * Delete a template
+ * @returns {boolean} Whether it existed
+ */
+function deleteTemplate(templateId, tenantId) {
+  const deleted = db.prepare('DELETE FROM form_templates WHERE id = ? AND tenant_id = ?').run(templateId, tenantId).changes > 0;
+  if (deleted) purgeCachedExtractions(tenantId);
+  return deleted;
+}
+
+/**
+ * Drop the template built from a training form (when it is deleted or no longer verified)
+ */
+function removeForm(formId) {
+  const template = db.prepare('SELECT tenant_id FROM form_templates WHERE form_id = ?').get(formId);
+  if (!template) return false;
+
+  db.prepare('DELETE FROM form_templates WHERE form_id = ?').run(formId);
+  purgeCachedExtractions(template.tenant_id);
+  return true;
+}
+
+/**
+ * Add or refresh the template for a verified training form
+ * A form that matches an existing version of the same name takes that version over,
+ * since it carries the latest verified structure; otherwise it starts a new version.
+ * @returns {Promise<Object|null>} The template, or null when the form is not verified
+ */
+async function registerForm(formId, tenantId) {
+  const form = trainingService.getFormById(formId, tenantId);
+  if (!form || !form.isVerified || !form.correctedExtraction || form.images.length === 0) {
+    removeForm(formId);
+    return null;
+  }
+
+  const structure = form.correctedExtraction;
+  const name = structure.formTitle && structure.formTitle !== 'Untitled Form' ? structure.formTitle : form.filename;
+  const pageHashes = [];
+  for (const image of form.images) {
+    pageHashes.push(await hashPage(image));
+  }
+  const textTokens = structureTokens(structure);
+
+  const existing = db.prepare('SELECT * FROM form_templates WHERE form_id = ?').get(formId);
+  let target = existing ? fromRow(existing) : null;
+
+  if (!target) {
+    const sameName = db.prepare('SELECT * FROM form_templates WHERE tenant_id = ? AND name = ? AND page_count = ?')
+      .all(tenantId, name, pageHashes.length).map(fromRow);
+    target = sameName
+      .map(template => ({ template, ...scoreTemplate(template, pageHashes, new Set(textTokens)) }))
+      .filter(isMatch)
+      .sort((a, b) => b.score - a.score)[0]?.template || null;
+  }
+
+  if (target) {
+    db.prepare(`
+      UPDATE form_templates
+      SET name = ?, form_id = ?, page_count = ?, page_hashes = ?, text_tokens = ?, structure = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(name, formId, pageHashes.length, JSON.stringify(pageHashes), JSON.stringify(textTokens), JSON.stringify(structure), target.id);
+    purgeCachedExtractions(tenantId);
+    return getTemplate(target.id, tenantId);
+  }
+
+  const { version } = db.prepare('SELECT COALESCE(MAX(version), 0) + 1 as version FROM form_templates WHERE tenant_id = ? AND name = ?')
+    .get(tenantId, name);
+  const templateId = generateId('tpl');
+  db.prepare(`
+    INSERT INTO form_templates (id, tenant_id, name, version, form_id, page_count, page_hashes, text_tokens, structure)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(templateId, tenantId, name, version, formId, pageHashes.length, JSON.stringify(pageHashes), JSON.stringify(textTokens), JSON.stringify(structure));
+  purgeCachedExtractions(tenantId);
+
+  return getTemplate(templateId, tenantId);
+}
+
+/**
+ * Rebuild a tenant's library from its verified training forms
+ * @returns {Promise<number>} Templates in the tenant's library
+ */
+async function rebuildTemplates(tenantId) {
+  db.prepare('DELETE FROM form_templates WHERE tenant_id = ?').run(tenantId);
+  purgeCachedExtractions(tenantId);
+
+  for (const form of trainingService.getVerifiedForms(tenantId)) {
+    try {
+      await registerForm(form.id, tenantId);
+    } catch (error) {
+      console.error(`Could not build template from training form ${form.id}:`, error.message);
+    }
+  }
+
+  return db.prepare('SELECT COUNT(*) as count FROM form_templates WHERE tenant_id = ?').get(tenantId).count;
+}
+
+/**
+ * Templates an upload without a text layer may be: only pages that look alike to the
+ * stricter scan threshold, and then only when the title read from the upload agrees
+ * @param {Function} readTitle - Resolves to the upload's title; only called when a page matches
+ */
+async function matchScan(templates, pageHashes, readTitle) {
+  const alike = templates
+    .map(template => ({ template, ...scoreTemplate(template, pageHashes, null) }))
+    .filter(candidate => candidate.imageScore >= SCAN_MATCH_THRESHOLD);
+  if (alike.length === 0) return [];
+
+  const title = await readTitle();
+  return alike
+    .map(candidate => ({ ...candidate, titleScore: scoreTitle(candidate.template, title) }))
+    .filter(candidate => candidate.titleScore >= TEXT_MATCH_THRESHOLD);
+}
+
+/**
+ * Find the tenant's known template an upload is an instance of
+ * @param {Array<{base64: string}>} images - Page images, in order
+ * @param {Object} [textLayer] - PDF text layer from extractTextLayer
+ * @param {string} tenantId - Only this tenant's templates are considered
+ * @param {Object} [options]
+ * @param {Function} [options.readTitle] - Resolves to the form title read from the page images,
+ *   for uploads without a text layer; without it such uploads are never matched
+ * @returns {Promise<{template: Object, structure: Object, score: number, imageScore: number, textScore: number|null, titleScore: number|null}|null>}
+ *   null when matching is disabled, the upload has nothing to compare or no template is close enough
+ */
+async function matchTemplate(images, textLayer, tenantId, { readTitle } = {}) {
+  if (!TEMPLATE_MATCHING_ENABLED || !images || images.length === 0) return null;
+
+  const uploadTokens = textLayer
+    ? toTokens(textLayer.pages.flatMap(page => page.lines.map(line => line.text)))
+    : null;
+  const hasText = uploadTokens !== null && uploadTokens.size > 0;
+  if (!hasText && !readTitle) return null;
+
+  const templates = db.prepare('SELECT * FROM form_templates WHERE tenant_id = ? AND page_count = ?')
+    .all(tenantId, images.length).map(fromRow);
+  if (templates.length === 0) return null;
+
+  const pageHashes = [];
+  for (const image of images) {
+    pageHashes.push(await hashPage(image));
+  }
+
+  const matches = hasText
+    ? templates.map(template => ({ template, ...scoreTemplate(template, pageHashes, uploadTokens), titleScore: null })).filter(isMatch)
+    : await matchScan(templates, pageHashes, readTitle);
+  const best = matches.sort((a, b) => b.score - a.score)[0];
+
+  if (!best) return null;
+
+  db.prepare(`
+    UPDATE form_templates SET match_count = match_count + 1, last_matched_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(best.template.id);
+
+  return {
+    template: describeTemplate(best.template),
+    structure: best.template.structure,
+    score: best.score,
+    imageScore: best.imageScore,
+    textScore: best.textScore,
+    titleScore: best.titleScore
+  };
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  deleteTemplate,
+  registerForm,
+  removeForm,
+  rebuildTemplates,
+  matchTemplate,
+  hashPage,
+  compareHashes,
+  MATCH_THRESHOLD,
+  TEXT_MATCH_THRESHOLD,
+  SCAN_MATCH_THRESHOLD
+};
@@ -1,20 +1,7 @@
-const Database = require('better-sqlite3');
-const path = require('path');
-const fs = require('fs');
+const { db } = require('./database');
+const { DEFAULT_TENANT } = require('./authService');
 const { generateId } = require('../utils/helpers');
 
-// Database file path
-const DB_PATH = process.env.TRAINING_DB_PATH || path.join(__dirname, '../../data/training.db');
-
-// Ensure data directory exists
-const dataDir = path.dirname(DB_PATH);
-if (!fs.existsSync(dataDir)) {
-  fs.mkdirSync(dataDir, { recursive: true });
-}
-
-// Initialize database
-const db = new Database(DB_PATH);
-
 // Create tables
 db.exec(`
   CREATE TABLE IF NOT EXISTS training_forms (
@@ -46,19 +33,44 @@ db.exec(`
     FOREIGN KEY (form_id) REFERENCES training_forms(id) ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS fine_tune_jobs (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL,
+    file_id TEXT,
+    model TEXT,
+    training_examples INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
   CREATE INDEX IF NOT EXISTS idx_forms_status ON training_forms(status);
   CREATE INDEX IF NOT EXISTS idx_images_form ON training_images(form_id);
+  CREATE INDEX IF NOT EXISTS idx_fine_tune_tenant ON fine_tune_jobs(tenant_id);
 `);
 
+// Columns added after the table was first created; forms from before tenants belong to the default tenant
+const formColumns = db.prepare('PRAGMA table_info(training_forms)').all().map(column => column.name);
+if (!formColumns.includes('tenant_id')) {
+  db.exec(`ALTER TABLE training_forms ADD COLUMN tenant_id TEXT NOT NULL DEFAULT '${DEFAULT_TENANT}'`);
+}
+db.exec('CREATE INDEX IF NOT EXISTS idx_forms_tenant ON training_forms(tenant_id)');
+if (!formColumns.includes('acro_form')) {
+  db.exec('ALTER TABLE training_forms ADD COLUMN acro_form TEXT');
+}
+if (!formColumns.includes('text_layer')) {
+  db.exec('ALTER TABLE training_forms ADD COLUMN text_layer TEXT');
+}
+
 /**
- * Create a new training form entry
+ * Create a new training form entry owned by a tenant
+ * @param {Object} [extractionInput] - {acroForm, textLayer} read from uploaded PDFs, kept so the
+ *   form can be re-extracted (e.g. by evaluation) the same way as a live upload
  */
-function createForm(filename, images, aiExtraction) {
+function createForm(filename, images, aiExtraction, tenantId, { acroForm, textLayer } = {}) {
   const formId = generateId('form');
 
   const insertForm = db.prepare(`
-    INSERT INTO training_forms (id, filename, status)
-    VALUES (?, ?, 'pending')
+    INSERT INTO training_forms (id, filename, status, tenant_id, acro_form, text_layer)
+    VALUES (?, ?, 'pending', ?, ?, ?)
   `);
 
   const insertImage = db.prepare(`
@@ -72,7 +84,7 @@ function createForm(filename, images, aiExtraction) {
   `);
 
   const transaction = db.transaction(() => {
-    insertForm.run(formId, filename);
+    insertForm.run(formId, filename, tenantId, acroForm ? JSON.stringify(acroForm) : null, textLayer ? JSON.stringify(textLayer) : null);
 
     images.forEach((img, index) => {
       insertImage.run(
@@ -96,9 +108,9 @@ function createForm(filename, images, aiExtraction) {
 }
 
 /**
- * Get all training forms with their status
+ * Get a tenant's training forms with their status
  */
-function getAllForms() {
+function getAllForms(tenantId) {
   const stmt = db.prepare(`
     SELECT
       f.id,
@@ -110,19 +122,21 @@ function getAllForms() {
       (SELECT COUNT(*) FROM training_images WHERE form_id = f.id) as page_count
     FROM training_forms f
     LEFT JOIN training_extractions e ON e.form_id = f.id
+    WHERE f.tenant_id = ?
     ORDER BY f.created_at DESC
   `);
-  return stmt.all();
+  return stmt.all(tenantId);
 }
 
 /**
  * Get a single form with images and extraction
+ * @returns {Object|null} null when the form does not exist or belongs to another tenant
  */
-function getFormById(formId) {
+function getFormById(formId, tenantId) {
   const formStmt = db.prepare(`
-    SELECT * FROM training_forms WHERE id = ?
+    SELECT * FROM training_forms WHERE id = ? AND tenant_id = ?
   `);
-  const form = formStmt.get(formId);
+  const form = formStmt.get(formId, tenantId);
 
   if (!form) return null;
 
@@ -136,8 +150,12 @@ function getFormById(formId) {
   `);
   const extraction = extractionStmt.get(formId);
 
+  const { acro_form: acroForm, text_layer: textLayer, ...row } = form;
+
   return {
-    ...form,
+    ...row,
+    acroForm: acroForm ? JSON.parse(acroForm) : null,
+    textLayer: textLayer ? JSON.parse(textLayer) : null,
     images: images.map(img => ({
       id: img.id,
       page: img.page_number,
@@ -153,22 +171,22 @@ function getFormById(formId) {
 /**
  * Update the corrected extraction for a form
  */
-function updateExtraction(formId, correctedExtraction, isVerified = false) {
+function updateExtraction(formId, tenantId, correctedExtraction, isVerified = false) {
   const stmt = db.prepare(`
     UPDATE training_extractions
     SET corrected_extraction = ?, is_verified = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE form_id = ?
+    WHERE form_id = (SELECT id FROM training_forms WHERE id = ? AND tenant_id = ?)
   `);
 
   const updateForm = db.prepare(`
     UPDATE training_forms
     SET status = ?, updated_at = CURRENT_TIMESTAMP
-    WHERE id = ?
+    WHERE id = ? AND tenant_id = ?
   `);
 
   const transaction = db.transaction(() => {
-    stmt.run(JSON.stringify(correctedExtraction), isVerified ? 1 : 0, formId);
-    updateForm.run(isVerified ? 'verified' : 'in_progress', formId);
+    stmt.run(JSON.stringify(correctedExtraction), isVerified ? 1 : 0, formId, tenantId);
+    updateForm.run(isVerified ? 'verified' : 'in_progress', formId, tenantId);
   });
 
   transaction();
@@ -177,15 +195,15 @@ function updateExtraction(formId, correctedExtraction, isVerified = false) {
 /**
  * Delete a training form
  */
-function deleteForm(formId) {
-  const stmt = db.prepare('DELETE FROM training_forms WHERE id = ?');
-  stmt.run(formId);
+function deleteForm(formId, tenantId) {
+  const stmt = db.prepare('DELETE FROM training_forms WHERE id = ? AND tenant_id = ?');
+  stmt.run(formId, tenantId);
 }
 
 /**
- * Get all verified forms for export
+ * Get a tenant's verified forms for export
  */
-function getVerifiedForms() {
+function getVerifiedForms(tenantId) {
   const stmt = db.prepare(`
     SELECT
       f.id,
@@ -193,16 +211,16 @@ function getVerifiedForms() {
       e.corrected_extraction
     FROM training_forms f
     JOIN training_extractions e ON e.form_id = f.id
-    WHERE e.is_verified = 1 AND e.corrected_extraction IS NOT NULL
+    WHERE f.tenant_id = ? AND e.is_verified = 1 AND e.corrected_extraction IS NOT NULL
   `);
-  return stmt.all();
+  return stmt.all(tenantId);
 }
 
 /**
- * Export training data in OpenAI fine-tuning format (JSONL)
+ * Export a tenant's training data in OpenAI fine-tuning format (JSONL)
  */
-function exportToJsonl(systemPrompt) {
-  const forms = getVerifiedForms();
+function exportToJsonl(systemPrompt, tenantId) {
+  const forms = getVerifiedForms(tenantId);
   const lines = [];
 
   for (const form of forms) {
@@ -248,9 +266,9 @@ function exportToJsonl(systemPrompt) {
 }
 
 /**
- * Get training statistics
+ * Get a tenant's training statistics
  */
-function getStats() {
+function getStats(tenantId) {
   const stats = db.prepare(`
     SELECT
       COUNT(*) as total,
@@ -258,11 +276,37 @@ function getStats() {
       SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
       SUM(CASE WHEN status = 'verified' THEN 1 ELSE 0 END) as verified
     FROM training_forms
-  `).get();
+    WHERE tenant_id = ?
+  `).get(tenantId);
 
   return stats;
 }
 
+/**
+ * Record a fine-tuning job started on a tenant's training data
+ */
+function recordFineTuneJob(jobId, tenantId, { fileId, model, trainingExamples }) {
+  db.prepare(`
+    INSERT INTO fine_tune_jobs (id, tenant_id, file_id, model, training_examples)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(jobId, tenantId, fileId, model, trainingExamples);
+}
+
+/**
+ * IDs of the fine-tuning jobs a tenant started, newest first
+ */
+function getFineTuneJobIds(tenantId, limit = 20) {
+  return db.prepare('SELECT id FROM fine_tune_jobs WHERE tenant_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+    .all(tenantId, limit).map(job => job.id);
+}
+
+/**
+ * Whether a fine-tuning job was started by a tenant
+ */
+function ownsFineTuneJob(jobId, tenantId) {
+  return Boolean(db.prepare('SELECT 1 FROM fine_tune_jobs WHERE id = ? AND tenant_id = ?').get(jobId, tenantId));
+}
+
 module.exports = {
   createForm,
   getAllForms,
@@ -271,5 +315,8 @@ module.exports = {
   deleteForm,
   getVerifiedForms,
   exportToJsonl,
-  getStats
+  getStats,
+  recordFineTuneJob,
+  getFineTuneJobIds,
+  ownsFineTuneJob
 };
@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+
+/**
+ * Detect a file's type from its contents
+ * Extensions are easy to get wrong (a PNG saved as .jpg, a fax with no extension),
+ * so uploads are converted based on what the bytes say they are.
+ */
+
+// Bytes read from each end of the file; a ZIP's central directory is at the end
+const SNIFF_LENGTH = 64 * 1024;
+
+// PDFs may have junk before the header; readers accept it within the first 1KB
+const PDF_HEADER_WINDOW = 1024;
+
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Read the start and end of a file
+ */
+async function readEnds(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, SNIFF_LENGTH));
+    await handle.read(head, 0, head.length, 0);
+
+    const tailLength = Math.min(Math.max(size - head.length, 0), SNIFF_LENGTH);
+    const tail = Buffer.alloc(tailLength);
+    if (tailLength > 0) {
+      await handle.read(tail, 0, tailLength, size - tailLength);
+    }
+
+    return { head, tail };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Detect the type of a file from its magic bytes
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string|null>} 'pdf', 'docx', 'doc', 'jpeg', 'png', 'tiff', 'webp' or 'heic';
+ *   null when the contents are not a supported type
+ */
+async function detectFileType(filePath) {
+  const { head, tail } = await readEnds(filePath);
+
+  if (head.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) return 'pdf';
+  if (startsWith(head, [0xFF, 0xD8, 0xFF])) return 'jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+  if (startsWith(head, [0x49, 0x49, 0x2A, 0x00]) || startsWith(head, [0x4D, 0x4D, 0x00, 0x2A])) return 'tiff';
+  if (startsWith(head, [0x52, 0x49, 0x46, 0x46]) && head.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+
+  // ISO base media file: size, then 'ftyp' and the major brand
+  if (head.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(head.toString('ascii', 8, 12))) {
+    return 'heic';
+  }
+
+  // OLE2 compound file, the container for legacy Word documents
+  if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'doc';
+
+  // A ZIP is a Word document when it has entries under word/
+  if (startsWith(head, [0x50, 0x4B, 0x03, 0x04]) && (head.includes('word/') || tail.includes('word/'))) {
+    return 'docx';
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectFileType
+};
@@ -21,7 +21,7 @@ function getFileExtension(filename) {
  * Check if file type is supported
  */
 function isSupportedFileType(filename) {
-  const supportedTypes = ['pdf', 'docx', 'doc', 'jpg', 'jpeg', 'png'];
+  const supportedTypes = ['pdf', 'docx', 'doc', 'jpg', 'jpeg', 'png', 'tif', 'tiff', 'webp', 'heic', 'heif'];
   const ext = getFileExtension(filename);
   return supportedTypes.includes(ext);
 }
@@ -36,7 +36,12 @@ function getMimeType(extension) {
     doc: 'application/msword',
     jpg: 'image/jpeg',
     jpeg: 'image/jpeg',
-    png: 'image/png'
+    png: 'image/png',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    webp: 'image/webp',
+    heic: 'image/heic',
+    heif: 'image/heif'
   };
   return mimeTypes[extension] || 'application/octet-stream';
 }
@@ -105,6 +110,25 @@ function extractJsonFromText(text) {
   return text;
 }
 
+/**
+ * Map over items with at most `limit` calls in flight, preserving result order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
 module.exports = {
   generateId,
   getFileExtension,
@@ -114,5 +138,6 @@ module.exports = {
   ensureDirectory,
   fileToBase64,
   safeJsonParse,
-  extractJsonFromText
+  extractJsonFromText,
+  mapWithConcurrency
 };
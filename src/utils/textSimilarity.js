@@ -0,0 +1,50 @@
+/**
+ * Normalize text for comparison (case, punctuation and whitespace insensitive)
+ */
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity between two strings from 0 (different) to 1 (identical after normalization)
+ */
+function textSimilarity(a, b) {
+  const left = normalizeText(a);
+  const right = normalizeText(b);
+
+  if (!left && !right) return 1;
+  if (!left || !right) return 0;
+
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+module.exports = {
+  normalizeText,
+  levenshtein,
+  textSimilarity
+};
@@ -0,0 +1,70 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const { mergeAcroFormFields } = require('../src/services/acroFormMerger');
+
+after(cleanup);
+
+const box = (y, height = 0.03) => ({ x: 0.1, y, width: 0.6, height });
+
+function visionForm() {
+  return {
+    formTitle: 'Contractor Application',
+    sections: [{
+      id: 'applicant',
+      title: 'Applicant',
+      page: 1,
+      bbox: box(0.1, 0.5),
+      fields: [
+        { id: 'name', component: 'Short Input', label: 'Name of applicant', page: 1, bbox: box(0.15), confidence: 0.5, needsReview: true },
+        { id: 'licensed', component: 'Short Input', label: 'Licensed?', page: 1, bbox: box(0.35), confidence: 0.7, needsReview: false },
+        { id: 'license_no', component: 'Short Input', label: 'License number', page: 1, bbox: box(0.45), visibleWhen: { field: 'licensed', equals: 'Yes' } }
+      ]
+    }]
+  };
+}
+
+const acroFields = [
+  // Inside the model's "Licensed?" box
+  { label: 'Licensed', component: 'Radio Select', options: ['Yes', 'No'], page: 1, bbox: { x: 0.12, y: 0.355, width: 0.2, height: 0.02 }, acroField: { name: 'licensed', type: 'radio' } },
+  // Between name and licensed, missed by the model
+  { label: 'Years in business', component: 'Short Input', page: 1, bbox: box(0.25), acroField: { name: 'years', type: 'text' } }
+];
+
+test('a PDF widget inside a vision field confirms it with the PDF\'s type and options', () => {
+  const { formStructure, matched } = mergeAcroFormFields(visionForm(), acroFields);
+  const licensed = formStructure.sections[0].fields.find(field => field.id === 'licensed');
+
+  assert.strictEqual(matched, 1);
+  assert.strictEqual(licensed.component, 'Radio Select');
+  assert.deepStrictEqual(licensed.options, ['Yes', 'No']);
+  assert.strictEqual(licensed.source, 'acroform+vision');
+  assert.strictEqual(licensed.confidence, 0.95);
+  assert.deepStrictEqual(licensed.acroFields, [{ name: 'licensed', type: 'radio' }]);
+});
+
+test('missed widgets are added in reading order without renumbering the model\'s fields', () => {
+  const { formStructure, added } = mergeAcroFormFields(visionForm(), acroFields);
+  const fields = formStructure.sections[0].fields;
+
+  assert.strictEqual(added, 1);
+  assert.deepStrictEqual(fields.map(field => field.label), ['Name of applicant', 'Years in business', 'Licensed?', 'License number']);
+  assert.deepStrictEqual(fields.map(field => field.order), [1, 2, 3, 4]);
+  assert.deepStrictEqual([fields[0].id, fields[2].id, fields[3].id], ['name', 'licensed', 'license_no']);
+  assert.match(fields[1].id, /^field_[0-9a-f]{8}$/);
+  assert.strictEqual(fields[1].source, 'acroform');
+  assert.strictEqual(fields[3].visibleWhen.field, fields[2].id);
+
+  // The added field's ID is derived from where it sits, so a second merge gives the same one
+  assert.strictEqual(mergeAcroFormFields(visionForm(), acroFields).formStructure.sections[0].fields[1].id, fields[1].id);
+});
+
+test('widgets that fit no section go in an Additional Fields section', () => {
+  const { formStructure } = mergeAcroFormFields({ formTitle: 'Blank', sections: [] }, [acroFields[1]]);
+
+  assert.strictEqual(formStructure.sections.length, 1);
+  assert.strictEqual(formStructure.sections[0].title, 'Additional Fields');
+  assert.ok(formStructure.sections[0].id);
+  assert.strictEqual(formStructure.sections[0].fields[0].label, 'Years in business');
+});
@@ -0,0 +1,39 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const { normalizeBoundingBox, normalizeFormStructure } = require('../src/services/openaiService');
+
+after(cleanup);
+
+test('bounding boxes are clamped onto the page', () => {
+  assert.deepStrictEqual(normalizeBoundingBox({ x: 0.1, y: 0.2, width: 0.3, height: 0.05 }), { x: 0.1, y: 0.2, width: 0.3, height: 0.05 });
+  assert.deepStrictEqual(normalizeBoundingBox({ x: -0.2, y: 0.9, width: 0.5, height: 0.4 }), { x: 0, y: 0.9, width: 0.5, height: 0.1 });
+  assert.deepStrictEqual(normalizeBoundingBox({ x: '0.5', y: '0.5', width: 2, height: 0.123456 }), { x: 0.5, y: 0.5, width: 0.5, height: 0.1235 });
+});
+
+test('unusable bounding boxes become null', () => {
+  assert.strictEqual(normalizeBoundingBox(null), null);
+  assert.strictEqual(normalizeBoundingBox('top left'), null);
+  assert.strictEqual(normalizeBoundingBox({ x: 0.1, y: 0.1, width: 'wide', height: 0.1 }), null);
+  assert.strictEqual(normalizeBoundingBox({ x: 1.2, y: 0.1, width: 0.2, height: 0.1 }), null);
+  assert.strictEqual(normalizeBoundingBox({ x: 0.1, y: 0.1, width: 0, height: 0.1 }), null);
+});
+
+test('pages are kept within the batch and sections default to their first field\'s page', () => {
+  const { sections } = normalizeFormStructure({
+    formTitle: 'Application',
+    sections: [{
+      id: 'section_1',
+      title: 'General',
+      fields: [
+        { id: 'field_1', component: 'Short Input', label: 'Name', page: 9 },
+        { id: 'field_2', component: 'Short Input', label: 'Address', page: 'two' },
+        { id: 'field_3', component: 'Short Input', label: 'Phone', page: 1 }
+      ]
+    }]
+  }, { startPage: 3, endPage: 4 });
+
+  assert.deepStrictEqual(sections[0].fields.map(field => field.page), [4, null, 3]);
+  assert.strictEqual(sections[0].page, 4);
+});
@@ -0,0 +1,40 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const cacheService = require('../src/services/cacheService');
+const componentRegistry = require('../src/services/componentRegistry');
+const dataDictionaryService = require('../src/services/dataDictionaryService');
+
+after(cleanup);
+
+const VARIANT = { acroFormMode: 'merge', mode: 'structure' };
+const VALUE = { data: { formTitle: 'Cached', sections: [] }, pagesProcessed: 1, meta: {} };
+
+test('an entry is served to its own tenant only', () => {
+  const context = cacheService.getCacheContext('tenant-hash', 'acme', VARIANT);
+  cacheService.save(context, VALUE);
+
+  assert.deepStrictEqual(cacheService.lookup(cacheService.getCacheContext('tenant-hash', 'acme', VARIANT)).value, VALUE);
+  assert.strictEqual(cacheService.lookup(cacheService.getCacheContext('tenant-hash', 'globex', VARIANT)), null);
+  assert.strictEqual(cacheService.lookup(cacheService.getCacheContext('tenant-hash', 'acme', { ...VARIANT, mode: 'values' })), null);
+});
+
+test('editing the data dictionary stops older entries matching', () => {
+  const context = cacheService.getCacheContext('dictionary-hash', 'acme', VARIANT);
+  cacheService.save(context, VALUE);
+
+  dataDictionaryService.updateEntry('applicant.dba_name', { synonyms: ['DBA', 'Trade name', 'Operating name'] });
+
+  assert.strictEqual(cacheService.lookup(cacheService.getCacheContext('dictionary-hash', 'acme', VARIANT)), null);
+});
+
+test('editing the component registry stops older entries matching', () => {
+  const context = cacheService.getCacheContext('registry-hash', 'acme', VARIANT);
+  cacheService.save(context, VALUE);
+
+  const component = componentRegistry.listComponents()[0];
+  componentRegistry.updateComponent(component.name, { aliases: [...component.aliases, 'entry box'] });
+
+  assert.strictEqual(cacheService.lookup(cacheService.getCacheContext('registry-hash', 'acme', VARIANT)), null);
+});
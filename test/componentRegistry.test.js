@@ -0,0 +1,44 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const componentRegistry = require('../src/services/componentRegistry');
+const { normalizeFormStructure, getSystemPrompt } = require('../src/services/openaiService');
+const { validateConditions } = require('../src/services/conditionalLogic');
+const { toJsonSchema } = require('../src/services/formExporter');
+
+after(cleanup);
+
+test('built-in components are seeded with their stable UUIDs and widgets', () => {
+  const multiSelect = componentRegistry.getComponent('Multi-Select');
+  assert.strictEqual(multiSelect.componentId, '3b37849e-b80b-4001-8e1a-e92c69255d2c');
+  assert.strictEqual(multiSelect.widget, 'checkboxes');
+  assert.ok(componentRegistry.listComponents().every(component => component.componentId));
+});
+
+test('a component added to the registry behaves like the built-ins with its widget', () => {
+  componentRegistry.createComponent({ name: 'Yes/No', description: 'Yes or no questions', hasOptions: true, widget: 'radio' });
+  componentRegistry.createComponent({ name: 'Date Picker', description: 'Date fields with a calendar', widget: 'text' });
+
+  const formStructure = normalizeFormStructure({
+    formTitle: 'Application',
+    sections: [{
+      id: 'section_1',
+      title: 'Claims',
+      fields: [
+        { id: 'field_1', component: 'Yes/No', label: 'Any losses in the last five years?', options: ['Yes', 'No'], value: 'yes' },
+        { id: 'field_2', component: 'Long Input', label: 'If Yes, describe', visibleWhen: { field: 'field_1', equals: 'Yes' } },
+        { id: 'field_3', component: 'Date Picker', label: 'Date of loss' }
+      ]
+    }]
+  }, {}, {}, { mode: 'values' });
+
+  const [question, , date] = formStructure.sections[0].fields;
+  assert.strictEqual(question.value, 'Yes');
+  assert.strictEqual(date.dataType, 'date');
+  assert.deepStrictEqual(validateConditions(formStructure), []);
+
+  const { schema } = toJsonSchema(formStructure);
+  assert.deepStrictEqual(schema.properties.section_1.properties.field_1.enum, ['Yes', 'No']);
+  assert.ok(getSystemPrompt('values').includes('- Dropdown, Radio Select, Yes/No: the selected option'));
+});
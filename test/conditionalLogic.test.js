@@ -0,0 +1,55 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const { validateConditions, applyConditions } = require('../src/services/conditionalLogic');
+
+after(cleanup);
+
+function form(fields) {
+  return { formTitle: 'Application', sections: [{ id: 'section_1', title: 'General', fields }] };
+}
+
+const licensed = { id: 'licensed', component: 'Radio Select', label: 'Are you licensed?', options: ['Yes', 'No'] };
+const name = { id: 'name', component: 'Short Input', label: 'Name' };
+
+test('a condition on an option is kept, with equals written as the option reads', () => {
+  const { formStructure, count, dropped } = applyConditions(form([
+    licensed,
+    { id: 'license_no', component: 'Short Input', label: 'If yes, license number', visibleWhen: { field: 'licensed', equals: ' yes' } }
+  ]));
+
+  assert.strictEqual(count, 1);
+  assert.deepStrictEqual(dropped, []);
+  assert.deepStrictEqual(formStructure.sections[0].fields[1].visibleWhen, { field: 'licensed', equals: 'Yes' });
+});
+
+test('conditions that cannot be met are dropped and reported', () => {
+  const { formStructure, count, dropped } = applyConditions(form([
+    licensed,
+    name,
+    { id: 'a', component: 'Short Input', label: 'A', visibleWhen: { field: 'missing', equals: 'Yes' } },
+    { id: 'b', component: 'Short Input', label: 'B', visibleWhen: { field: 'name', equals: 'Yes' } },
+    { id: 'c', component: 'Short Input', label: 'C', visibleWhen: { field: 'licensed', equals: 'Sometimes' } },
+    { id: 'd', component: 'Short Input', label: 'D', visibleWhen: null }
+  ]));
+
+  assert.strictEqual(count, 0);
+  assert.deepStrictEqual(dropped.map(entry => entry.fieldId), ['a', 'b', 'c']);
+  assert.match(dropped[0].message, /unknown field "missing"/);
+  assert.match(dropped[1].message, /no options to answer/);
+  assert.match(dropped[2].message, /"Sometimes" is not an option/);
+  assert.ok(formStructure.sections[0].fields.every(field => !('visibleWhen' in field)));
+});
+
+test('conditions that depend on each other in a loop are errors', () => {
+  const errors = validateConditions(form([
+    { id: 'x', component: 'Radio Select', label: 'X', options: ['Yes'], visibleWhen: { field: 'y', equals: 'Yes' } },
+    { id: 'y', component: 'Radio Select', label: 'Y', options: ['Yes'], visibleWhen: { field: 'x', equals: 'Yes' } }
+  ]));
+
+  assert.deepStrictEqual(errors.map(error => [error.fieldId, error.message]), [
+    ['x', 'visibleWhen conditions depend on each other in a loop'],
+    ['y', 'visibleWhen conditions depend on each other in a loop']
+  ]);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  computeLogprobConfidences,
+  scoreField,
+  summarizeConfidence
+} = require('../src/services/confidenceScorer');
+
+// Split a reply into one token per character, each with the given log probability
+function tokenize(content, logprobFor) {
+  return [...content].map((token, index) => ({ token, logprob: logprobFor(index) }));
+}
+
+test('each field scores the tokens of its own label and component', () => {
+  const data = { sections: [{ fields: [{ component: 'Short Input', label: 'Name' }, { component: 'Date', label: 'Start' }] }] };
+  const content = JSON.stringify(data);
+  const unsure = content.indexOf('Start');
+
+  const confidences = computeLogprobConfidences(content, tokenize(content, index => (index >= unsure && index < unsure + 5 ? Math.log(0.2) : 0)), data);
+
+  assert.strictEqual(confidences['0/0'], 1);
+  assert.ok(confidences['0/1'] < 0.6, `expected a low score, got ${confidences['0/1']}`);
+  assert.deepStrictEqual(computeLogprobConfidences(content, null, data), {});
+});
+
+test('heuristic signals lower the score and explain why', () => {
+  const located = { bbox: { x: 0, y: 0, width: 0.1, height: 0.1 } };
+
+  assert.deepStrictEqual(scoreField(located, { componentMatch: 'exact' }), { confidence: 0.9, reasons: [] });
+
+  const unknown = scoreField(located, { componentMatch: 'fallback', rawComponent: 'Slider' });
+  assert.strictEqual(unknown.confidence, 0.36);
+  assert.match(unknown.reasons[0], /Unknown component type "Slider"/);
+
+  const violated = scoreField({ bbox: null }, { componentMatch: 'exact', logprobConfidence: 0.8, violations: ['must have options'] });
+  assert.strictEqual(violated.confidence, 0.46);
+  assert.deepStrictEqual(violated.reasons, ['Schema: must have options']);
+});
+
+test('the summary lists fields needing review, lowest confidence first', () => {
+  const summary = summarizeConfidence({
+    sections: [{
+      id: 'section_1',
+      title: 'General',
+      fields: [
+        { id: 'a', label: 'A', confidence: 0.9, needsReview: false },
+        { id: 'b', label: 'B', confidence: 0.5, needsReview: true },
+        { id: 'c', label: 'C', confidence: 0.2, needsReview: true, confidenceReasons: ['No label extracted'] }
+      ]
+    }]
+  });
+
+  assert.strictEqual(summary.fieldCount, 3);
+  assert.strictEqual(summary.averageConfidence, 0.53);
+  assert.deepStrictEqual(summary.fields.map(field => field.id), ['c', 'b']);
+  assert.deepStrictEqual(summary.fields[0].reasons, ['No label extracted']);
+});
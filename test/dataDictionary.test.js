@@ -0,0 +1,39 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const dataDictionaryService = require('../src/services/dataDictionaryService');
+
+after(cleanup);
+
+function mapLabels(labels) {
+  const formStructure = {
+    formTitle: 'Application',
+    sections: [{ id: 'section_1', title: 'General', fields: labels.map((label, i) => ({ id: `field_${i + 1}`, label, component: 'Short Input' })) }]
+  };
+  const { formStructure: mapped } = dataDictionaryService.mapFormStructure(formStructure);
+  return Object.fromEntries(mapped.sections[0].fields.map(field => [field.label, field.dictionaryKey || null]));
+}
+
+test('one-word synonyms do not map longer labels that merely contain the word', () => {
+  assert.deepStrictEqual(mapLabels(['Date of loss', 'Property address', 'Job title of contact']), {
+    'Date of loss': null,
+    'Property address': null,
+    'Job title of contact': null
+  });
+});
+
+test('one-word synonyms still map a label that is exactly that word', () => {
+  assert.deepStrictEqual(mapLabels(['FEIN', 'Email', 'Title']), {
+    FEIN: 'applicant.fein',
+    Email: 'applicant.email',
+    Title: 'signature.signer_title'
+  });
+});
+
+test('multi-word labels keep matching reordered phrasings', () => {
+  assert.deepStrictEqual(mapLabels(['Legal name of applicant', 'Policy effective date']), {
+    'Legal name of applicant': 'applicant.legal_name',
+    'Policy effective date': 'coverage.effective_date'
+  });
+});
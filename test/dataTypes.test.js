@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const app = require('../src/index');
+const authService = require('../src/services/authService');
+const trainingService = require('../src/services/trainingService');
+const { resolveDataType } = require('../src/services/dataTypes');
+const { toHtmlForm } = require('../src/services/formExporter');
+
+let server;
+let baseUrl;
+let apiKey;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  apiKey = authService.createApiKey({ name: 'labeler', tenantId: 'default', scopes: ['label'] }).key;
+});
+
+after(() => {
+  server.close();
+  cleanup();
+});
+
+test('data types are inferred from labels, with the form\'s own cues first', () => {
+  assert.deepStrictEqual(resolveDataType({ label: 'Email address' }), {
+    dataType: 'email',
+    validation: { pattern: '^[^@\\s]+@[^@\\s]+\\.[^@\\s]+$' }
+  });
+  assert.strictEqual(resolveDataType({ label: 'City, State, ZIP' }).dataType, 'address');
+  assert.deepStrictEqual(resolveDataType({ label: 'Building area (sq ft)' }), { dataType: 'number', validation: { unit: 'sq ft' } });
+  assert.deepStrictEqual(resolveDataType({ label: 'Annual revenue', dataType: 'currency', validation: { min: '$1,000' } }).validation, {
+    unit: 'USD',
+    min: 1000
+  });
+  assert.strictEqual(resolveDataType({ label: 'Inception', dataType: 'DATE' }).dataType, 'date');
+});
+
+test('misread validation is dropped', () => {
+  const { validation } = resolveDataType({
+    label: 'Number of employees',
+    validation: { min: 50, max: 10, maxLength: 'ten', pattern: '([' }
+  });
+  assert.deepStrictEqual(validation, { unit: 'employees' });
+});
+
+test('validation rules from a request body cannot inject markup into the HTML form', () => {
+  const html = toHtmlForm({
+    formTitle: 'Application',
+    sections: [{
+      id: 'section_1',
+      title: 'Exposure',
+      fields: [
+        { id: 'beds', component: 'Short Input', label: 'Beds', dataType: 'number', validation: { min: '"><script>alert(1)</script>', max: 500 } },
+        { id: 'notes', component: 'Long Input', label: 'Notes', validation: { maxLength: '"><script>alert(2)</script>' } }
+      ]
+    }]
+  });
+
+  assert.ok(!html.includes('<script>alert'), 'validation values reached the markup');
+  assert.match(html, /<input type="number" max="500"/);
+  assert.match(html, /<textarea id="notes" name="notes" rows="4"><\/textarea>/);
+});
+
+test('corrections are checked against the form structure schema and their validation cleaned', async () => {
+  const formId = trainingService.createForm('application.pdf', [], {}, 'default');
+  const put = correctedExtraction => fetch(`${baseUrl}/api/training/forms/${formId}`, {
+    method: 'PUT',
+    headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ correctedExtraction, isVerified: false })
+  });
+  const withField = field => ({ formTitle: 'Application', sections: [{ id: 'section_1', title: 'Exposure', page: null, bbox: null, fields: [field] }] });
+
+  const invalid = await put(withField({ id: 'f1', component: 'Sparkline', label: 'Trend' }));
+  assert.strictEqual(invalid.status, 400);
+  assert.ok((await invalid.json()).schemaErrors.length > 0);
+
+  const res = await put(withField({ id: 'f1', component: 'Short Input', label: 'Beds', page: null, bbox: null, validation: { min: '10', max: '"><b>' } }));
+  assert.strictEqual(res.status, 200, JSON.stringify(await res.clone().json()));
+
+  const saved = trainingService.getFormById(formId, 'default').correctedExtraction;
+  assert.deepStrictEqual(saved.sections[0].fields[0].validation, { min: 10 });
+});
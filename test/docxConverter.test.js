@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { paginate } = require('../src/services/docxConverter');
+
+test('pages break at the last block that starts before the page ends', () => {
+  assert.deepStrictEqual(paginate([0, 300, 700, 1100, 1500], 1800, 912), [
+    { top: 0, height: 700 },
+    { top: 700, height: 800 },
+    { top: 1500, height: 300 }
+  ]);
+});
+
+test('a block taller than a page is cut at the page edge', () => {
+  assert.deepStrictEqual(paginate([0, 2000], 2100, 912), [
+    { top: 0, height: 912 },
+    { top: 912, height: 912 },
+    { top: 1824, height: 276 }
+  ]);
+});
+
+test('a short document is one page', () => {
+  assert.deepStrictEqual(paginate([0, 40.6, 40.2], 400, 912), [{ top: 0, height: 400 }]);
+});
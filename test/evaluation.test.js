@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { renderFormPage, cleanup } = require('./helpers/setup');
+
+const { db } = require('../src/services/database');
+const trainingService = require('../src/services/trainingService');
+const evaluationService = require('../src/services/evaluationService');
+
+after(cleanup);
+
+test('evaluation re-extracts training forms with their stored PDF form fields', async () => {
+  const page = await renderFormPage('SENIOR LIVING LIABILITY APPLICATION', ['Legal Name of Applicant:', 'Policy Number:']);
+  const images = [{ page: 1, base64: page.toString('base64'), mimeType: 'image/png' }];
+
+  // A fillable field the mock recording does not contain; only the PDF supplies it
+  const acroForm = {
+    formTitle: null,
+    pageCount: 1,
+    partial: false,
+    fields: [{
+      name: 'policy_number',
+      type: 'text',
+      component: 'Short Input',
+      label: 'Policy Number',
+      required: false,
+      page: 1,
+      bbox: { x: 0.3, y: 0.18, width: 0.5, height: 0.02 }
+    }]
+  };
+
+  const formId = trainingService.createForm('application.pdf', images, {}, 'default', { acroForm, textLayer: null });
+  const stored = trainingService.getFormById(formId, 'default');
+  assert.deepStrictEqual(stored.acroForm, acroForm);
+  assert.strictEqual(stored.textLayer, null);
+
+  trainingService.updateExtraction(formId, 'default', { formTitle: 'Senior Living Liability Application', sections: [] }, true);
+
+  const { runId, completion } = evaluationService.startEvaluation({ tenantId: 'default' });
+  const run = await completion;
+  assert.strictEqual(run.status, 'completed', run.error);
+
+  const { extraction } = db.prepare('SELECT extraction FROM evaluation_results WHERE run_id = ?').get(runId);
+  const labels = JSON.parse(extraction).sections.flatMap(section => section.fields.map(field => field.label));
+  assert.ok(labels.includes('Policy Number'), `PDF field missing from ${labels.join(', ')}`);
+});
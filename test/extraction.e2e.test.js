@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { renderFormPage, cleanup } = require('./helpers/setup');
+
+const app = require('../src/index');
+const authService = require('../src/services/authService');
+
+let server;
+let baseUrl;
+let apiKey;
+let page;
+let fieldIds;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  apiKey = authService.createApiKey({ name: 'e2e', tenantId: 'e2e', scopes: ['extract'] }).key;
+  page = await renderFormPage('SENIOR LIVING LIABILITY APPLICATION', [
+    'Legal Name of Applicant', 'Mailing Address', 'Effective Date', 'Is the facility licensed?'
+  ]);
+});
+
+after(() => {
+  server.close();
+  cleanup();
+});
+
+function upload(query = '', key = apiKey) {
+  const body = new FormData();
+  body.append('file', new Blob([page], { type: 'image/png' }), 'application.png');
+  return fetch(`${baseUrl}/api/extract-form${query}`, {
+    method: 'POST',
+    headers: key ? { 'X-API-Key': key } : {},
+    body
+  });
+}
+
+function get(path) {
+  return fetch(`${baseUrl}${path}`, { headers: { 'X-API-Key': apiKey } });
+}
+
+test('extraction needs an API key', async () => {
+  const res = await upload('', null);
+  assert.strictEqual(res.status, 401);
+});
+
+test('an upload without a file is rejected', async () => {
+  const res = await fetch(`${baseUrl}/api/extract-form`, {
+    method: 'POST',
+    headers: { 'X-API-Key': apiKey },
+    body: new FormData()
+  });
+  assert.strictEqual(res.status, 400);
+});
+
+test('POST /api/extract-form returns the normalized mock extraction', async () => {
+  const res = await upload();
+  const body = await res.json();
+
+  assert.strictEqual(res.status, 200, JSON.stringify(body));
+  assert.strictEqual(body.success, true);
+  assert.strictEqual(body.meta.provider, 'mock');
+  assert.strictEqual(body.meta.cache.hit, false);
+  assert.strictEqual(body.data.formTitle, 'Senior Living Liability Application');
+  assert.deepStrictEqual(body.data.sections.map(section => section.title), ['APPLICANT INFORMATION', 'EXPOSURE']);
+
+  const fields = body.data.sections.flatMap(section => section.fields);
+  assert.strictEqual(fields.length, 7);
+  fieldIds = fields.map(field => field.id);
+  assert.strictEqual(new Set(fieldIds).size, fields.length, 'field IDs are unique');
+  assert.ok(fields.every(field => /^[0-9a-f-]{36}$/.test(field.componentId)), 'every field has its component UUID');
+  assert.deepStrictEqual(body.meta.schemaViolations, []);
+
+  const services = fields.find(field => field.label === 'Services provided');
+  assert.strictEqual(services.component, 'Multi-Select');
+  assert.strictEqual(services.componentId, '3b37849e-b80b-4001-8e1a-e92c69255d2c');
+  assert.deepStrictEqual(services.options, ['Assisted living', 'Memory care', 'Skilled nursing']);
+
+  const table = fields.find(field => field.component === 'Table');
+  assert.deepStrictEqual(table.columns, ['Address', 'Licensed beds', 'Occupied beds']);
+  assert.strictEqual(table.rowCount, 3);
+});
+
+test('the same upload is served from the cache', async () => {
+  const body = await (await upload()).json();
+  assert.strictEqual(body.meta.cache.hit, true);
+  assert.strictEqual(body.data.formTitle, 'Senior Living Liability Application');
+});
+
+test('async extraction runs as a job with a pollable result', async () => {
+  const res = await upload('?async=true&noCache=true');
+  assert.strictEqual(res.status, 202);
+  const { data: queued } = await res.json();
+  assert.strictEqual(queued.statusUrl, `/api/jobs/${queued.jobId}`);
+
+  let job;
+  for (let attempt = 0; attempt < 100; attempt++) {
+    job = (await (await get(queued.statusUrl)).json()).data;
+    if (job.status === 'completed' || job.status === 'failed') break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.strictEqual(job.status, 'completed', job.error);
+
+  const result = await (await get(queued.resultUrl)).json();
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.meta.jobId, queued.jobId);
+  assert.strictEqual(result.meta.provider, 'mock');
+  assert.strictEqual(result.data.sections.length, 2);
+
+  // Re-extracting the same file gives the same IDs
+  assert.deepStrictEqual(result.data.sections.flatMap(section => section.fields.map(field => field.id)), fieldIds);
+});
+
+test('unknown jobs are not found', async () => {
+  const res = await get('/api/jobs/job_missing');
+  assert.strictEqual(res.status, 404);
+});
+
+test('tenants neither share nor purge each other\'s cache entries', async () => {
+  const ownAdmin = authService.createApiKey({ name: 'e2e admin', tenantId: 'e2e', scopes: ['admin'] }).key;
+  const otherAdmin = authService.createApiKey({ name: 'other admin', tenantId: 'other', scopes: ['admin'] }).key;
+  const cache = (method, key) => fetch(`${baseUrl}/api/cache`, { method, headers: { 'X-API-Key': key } });
+
+  const body = await (await upload('', otherAdmin)).json();
+  assert.strictEqual(body.meta.cache.hit, false);
+
+  const purged = await (await cache('DELETE', otherAdmin)).json();
+  assert.strictEqual(purged.data.removed, 1);
+  assert.strictEqual((await (await cache('GET', otherAdmin)).json()).data.entries, 0);
+  assert.ok((await (await cache('GET', ownAdmin)).json()).data.entries > 0, 'the e2e tenant keeps its entries');
+});
+
+test('tenant admins cannot write the shared registry or grant the platform scope', async () => {
+  const tenantAdmin = authService.createApiKey({ name: 'e2e admin', tenantId: 'e2e', scopes: ['admin'] }).key;
+  const platformKey = authService.createApiKey({ name: 'platform', tenantId: 'e2e', scopes: ['platform'] }).key;
+  const post = (path, key, payload) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  const component = { name: 'E2E Rating', description: 'A 1-5 rating', widget: 'radio' };
+
+  assert.strictEqual((await post('/api/components', tenantAdmin, component)).status, 403);
+  assert.strictEqual((await post('/api/auth/keys', tenantAdmin, { name: 'escalate', scopes: ['platform'] })).status, 403);
+
+  const res = await post('/api/components', platformKey, component);
+  assert.strictEqual(res.status, 201, JSON.stringify(await res.clone().json()));
+});
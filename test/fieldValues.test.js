@@ -0,0 +1,71 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { cleanup } = require('./helpers/setup');
+
+const { normalizeFormStructure } = require('../src/services/openaiService');
+const { mergeAcroFormFields } = require('../src/services/acroFormMerger');
+
+after(cleanup);
+
+const completedForm = {
+  formTitle: 'Application',
+  sections: [{
+    id: 'section_1',
+    title: 'General',
+    fields: [
+      { id: 'heading', component: 'Title', label: 'Applicant', value: 'Applicant' },
+      { id: 'name', component: 'Short Input', label: 'Name', value: '  Maple House LLC ' },
+      { id: 'phone', component: 'Short Input', label: 'Phone', value: '   ' },
+      { id: 'entity', component: 'Radio Select', label: 'Entity', options: ['Corporation', 'Limited Liability Company'], value: 'limited  liability company' },
+      { id: 'other', component: 'Radio Select', label: 'Other', options: ['Yes', 'No'], value: 'Maybe' },
+      { id: 'services', component: 'Multi-Select', label: 'Services', options: ['Assisted living', 'Memory care'], value: ['memory care', 'Memory care', ''] },
+      { id: 'locations', component: 'Table', label: 'Locations', columns: ['Address', 'Beds'], rowCount: 3, value: [{ Address: '1 Main St', Beds: 40 }, { Address: '', Beds: null }, ['2 Oak Ave', ' ']] },
+      { id: 'signed', component: 'Signature', label: 'Signature', value: 'unsigned' }
+    ]
+  }]
+};
+
+function values(options) {
+  const { sections } = normalizeFormStructure(completedForm, {}, {}, options);
+  return Object.fromEntries(sections[0].fields.map(field => [field.id, field.value]));
+}
+
+test('values mode shapes each entered value to its component', () => {
+  assert.deepStrictEqual(values({ mode: 'values' }), {
+    heading: undefined,
+    name: 'Maple House LLC',
+    phone: null,
+    entity: 'Limited Liability Company',
+    other: 'Maybe',
+    services: ['Memory care'],
+    locations: [['1 Main St', '40'], ['2 Oak Ave', null]],
+    signed: false
+  });
+});
+
+test('structure mode reads no values', () => {
+  assert.ok(Object.values(values({})).every(value => value === undefined));
+});
+
+test('a value typed into the PDF wins over the model\'s reading unless the PDF field is empty', () => {
+  const bbox = { x: 0.1, y: 0.2, width: 0.5, height: 0.03 };
+  const form = {
+    formTitle: 'Application',
+    sections: [{
+      id: 'section_1',
+      title: 'General',
+      page: 1,
+      fields: [
+        { id: 'name', component: 'Short Input', label: 'Name', page: 1, bbox, value: 'Maple Hause' },
+        { id: 'phone', component: 'Short Input', label: 'Phone', page: 1, bbox: { ...bbox, y: 0.3 }, value: '555-0100' }
+      ]
+    }]
+  };
+  const acroFields = [
+    { label: 'Name', component: 'Short Input', page: 1, bbox, value: 'Maple House', acroField: { name: 'name', type: 'text' } },
+    { label: 'Phone', component: 'Short Input', page: 1, bbox: { ...bbox, y: 0.3 }, value: null, acroField: { name: 'phone', type: 'text' } }
+  ];
+
+  const { formStructure } = mergeAcroFormFields(form, acroFields);
+  assert.deepStrictEqual(formStructure.sections[0].fields.map(field => field.value), ['Maple House', '555-0100']);
+});
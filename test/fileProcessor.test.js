@@ -0,0 +1,54 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, renderFormPage, cleanup } = require('./helpers/setup');
+
+const { processFiles, orderFiles } = require('../src/services/fileProcessor');
+
+after(cleanup);
+
+async function upload(originalname, contents) {
+  const filePath = path.join(tempDir, `upload-${originalname}-${Date.now()}`);
+  fs.writeFileSync(filePath, contents);
+  return { originalname, path: filePath, size: contents.length };
+}
+
+test('pageOrder takes upload positions or filenames and must list every file once', () => {
+  const files = ['a.png', 'b.png', 'c.png'].map(originalname => ({ originalname }));
+  const names = result => result.files.map(file => file.originalname);
+
+  assert.deepStrictEqual(names(orderFiles(files)), ['a.png', 'b.png', 'c.png']);
+  assert.deepStrictEqual(names(orderFiles(files, '3,1,2')), ['c.png', 'a.png', 'b.png']);
+  assert.deepStrictEqual(names(orderFiles(files, 'b.png, c.png, a.png')), ['b.png', 'c.png', 'a.png']);
+  assert.match(orderFiles(files, '1,2').error, /must list all 3/);
+  assert.match(orderFiles(files, '1,1,2').error, /more than once/);
+  assert.match(orderFiles(files, '1,2,4').error, /does not match/);
+});
+
+test('pages are numbered across files and remember where they came from', async () => {
+  const files = [
+    await upload('first.png', await renderFormPage('Page One', ['Name'])),
+    await upload('second.png', await renderFormPage('Page Two', ['Address']))
+  ];
+
+  const { images, pageCounts } = await processFiles(files);
+
+  assert.deepStrictEqual(images.map(image => image.page), [1, 2]);
+  assert.deepStrictEqual(images.map(image => image.source), [
+    { filename: 'first.png', page: 1 },
+    { filename: 'second.png', page: 1 }
+  ]);
+  assert.deepStrictEqual(pageCounts, [1, 1]);
+  assert.ok(files.every(file => !fs.existsSync(file.path)), 'uploads are removed once converted');
+});
+
+test('a file that cannot be read removes its own upload and the ones after it', async () => {
+  const files = [
+    await upload('notes.png', Buffer.from('not an image at all')),
+    await upload('next.png', await renderFormPage('Page Two', ['Address']))
+  ];
+
+  await assert.rejects(processFiles(files));
+  assert.ok(files.every(file => !fs.existsSync(file.path)));
+});
@@ -0,0 +1,38 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { tempDir, cleanup } = require('./helpers/setup');
+
+const { detectFileType } = require('../src/utils/fileType');
+
+after(cleanup);
+
+async function typeOf(name, contents) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, contents);
+  return detectFileType(filePath);
+}
+
+const blank = () => sharp({ create: { width: 8, height: 8, channels: 3, background: 'white' } });
+
+test('image types are read from their bytes, whatever the extension says', async () => {
+  assert.strictEqual(await typeOf('scan.jpg', await blank().png().toBuffer()), 'png');
+  assert.strictEqual(await typeOf('scan.png', await blank().jpeg().toBuffer()), 'jpeg');
+  assert.strictEqual(await typeOf('fax', await blank().tiff().toBuffer()), 'tiff');
+  assert.strictEqual(await typeOf('photo.webp', await blank().webp().toBuffer()), 'webp');
+});
+
+test('documents are recognized by their headers and containers', async () => {
+  assert.strictEqual(await typeOf('form.pdf', Buffer.from('\n\n%PDF-1.7\n%%EOF')), 'pdf');
+  assert.strictEqual(await typeOf('form.doc', Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1, 0, 0])), 'doc');
+  assert.strictEqual(await typeOf('form.docx', Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), Buffer.from('word/document.xml')])), 'docx');
+  assert.strictEqual(await typeOf('archive.docx', Buffer.concat([Buffer.from([0x50, 0x4B, 0x03, 0x04]), Buffer.from('data/file.txt')])), null);
+  assert.strictEqual(await typeOf('photo.heic', Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic')])), 'heic');
+});
+
+test('anything else is not a supported type', async () => {
+  assert.strictEqual(await typeOf('notes.pdf', Buffer.from('just some text')), null);
+  assert.strictEqual(await typeOf('empty.png', Buffer.alloc(0)), null);
+});
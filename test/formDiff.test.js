@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { diffFormStructures } = require('../src/services/formDiff');
+
+const edition2023 = {
+  formTitle: 'Contractor Application',
+  sections: [
+    {
+      title: 'Applicant Information',
+      fields: [
+        { id: 'name', component: 'Short Input', label: 'Name of applicant', required: true },
+        { id: 'entity', component: 'Radio Select', label: 'Type of entity', options: ['Corporation', 'Partnership'] },
+        { id: 'signature', component: 'Signature', label: 'Signature of officer' }
+      ]
+    },
+    {
+      title: 'Operations',
+      fields: [
+        { id: 'years', component: 'Short Input', label: 'Years in business' },
+        { id: 'subs', component: 'Table', label: 'Subcontractors', columns: ['Name', 'Trade'], rowCount: 3 }
+      ]
+    }
+  ]
+};
+
+const edition2024 = {
+  formTitle: 'Contractor Application',
+  sections: [
+    {
+      title: 'Applicant Details',
+      fields: [
+        { id: 'name', component: 'Short Input', label: 'Name of applicant', required: true },
+        { id: 'entity', component: 'Dropdown', label: 'Type of business entity', options: ['Corporation', 'Partnership', 'LLC'] },
+        { id: 'email', component: 'Short Input', label: 'Email address', required: true }
+      ]
+    },
+    {
+      title: 'Operations',
+      fields: [
+        { id: 'years', component: 'Short Input', label: 'Years in business', required: true },
+        { id: 'subs', component: 'Table', label: 'Subcontractors', columns: ['Name', 'Trade'], rowCount: 5 }
+      ]
+    }
+  ]
+};
+
+test('changes between editions are listed by type', () => {
+  const { changes, summary } = diffFormStructures(edition2023, edition2024);
+  const byType = type => changes.filter(change => change.type === type);
+
+  assert.deepStrictEqual(byType('section_renamed').map(change => change.section), [{ before: 'Applicant Information', after: 'Applicant Details' }]);
+  assert.deepStrictEqual(byType('field_reworded').map(change => [change.from, change.to]), [['Type of entity', 'Type of business entity']]);
+  assert.deepStrictEqual(byType('component_changed').map(change => [change.from, change.to]), [['Radio Select', 'Dropdown']]);
+  assert.deepStrictEqual(byType('options_changed').map(change => [change.added, change.removed]), [[['LLC'], []]]);
+  assert.deepStrictEqual(byType('field_added').map(change => change.field.after.label), ['Email address']);
+  assert.deepStrictEqual(byType('field_removed').map(change => change.field.before.label), ['Signature of officer']);
+  assert.deepStrictEqual(byType('required_changed').map(change => change.field.after.label), ['Years in business']);
+  assert.deepStrictEqual(byType('row_count_changed').map(change => [change.from, change.to]), [[3, 5]]);
+  assert.strictEqual(summary.unchanged, 1);
+});
+
+test('removals come after everything in the new edition', () => {
+  const { changes } = diffFormStructures(edition2023, edition2024);
+  const firstRemoval = changes.findIndex(change => change.type.endsWith('_removed'));
+
+  assert.ok(changes.slice(firstRemoval).every(change => change.type.endsWith('_removed')));
+});
+
+test('identical forms have no changes', () => {
+  const { changes, summary } = diffFormStructures(edition2024, edition2024);
+
+  assert.deepStrictEqual(changes, []);
+  assert.strictEqual(summary.unchanged, 5);
+});
+
+test('a field moved to another section is reported as moved', () => {
+  const moved = {
+    sections: [
+      { title: 'Applicant Information', fields: edition2023.sections[0].fields.slice(0, 2) },
+      { title: 'Operations', fields: [edition2023.sections[0].fields[2], ...edition2023.sections[1].fields] }
+    ]
+  };
+  const { changes } = diffFormStructures(edition2023, moved);
+
+  assert.deepStrictEqual(changes.map(change => [change.type, change.from, change.to]), [
+    ['field_moved', 'Applicant Information', 'Operations']
+  ]);
+});
@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const Ajv = require('ajv');
+const { cleanup } = require('./helpers/setup');
+
+const { toJsonSchema, toHtmlForm } = require('../src/services/formExporter');
+
+after(cleanup);
+
+const form = {
+  formTitle: 'Senior Living Application',
+  sections: [{
+    id: 'applicant',
+    title: 'Applicant',
+    fields: [
+      { id: 'name', component: 'Short Input', label: 'Legal name', required: true },
+      { id: 'licensed', component: 'Radio Select', label: 'Licensed?', options: ['Yes', 'No'], required: true },
+      { id: 'services', component: 'Multi-Select', label: 'Services', options: ['Assisted living', 'Memory care'] },
+      { id: 'locations', component: 'Table', label: 'Locations', columns: ['Address', 'Beds'], rowCount: 2 },
+      { id: 'heading', component: 'Title', label: 'Signatures' },
+      { id: 'signature', component: 'Signature', label: 'Signature of applicant' }
+    ]
+  }]
+};
+
+test('the JSON Schema describes the submitted data keyed by section and field ID', () => {
+  const { schema, uiSchema } = toJsonSchema(form);
+  const applicant = schema.properties.applicant;
+
+  assert.deepStrictEqual(applicant.required, ['name', 'licensed']);
+  assert.deepStrictEqual(applicant.properties.licensed.enum, ['Yes', 'No']);
+  assert.deepStrictEqual(Object.keys(applicant.properties.locations.items.properties), ['address', 'beds']);
+  assert.ok(!('heading' in applicant.properties), 'headings collect no data');
+  assert.strictEqual(uiSchema.applicant.locations['ui:options'].initialRows, 2);
+
+  const validate = new Ajv({ allErrors: true, validateFormats: false }).compile(schema);
+  assert.ok(validate({ applicant: { name: 'Maple House', licensed: 'Yes', services: ['Memory care'], locations: [{ address: '1 Main St', beds: '40' }] } }), JSON.stringify(validate.errors));
+  assert.ok(!validate({ applicant: { name: 'Maple House', licensed: 'Maybe' } }));
+});
+
+test('the HTML form has an input for every field, named by its ID', () => {
+  const html = toHtmlForm(form);
+
+  assert.match(html, /<title>Senior Living Application<\/title>/);
+  assert.match(html, /<input type="text" id="name" name="name" required>/);
+  assert.match(html, /<input type="radio" name="licensed" value="Yes" required> Yes/);
+  assert.match(html, /<input type="checkbox" name="services\[\]" value="Memory care">/);
+  assert.match(html, /data-field="locations" data-rows="2"/);
+  assert.match(html, /<h2 class="form-heading">Signatures<\/h2>/);
+});
+
+test('a table\'s row count from the request body is capped', () => {
+  const huge = { ...form, sections: [{ ...form.sections[0], fields: [{ id: 'rows', component: 'Table', label: 'Rows', columns: ['A'], rowCount: 1e9 }] }] };
+
+  assert.match(toHtmlForm(huge), /data-rows="100"/);
+  assert.strictEqual(toJsonSchema(huge).uiSchema.applicant.rows['ui:options'].initialRows, 100);
+});
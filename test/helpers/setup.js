@@ -0,0 +1,45 @@
+/**
+ * Environment for tests that load the app: a throwaway database, the mock vision
+ * provider replaying test/fixtures/mock-responses, and no real OpenAI key.
+ * Require this before anything from src/.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'form-extractor-test-'));
+
+process.env.TRAINING_DB_PATH = path.join(tempDir, 'test.db');
+process.env.VISION_PROVIDER = 'mock';
+process.env.MOCK_RESPONSES_DIR = process.env.MOCK_RESPONSES_DIR || path.join(__dirname, '../fixtures/mock-responses');
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+process.env.AUTH_ENABLED = 'true';
+
+/**
+ * A blank form page as PNG: a title, then one ruled answer line per label
+ * @param {Object} [options] - {width, height, ink}; ink is the text and line colour
+ */
+function renderFormPage(title, labels, { width = 1275, height = 1650, ink = 'black' } = {}) {
+  let svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+    + '<rect width="100%" height="100%" fill="white"/>'
+    + `<text x="100" y="120" font-size="40" font-family="sans-serif" fill="${ink}">${title}</text>`;
+
+  labels.forEach((label, i) => {
+    const y = 220 + i * 90;
+    svg += `<text x="100" y="${y}" font-size="22" font-family="sans-serif" fill="${ink}">${label}</text>`
+      + `<line x1="${100 + label.length * 11}" y1="${y + 4}" x2="1150" y2="${y + 4}" stroke="${ink}" stroke-width="2"/>`;
+  });
+
+  return sharp(Buffer.from(`${svg}</svg>`)).png().toBuffer();
+}
+
+function cleanup() {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  tempDir,
+  renderFormPage,
+  cleanup
+};
@@ -0,0 +1,34 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { renderFormPage, cleanup } = require('./helpers/setup');
+
+const { preprocessImage } = require('../src/services/imagePreprocessor');
+
+after(cleanup);
+
+test('a sparse page in dark ink is not binarized', async () => {
+  const page = await renderFormPage('NOTICE', ['Signature of insured']);
+  const { report } = await preprocessImage(page);
+
+  assert.strictEqual(report.blank, false);
+  assert.ok(!report.applied.includes('binarize'), `applied: ${report.applied.join(', ')}`);
+});
+
+test('a page in faint ink is binarized', async () => {
+  const page = await renderFormPage('APPLICATION', ['Applicant name', 'Mailing address', 'Effective date'], { ink: '#b4b4b4' });
+  const { report } = await preprocessImage(page);
+
+  assert.ok(report.applied.includes('binarize'), `applied: ${report.applied.join(', ')}`);
+});
+
+test('the trim report is the crop box of the output, padding included', async () => {
+  const page = await renderFormPage('APPLICATION', ['Applicant name', 'Mailing address']);
+  const { buffer, report } = await preprocessImage(page);
+  const output = await sharp(buffer).metadata();
+
+  assert.ok(report.applied.includes('trim'));
+  assert.strictEqual(report.trimmed.width, output.width);
+  assert.strictEqual(report.trimmed.height, output.height);
+  assert.ok(report.trimmed.left > 0 && report.trimmed.left < 100, `left: ${report.trimmed.left}`);
+});
@@ -0,0 +1,38 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { renderFormPage, cleanup } = require('./helpers/setup');
+
+const { db } = require('../src/services/database');
+const jobService = require('../src/services/jobService');
+
+after(cleanup);
+
+async function waitForJob(jobId) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = jobService.getJob(jobId);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return jobService.getJob(jobId);
+}
+
+test('resumeInterruptedJobs counts re-queued and failed jobs separately', async () => {
+  const page = await renderFormPage('APPLICATION', ['Applicant name', 'Mailing address']);
+
+  // Converted before the restart: can be resumed
+  const converted = jobService.createJob('converted.png', 100, 'default');
+  db.prepare(`
+    INSERT INTO extraction_job_images (id, job_id, page_number, image_data, mime_type)
+    VALUES (?, ?, 1, ?, 'image/png')
+  `).run('img_resume_test', converted, page.toString('base64'));
+
+  // Interrupted before conversion finished: cannot be
+  const unconverted = jobService.createJob('unconverted.png', 100, 'default');
+
+  assert.deepStrictEqual(jobService.resumeInterruptedJobs(), { resumed: 1, failed: 1 });
+
+  assert.strictEqual(jobService.getJob(unconverted).status, 'failed');
+  const resumed = await waitForJob(converted);
+  assert.strictEqual(resumed.status, 'completed', resumed.error);
+  assert.strictEqual(jobService.getJobResult(converted, 'default').meta.provider, 'mock');
+});
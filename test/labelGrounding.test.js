@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { groundFormStructure } = require('../src/services/labelGrounding');
+
+const line = (text, y) => ({ text, bbox: { x: 0.05, y, width: 0.8, height: 0.02 } });
+
+const textLayer = {
+  pages: [{
+    page: 1,
+    lines: [
+      line('Section A: Applicant Information', 0.1),
+      line('1. Name of the applicant ____________________', 0.15),
+      line('Federal Employer Identification Number (FEIN) ______', 0.2),
+      line('Type of entity: ☐ Corporation ☐ Partnership ☐ LLC', 0.25)
+    ]
+  }]
+};
+
+const field = (label, y, extra = {}) => ({ id: label, component: 'Short Input', label, page: 1, bbox: { x: 0.05, y, width: 0.8, height: 0.02 }, confidence: 0.9, needsReview: false, ...extra });
+
+function ground(fields, sectionTitle = 'Section A Applicant Information') {
+  return groundFormStructure({
+    formTitle: 'Application',
+    sections: [{ id: 'a', title: sectionTitle, page: 1, bbox: null, fields }]
+  }, textLayer);
+}
+
+test('labels paraphrased by the model are replaced with the PDF\'s words, without serial numbers', () => {
+  const { formStructure, stats } = ground([
+    field('Name of applicant', 0.15),
+    field('Federal Employer Identification Number (FEIN)', 0.2)
+  ]);
+  const [name, fein] = formStructure.sections[0].fields;
+
+  assert.strictEqual(formStructure.sections[0].title, 'Section A: Applicant Information');
+  assert.strictEqual(name.label, 'Name of the applicant');
+  assert.deepStrictEqual(name.grounding, { label: 'corrected', originalLabel: 'Name of applicant' });
+  assert.strictEqual(fein.grounding.label, 'verbatim');
+  assert.deepStrictEqual(stats.labels, { checked: 2, verbatim: 1, corrected: 1, unmatched: 0 });
+});
+
+test('labels and options not in the text are kept and flagged', () => {
+  const { formStructure } = ground([
+    field('Years in business', 0.15),
+    field('Type of entity', 0.25, { component: 'Radio Select', options: ['Corporation', 'Sole proprietor'] })
+  ]);
+  const [years, entity] = formStructure.sections[0].fields;
+
+  assert.strictEqual(years.label, 'Years in business');
+  assert.strictEqual(years.grounding.label, 'unmatched');
+  assert.strictEqual(years.confidence, 0.63);
+  assert.deepStrictEqual(entity.options, ['Corporation', 'Sole proprietor']);
+  assert.deepStrictEqual(entity.grounding.unmatchedOptions, ['Sole proprietor']);
+  assert.strictEqual(entity.confidence, 0.81);
+});
+
+test('fields read from the PDF\'s own form fields are left alone', () => {
+  const { formStructure, stats } = ground([field('Name of applicant', 0.15, { source: 'acroform' })]);
+
+  assert.strictEqual(formStructure.sections[0].fields[0].label, 'Name of applicant');
+  assert.strictEqual(stats.labels.checked, 0);
+});
+
+test('pages without a text layer are left alone', () => {
+  const { formStructure, stats } = ground([field('Name of applicant', 0.15, { page: 2 })]);
+
+  assert.strictEqual(formStructure.sections[0].fields[0].grounding, undefined);
+  assert.strictEqual(stats.labels.checked, 0);
+});
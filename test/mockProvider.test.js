@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockProvider, withRecording, getRequestKey } = require('../src/services/providers/mockProvider');
+
+const request = { text: 'Analyze this form', images: [{ base64: 'cGFnZQ==' }] };
+
+test('replays the recording for a request, falling back to default.json', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-responses-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'default.json'), JSON.stringify({ formTitle: 'Default', sections: [] }));
+    fs.writeFileSync(path.join(dir, `${getRequestKey(request)}.json`), JSON.stringify({ content: '{"formTitle":"Recorded","sections":[]}' }));
+
+    const provider = createMockProvider({ responsesDir: dir });
+    assert.strictEqual(JSON.parse((await provider.analyzeImages(request)).content).formTitle, 'Recorded');
+    assert.strictEqual(JSON.parse((await provider.analyzeImages({ ...request, text: 'Other' })).content).formTitle, 'Default');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recordings written by withRecording replay through the mock', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-recordings-'));
+  try {
+    const live = { name: 'live', model: 'live-model', analyzeImages: async () => ({ content: '{"formTitle":"Live","sections":[]}', model: 'live-model' }) };
+    await withRecording(live, dir).analyzeImages(request);
+
+    const replayed = await createMockProvider({ responsesDir: dir }).analyzeImages(request);
+    assert.strictEqual(JSON.parse(replayed.content).formTitle, 'Live');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a request with no recording and no default fails', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-empty-'));
+  try {
+    await assert.rejects(createMockProvider({ responsesDir: dir }).analyzeImages(request), /No recorded mock response/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
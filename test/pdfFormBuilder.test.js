@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, cleanup } = require('./helpers/setup');
+
+const { buildFillablePdf } = require('../src/services/pdfFormBuilder');
+const { readAcroForm } = require('../src/services/acroFormReader');
+
+after(cleanup);
+
+async function buildAndRead(form, name) {
+  const result = await buildFillablePdf(form);
+  const pdfPath = path.join(tempDir, name);
+  fs.writeFileSync(pdfPath, result.bytes);
+  return { result, read: await readAcroForm(pdfPath) };
+}
+
+test('a clean PDF reads back with a field per input, named by ID and labelled', async () => {
+  const { result, read } = await buildAndRead({
+    formTitle: 'Vendor Intake',
+    sections: [{
+      id: 'vendor',
+      title: 'Vendor',
+      fields: [
+        { id: 'heading', component: 'Title', label: 'Vendor details' },
+        { id: 'company', component: 'Short Input', label: 'Company name' },
+        { id: 'notes', component: 'Long Input', label: 'Notes' },
+        { id: 'w9', component: 'Radio Select', label: 'W-9 on file?', options: ['Yes', 'No'] }
+      ]
+    }]
+  }, 'clean.pdf');
+
+  assert.strictEqual(result.layout, 'clean');
+  assert.strictEqual(result.laidOut, 3);
+
+  const byName = Object.fromEntries(read.fields.map(field => [field.name, field]));
+  assert.deepStrictEqual(Object.keys(byName).sort(), ['company', 'notes', 'w9']);
+  assert.strictEqual(byName.company.label, 'Company name');
+  assert.strictEqual(byName.notes.component, 'Long Input');
+  assert.deepStrictEqual(byName.w9.options, ['Yes', 'No']);
+});
+
+test('a table\'s row count is capped to what fits on a page', async () => {
+  const { read } = await buildAndRead({
+    formTitle: 'Rows',
+    sections: [{
+      id: 'rows',
+      fields: [{ id: 'staff', component: 'Table', label: 'Staff', columns: ['Name', 'Role'], rowCount: 1e9 }]
+    }]
+  }, 'rows.pdf');
+
+  const rows = new Set(read.fields.map(field => field.name.split('.')[1]));
+  assert.strictEqual(rows.size, 30);
+  assert.strictEqual(read.fields.length, 60);
+  assert.strictEqual(read.pageCount, 1);
+});
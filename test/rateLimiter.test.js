@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createRateLimiter } = require('../src/services/rateLimiter');
+
+test('without a token budget only the request rate is limited', async () => {
+  const limiter = createRateLimiter({ requestsPerMinute: 60 });
+  assert.ok(await limiter.acquire(1000000) < 100);
+  assert.ok(await limiter.acquire(1000000) < 100);
+});
+
+test('tokens a request reserved but did not use are refunded', async () => {
+  const limiter = createRateLimiter({ requestsPerMinute: 60, tokensPerMinute: 10000 });
+
+  assert.ok(await limiter.acquire(8000) < 100);
+  limiter.settle(8000, 1000);
+
+  // Without the refund only 2000 tokens would be left, a wait of over half a minute
+  assert.ok(await limiter.acquire(8000) < 100);
+});
@@ -0,0 +1,65 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempDir, renderFormPage, cleanup } = require('./helpers/setup');
+
+const { createMockProvider, getRequestKey } = require('../src/services/providers/mockProvider');
+const { extractFormStructureWithMeta } = require('../src/services/openaiService');
+
+after(cleanup);
+
+const responsesDir = path.join(tempDir, 'repair-responses');
+fs.mkdirSync(responsesDir);
+
+// A Radio Select must list its options
+const invalid = { formTitle: 'Intake', sections: [{ title: 'Applicant', fields: [{ component: 'Radio Select', label: 'Licensed?' }] }] };
+const repaired = { formTitle: 'Intake', sections: [{ title: 'Applicant', fields: [{ component: 'Radio Select', label: 'Licensed?', options: ['Yes', 'No'] }] }] };
+fs.writeFileSync(path.join(responsesDir, 'default.json'), JSON.stringify(invalid));
+
+// The mock provider, noting every request it is sent
+function recordingMock() {
+  const mock = createMockProvider({ responsesDir });
+  const requests = [];
+  return {
+    ...mock,
+    requests,
+    analyzeImages: request => {
+      // The history array grows with later turns, so keep it as it was sent
+      requests.push({ ...request, history: [...request.history] });
+      return mock.analyzeImages(request);
+    }
+  };
+}
+
+async function extract(provider) {
+  const page = await renderFormPage('Intake', ['Licensed?']);
+  const images = [{ page: 1, base64: page.toString('base64'), mimeType: 'image/png' }];
+  return extractFormStructureWithMeta(images, { provider, useTemplates: false });
+}
+
+test('a reply that is never repaired is kept and its violations reported', async () => {
+  const provider = recordingMock();
+  const { formStructure, meta } = await extract(provider);
+
+  assert.strictEqual(provider.requests.length, 3);
+  assert.match(provider.requests[1].history[1].content, /options/);
+  assert.strictEqual(meta.repairAttempts, 2);
+  assert.strictEqual(meta.schemaViolations.length, 1);
+  assert.strictEqual(meta.schemaViolations[0].label, 'Licensed?');
+  assert.strictEqual(formStructure.sections[0].fields[0].label, 'Licensed?');
+});
+
+test('a repaired reply replaces the invalid one', async () => {
+  const firstRun = recordingMock();
+  await extract(firstRun);
+  fs.writeFileSync(path.join(responsesDir, `${getRequestKey(firstRun.requests[1])}.json`), JSON.stringify(repaired));
+
+  const provider = recordingMock();
+  const { formStructure, meta } = await extract(provider);
+
+  assert.strictEqual(provider.requests.length, 2);
+  assert.strictEqual(meta.repairAttempts, 1);
+  assert.deepStrictEqual(meta.schemaViolations, []);
+  assert.deepStrictEqual(formStructure.sections[0].fields[0].options, ['Yes', 'No']);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { mergeBatchResults } = require('../src/services/sectionMerger');
+
+function field(id, label, extra = {}) {
+  return { id, component: 'Short Input', label, page: 1, ...extra };
+}
+
+// Pages 1-3 and 4-6: "COVERAGE" runs across the batch edge and repeats its last field
+const batches = [
+  {
+    formTitle: 'Liability Application',
+    sections: [
+      { id: 'section_1', title: 'APPLICANT', page: 1, fields: [field('field_1', 'Name'), field('field_2', 'Address')] },
+      {
+        id: 'section_2',
+        title: 'III. COVERAGE',
+        page: 3,
+        fields: [
+          field('field_1', 'Claims made?', { component: 'Radio Select', options: ['Yes', 'No'], page: 3 }),
+          field('field_2', 'Retention amount', { page: 3 })
+        ]
+      }
+    ]
+  },
+  {
+    formTitle: 'Untitled Form',
+    sections: [
+      {
+        id: 'section_1',
+        title: 'COVERAGE (continued)',
+        page: 4,
+        fields: [
+          field('field_1', 'Retention amount', { page: 4 }),
+          field('field_2', 'If Yes, retroactive date', { page: 4, visibleWhen: { field: 'field_3', equals: 'Yes' } }),
+          field('field_3', 'Prior claims?', { component: 'Radio Select', options: ['Yes', 'No'], page: 4 })
+        ]
+      }
+    ]
+  }
+];
+
+test('a section continued across a batch edge is joined without its repeated field', () => {
+  const { sections, merges } = mergeBatchResults(batches);
+
+  assert.deepStrictEqual(sections.map(section => section.title), ['APPLICANT', 'III. COVERAGE']);
+  assert.deepStrictEqual(sections[1].fields.map(f => f.label), ['Claims made?', 'Retention amount', 'If Yes, retroactive date', 'Prior claims?']);
+  assert.strictEqual(merges.length, 1);
+  assert.strictEqual(merges[0].reason, 'continued header');
+  assert.strictEqual(merges[0].duplicatesRemoved, 1);
+  assert.strictEqual(merges[0].sectionId, sections[1].id);
+});
+
+test('unique IDs are kept and repeated ones are replaced the same way on every run', () => {
+  const first = mergeBatchResults(batches);
+  const second = mergeBatchResults(JSON.parse(JSON.stringify(batches)));
+  assert.deepStrictEqual(first, second);
+
+  const ids = first.sections.flatMap(section => section.fields.map(f => f.id));
+  assert.strictEqual(new Set(ids).size, ids.length);
+  assert.deepStrictEqual(first.sections[0].fields.map(f => f.id), ['field_1', 'field_2']);
+  assert.deepStrictEqual(first.sections.map(section => section.id), ['section_1', 'section_2']);
+
+  // field_1 and field_2 are taken by the first section; field_3 is not
+  const [claims, retention, followUp, prior] = first.sections[1].fields;
+  for (const replaced of [claims, retention, followUp]) {
+    assert.match(replaced.id, /^field_[0-9a-f]{8}$/);
+  }
+  assert.strictEqual(prior.id, 'field_3');
+  assert.deepStrictEqual(followUp.visibleWhen, { field: 'field_3', equals: 'Yes' });
+});
+
+test('a field added earlier in the document does not change later IDs', () => {
+  const withExtra = JSON.parse(JSON.stringify(batches));
+  withExtra[0].sections[0].fields.unshift(field(undefined, 'Trade name'));
+
+  const before = mergeBatchResults(batches).sections[1].fields.map(f => f.id);
+  const after = mergeBatchResults(withExtra).sections[1].fields.map(f => f.id);
+  assert.deepStrictEqual(after, before);
+});
@@ -0,0 +1,91 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { renderFormPage, cleanup } = require('./helpers/setup');
+
+const trainingService = require('../src/services/trainingService');
+const templateService = require('../src/services/templateService');
+const cacheService = require('../src/services/cacheService');
+
+after(cleanup);
+
+const TEMPLATE_TITLE = 'SENIOR LIVING LIABILITY APPLICATION';
+const TEMPLATE_LABELS = ['Legal name of applicant', 'Mailing address of facility', 'Proposed effective date', 'Number of licensed beds'];
+
+// Same layout and line lengths, different form
+const LOOKALIKE_TITLE = 'CONTRACTORS EQUIPMENT SCHEDULE FORM';
+const LOOKALIKE_LABELS = ['Equipment manufacturer name', 'Serial number of the unit', 'Date of purchase of item', 'Replacement cost value'];
+
+function textLayerOf(title, labels) {
+  return { pages: [{ page: 1, lines: [title, ...labels].map(text => ({ text })) }] };
+}
+
+async function pageImages(title, labels) {
+  const page = await renderFormPage(title, labels);
+  return [{ page: 1, base64: page.toString('base64'), mimeType: 'image/png' }];
+}
+
+let templateImages;
+
+test('a verified training form becomes a template', async () => {
+  templateImages = await pageImages(TEMPLATE_TITLE, TEMPLATE_LABELS);
+  const formId = trainingService.createForm('senior-living.pdf', templateImages, {}, 'default');
+  trainingService.updateExtraction(formId, 'default', {
+    formTitle: 'Senior Living Liability Application',
+    sections: [{
+      id: 'section_1',
+      title: 'Applicant',
+      fields: TEMPLATE_LABELS.map((label, i) => ({ id: `field_${i + 1}`, label, component: 'Short Input' }))
+    }]
+  }, true);
+
+  // Extractions cached before the form was verified would hide the template
+  const cached = cacheService.getCacheContext('senior-living-hash', 'default', { acroFormMode: 'merge', mode: 'structure' });
+  cacheService.save(cached, { data: { formTitle: 'Stale', sections: [] }, pagesProcessed: 1, meta: {} });
+
+  const template = await templateService.registerForm(formId, 'default');
+  assert.strictEqual(template.name, 'Senior Living Liability Application');
+  assert.strictEqual(cacheService.lookup(cached), null);
+});
+
+test('the same form with its text layer matches the template', async () => {
+  const match = await templateService.matchTemplate(templateImages, textLayerOf(TEMPLATE_TITLE, TEMPLATE_LABELS), 'default');
+  assert.ok(match, 'expected a match');
+  assert.strictEqual(match.textScore, 1);
+});
+
+test('page images alone never match, even of the template itself', async () => {
+  assert.strictEqual(await templateService.matchTemplate(templateImages, null, 'default'), null);
+});
+
+test('a scan of the form matches when the title read from it agrees', async () => {
+  const match = await templateService.matchTemplate(templateImages, null, 'default', {
+    readTitle: async () => 'Senior Living Liability Application'
+  });
+  assert.ok(match, 'expected a match');
+  assert.strictEqual(match.textScore, null);
+  assert.strictEqual(match.titleScore, 1);
+});
+
+test('the title of a scan is only read when its pages look like a template', async () => {
+  const images = await pageImages('LOSS RUN REQUEST', ['Insured name']);
+  const readTitle = async () => assert.fail('title read for a page unlike every template');
+  assert.strictEqual(await templateService.matchTemplate(images, null, 'default', { readTitle }), null);
+});
+
+test('a different form that looks alike is rejected', async () => {
+  const images = await pageImages(LOOKALIKE_TITLE, LOOKALIKE_LABELS);
+
+  // The ink maps alone cannot tell the two forms apart
+  const [templateHash, lookalikeHash] = [await templateService.hashPage(templateImages[0]), await templateService.hashPage(images[0])];
+  assert.ok(templateService.compareHashes(templateHash, lookalikeHash) >= templateService.MATCH_THRESHOLD);
+
+  assert.strictEqual(await templateService.matchTemplate(images, null, 'default'), null);
+  assert.strictEqual(await templateService.matchTemplate(images, textLayerOf(LOOKALIKE_TITLE, LOOKALIKE_LABELS), 'default'), null);
+  assert.strictEqual(await templateService.matchTemplate(images, null, 'default', {
+    readTitle: async () => 'Contractors Equipment Schedule Form'
+  }), null);
+});
+
+test('templates only match their own tenant', async () => {
+  assert.strictEqual(await templateService.matchTemplate(templateImages, textLayerOf(TEMPLATE_TITLE, TEMPLATE_LABELS), 'other'), null);
+});